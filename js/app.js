@@ -2,12 +2,26 @@
  * Main Nostr Profile Viewer Application
  */
 
-class NostrApp {
+import * as CryptoUtils from './crypto-utils.js';
+import * as ContentParser from './content-parser.js';
+import { Nip05 } from './nip05.js';
+import { EventCache } from './event-cache.js';
+import { RelayManager } from './relay-manager.js';
+import { EventLoader } from './event-loader.js';
+import { UIManager } from './content-renderer.js';
+import { RelayAuthPrompt } from './relay-auth.js';
+import './relay-settings.js'; // "Relays" menu
+
+export class NostrApp {
     constructor() {
         this.relayManager = new RelayManager();
+        this.authPrompt = new RelayAuthPrompt(this.relayManager); // NIP-42 sign-in when a relay asks
+        this.eventLoader = new EventLoader(this.relayManager); // batched lookups of single events and profiles
+        this.eventCache = new EventCache();
         this.uiManager = new UIManager();
         this.profileData = null;
         this.postsData = [];
+        this.liveQueries = []; // cancel functions for event store subscriptions
         
         this.initializeApp();
     }
@@ -60,12 +74,24 @@ class NostrApp {
 
         // Validate and normalize the public key
         let pubkey;
+        let relayHints = [];
         try {
             console.log('Input:', pubkeyInput);
-            pubkey = CryptoUtils.normalizeKey(pubkeyInput);
+            const reference = await Nip05.parseInput(pubkeyInput, 'pubkey');
+
+            // Notes, events and addresses open in the thread viewer
+            if (reference.type === 'eventid' || reference.type === 'address') {
+                window.location.href = `thread.html?id=${encodeURIComponent(pubkeyInput)}`;
+                return;
+            }
+            if (reference.type !== 'pubkey') {
+                throw new Error('Expected a public key, note or event reference');
+            }
+
+            pubkey = reference.hex;
+            relayHints = reference.relays;
             console.log('Converted pubkey:', pubkey);
-            console.log('Pubkey length:', pubkey.length);
-            console.log('Input was npub?', pubkeyInput.startsWith('npub'));
+            console.log('Relay hints:', relayHints);
         } catch (e) {
             console.error('Decoding error:', e);
             this.uiManager.showError('Error decoding public key: ' + e.message);
@@ -86,29 +112,30 @@ class NostrApp {
         this.uiManager.showLoading();
 
         try {
-            // Connect to relays
-            const connections = await this.relayManager.connectToRelays();
-            console.log('Connection results:', connections);
-
-            // Setup event handlers
+            // Cached events render straight away; relays only fill in what is newer
+            await this.eventCache.attach(this.relayManager.eventStore);
             this.setupEventHandlers(pubkey);
+            if (this.profileData) {
+                this.uiManager.hideLoading();
+            }
 
-            // Subscribe to profile and posts
-            this.relayManager.subscribeToProfile(pubkey, (eventData, relayUrl) => {
-                this.handleProfileEvent(eventData, relayUrl);
-            });
+            // Connect to relays
+            const connections = await this.relayManager.connectToRelays(
+                RelayManager.withRelayHints(relayHints)
+            );
+            console.log('Connection results:', connections);
 
-            this.relayManager.subscribeToPosts(pubkey, (eventData, relayUrl) => {
-                this.handlePostEvent(eventData, relayUrl);
-            });
+            // Query profile and posts; the event store feeds the UI as they arrive
+            await Promise.all([
+                this.relayManager.query({ kinds: [0], authors: [pubkey], limit: 1 }, { incremental: true }),
+                this.relayManager.query({ kinds: [1], authors: [pubkey], limit: 20 }, { incremental: true })
+            ]);
 
-            // Set timeout for no results
-            setTimeout(() => {
-                this.uiManager.hideLoading();
-                if (!this.profileData) {
-                    this.uiManager.showError('No profile found for this public key. The user may not have set up a profile, or the relays may not have their data.');
-                }
-            }, 3000);
+            // Every relay has answered (or timed out)
+            this.uiManager.hideLoading();
+            if (!this.profileData) {
+                this.uiManager.showError('No profile found for this public key. The user may not have set up a profile, or the relays may not have their data.');
+            }
 
         } catch (error) {
             this.uiManager.hideLoading();
@@ -120,17 +147,36 @@ class NostrApp {
      * Setup event handlers for the current session
      */
     setupEventHandlers(pubkey) {
-        // We could add more sophisticated event handling here
-        // For now, the handlers are set up in the subscribe methods
+        const store = this.relayManager.eventStore;
+
+        this.stopLiveQueries();
+        this.liveQueries = [
+            store.subscribe({ kinds: [0], authors: [pubkey] }, ([profileEvent]) => {
+                if (profileEvent) {
+                    this.handleProfileEvent(profileEvent);
+                }
+            }),
+            store.subscribe({ kinds: [1], authors: [pubkey], limit: 20 }, (posts) => {
+                this.handlePosts(posts);
+            })
+        ];
+    }
+
+    /**
+     * Cancel the current event store subscriptions
+     */
+    stopLiveQueries() {
+        this.liveQueries.forEach(stop => stop());
+        this.liveQueries = [];
     }
 
     /**
      * Handle profile events (Kind 0)
      */
-    handleProfileEvent(eventData, relayUrl) {
+    handleProfileEvent(eventData) {
         if (eventData.kind !== 0) return;
 
-        console.log(`✓ Found profile data from ${relayUrl}!`);
+        console.log('✓ Found profile data!');
         
         try {
             const profile = JSON.parse(eventData.content);
@@ -139,6 +185,7 @@ class NostrApp {
             if (!this.profileData || eventData.created_at > this.profileData.created_at) {
                 this.profileData = {
                     ...profile,
+                    emojis: ContentParser.getEmojis(eventData.tags),
                     pubkey: eventData.pubkey,
                     created_at: eventData.created_at
                 };
@@ -155,25 +202,13 @@ class NostrApp {
     }
 
     /**
-     * Handle post events (Kind 1)
+     * Handle the current set of posts (Kind 1) from the event store
      */
-    handlePostEvent(eventData, relayUrl) {
-        if (eventData.kind !== 1) return;
-
-        console.log(`✓ Found post from ${relayUrl}!`);
+    handlePosts(posts) {
+        this.postsData = posts;
         
-        // Avoid duplicates
-        const existingPost = this.postsData.find(p => p.id === eventData.id);
-        if (!existingPost) {
-            this.postsData.push(eventData);
-            
-            // Update UI with event fetcher
-            this.uiManager.displayPosts(this.postsData, {
-                fetchEvent: (eventId, callback) => {
-                    this.relayManager.fetchEvent(eventId, callback);
-                }
-            });
-        }
+        // Update UI with event fetcher
+        this.uiManager.displayPosts(this.postsData, this.eventLoader);
     }
 
     /**
@@ -191,6 +226,7 @@ class NostrApp {
      * Cleanup resources
      */
     destroy() {
+        this.stopLiveQueries();
         this.relayManager.closeAllConnections();
         this.profileData = null;
         this.postsData = [];
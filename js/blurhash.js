@@ -0,0 +1,124 @@
+/**
+ * BlurHash decoding, for placeholders while media loads
+ *
+ * NIP-92 `imeta` and NIP-94 file events can carry a blurhash: a short
+ * string encoding a few cosine components of the image. `decode()` turns
+ * it into RGBA pixels (draw them on a small canvas and scale it up);
+ * `averageColor()` is its first component, the image's average colour,
+ * for when there is no canvas. Pure functions; import the module as a
+ * namespace (`import * as Blurhash from './blurhash.js'`).
+ */
+
+export const BASE83_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+/**
+ * Decode a base-83 string to an integer
+ */
+export function decode83(str) {
+    let value = 0;
+    for (const char of str) {
+        const digit = BASE83_CHARS.indexOf(char);
+        if (digit === -1) {
+            throw new Error(`Invalid blurhash character: ${char}`);
+        }
+        value = value * 83 + digit;
+    }
+    return value;
+}
+
+/**
+ * Number of components across and down encoded in a blurhash
+ */
+export function getComponents(hash) {
+    const sizeFlag = decode83(hash[0]);
+    return { x: (sizeFlag % 9) + 1, y: Math.floor(sizeFlag / 9) + 1 };
+}
+
+/**
+ * Check that a string is a well-formed blurhash
+ */
+export function isValid(hash) {
+    if (typeof hash !== 'string' || hash.length < 6) return false;
+    if ([...hash].some(char => !BASE83_CHARS.includes(char))) return false;
+    const components = getComponents(hash);
+    return hash.length === 4 + 2 * components.x * components.y;
+}
+
+/**
+ * sRGB channel (0-255) to linear light (0-1)
+ */
+export function sRGBToLinear(value) {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Linear light (0-1) to an sRGB channel (0-255)
+ */
+export function linearToSRGB(value) {
+    const v = Math.max(0, Math.min(1, value));
+    return v <= 0.0031308
+        ? Math.trunc(v * 12.92 * 255 + 0.5)
+        : Math.trunc((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+/**
+ * The average colour of a blurhash as `#rrggbb`, or null if it is malformed
+ */
+export function averageColor(hash) {
+    if (!isValid(hash)) return null;
+    return `#${decode83(hash.slice(2, 6)).toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Decode a blurhash to `width` x `height` RGBA pixels
+ *
+ * `punch` exaggerates (> 1) or softens (< 1) the contrast. Throws on a
+ * malformed hash.
+ */
+export function decode(hash, width, height, punch = 1) {
+    if (!isValid(hash)) {
+        throw new Error('Invalid blurhash');
+    }
+
+    const components = getComponents(hash);
+    const maximumValue = ((decode83(hash[1]) + 1) / 166) * punch;
+    const signPow = (value, exponent) => Math.sign(value) * Math.pow(Math.abs(value), exponent);
+
+    // The average colour, then the AC components scaled by the maximum value
+    const dc = decode83(hash.slice(2, 6));
+    const colors = [[sRGBToLinear(dc >> 16), sRGBToLinear((dc >> 8) & 255), sRGBToLinear(dc & 255)]];
+    for (let i = 1; i < components.x * components.y; i++) {
+        const value = decode83(hash.slice(4 + i * 2, 6 + i * 2));
+        colors.push([
+            signPow((Math.floor(value / (19 * 19)) - 9) / 9, 2) * maximumValue,
+            signPow((Math.floor(value / 19) % 19 - 9) / 9, 2) * maximumValue,
+            signPow((value % 19 - 9) / 9, 2) * maximumValue
+        ]);
+    }
+
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            for (let j = 0; j < components.y; j++) {
+                for (let i = 0; i < components.x; i++) {
+                    const basis = Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height);
+                    const color = colors[i + j * components.x];
+                    r += color[0] * basis;
+                    g += color[1] * basis;
+                    b += color[2] * basis;
+                }
+            }
+
+            const offset = 4 * (x + y * width);
+            pixels[offset] = linearToSRGB(r);
+            pixels[offset + 1] = linearToSRGB(g);
+            pixels[offset + 2] = linearToSRGB(b);
+            pixels[offset + 3] = 255;
+        }
+    }
+    return pixels;
+}
\ No newline at end of file
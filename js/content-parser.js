@@ -0,0 +1,393 @@
+/**
+ * Note content parsing, free of any DOM
+ *
+ * `parseContent()` turns a note's text into a token tree: a root node whose
+ * children are, in order,
+ * - `{ type: 'text', content }`
+ * - `{ type: 'image' | 'video', url, media }`, `{ type: 'youtube', url, videoId }`
+ *   and `{ type: 'link', url, text }` for URLs; `media` is the URL's NIP-92
+ *   `imeta` metadata (see readMediaFields) or null. With metadata the MIME
+ *   type decides, so extensionless URLs (blossom, nostr.build) work too
+ * - `{ type: 'gallery', children }` for two or more images in a row (with
+ *   nothing but whitespace between them), the image tokens as its children
+ * - `{ type: 'note_reference' | 'event_reference' | 'profile_reference' |
+ *   'address_reference', identifier, fullRef, pointer }` for `nostr:` URIs,
+ *   where `pointer` is the decoded NIP-19 entity (see
+ *   CryptoUtils.decodeNostrReference) or null if it doesn't decode
+ * - `{ type: 'hashtag', tag, text }` for `#hashtags`, `tag` being the
+ *   lowercase name a `t` tag would carry and `text` the hashtag as written
+ * - `{ type: 'emoji', shortcode, url }` for NIP-30 custom emoji: a
+ *   `:shortcode:` the note's `emoji` tags give an image for
+ *
+ * ContentRenderer builds DOM nodes from the tree; other tools can walk it
+ * directly. Import the module as a namespace
+ * (`import * as ContentParser from './content-parser.js'`).
+ */
+
+import * as CryptoUtils from './crypto-utils.js';
+
+// NIP-19 prefix -> token type of a nostr: reference
+export const REFERENCE_TYPES = {
+    note: 'note_reference',
+    nevent: 'event_reference',
+    npub: 'profile_reference',
+    nprofile: 'profile_reference',
+    naddr: 'address_reference'
+};
+
+// A hashtag: "#" not inside a word, URL or HTML entity, then letters,
+// digits or underscores with at least one letter (so "#1" isn't one)
+const HASHTAG_REGEX = /(?<![\p{L}\p{N}\p{M}_&#/])#([\p{L}\p{N}\p{M}_]*\p{L}[\p{L}\p{N}\p{M}_]*)/gu;
+
+// NIP-30 shortcodes are letters, digits and underscores
+const SHORTCODE_REGEX = /^[a-zA-Z0-9_]+$/;
+const EMOJI_REGEX = /:([a-zA-Z0-9_]+)(?=:)/g; // the closing ":" may open the next one
+
+/**
+ * Check if URL is an image
+ */
+export function isImageUrl(url) {
+    return /\.(jpg|jpeg|png|gif|webp|bmp|svg)(\?.*)?$/i.test(url);
+}
+
+/**
+ * Check if URL is a video
+ */
+export function isVideoUrl(url) {
+    return /\.(mp4|webm|ogg|mov|avi|mkv|m4v)(\?.*)?$/i.test(url);
+}
+
+/**
+ * Check if URL is a YouTube video
+ */
+export function isYouTubeUrl(url) {
+    return /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]+)/.test(url);
+}
+
+/**
+ * Extract YouTube video ID
+ */
+export function getYouTubeVideoId(url) {
+    const match = url.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Media metadata from `[key, value]` pairs, as NIP-94 file events and
+ * NIP-92 `imeta` entries carry them
+ *
+ * Returns `{ url, mime, width, height, alt, blurhash, sha256, size,
+ * thumb, summary, fallbacks }`; fields not given (or malformed) are null.
+ */
+export function readMediaFields(pairs) {
+    const media = {
+        url: null, mime: null, width: null, height: null, alt: null, blurhash: null,
+        sha256: null, size: null, thumb: null, summary: null, fallbacks: []
+    };
+    const isHttpUrl = value => /^https?:\/\/\S+$/.test(value);
+
+    pairs.forEach(([key, value]) => {
+        if (typeof value !== 'string' || value === '') return;
+
+        if (key === 'url' && isHttpUrl(value)) {
+            media.url = value;
+        } else if (key === 'm' && /^[\w.+-]+\/[\w.+-]+$/.test(value)) {
+            media.mime = value.toLowerCase();
+        } else if (key === 'dim') {
+            const dimensions = value.match(/^(\d+)x(\d+)$/);
+            if (dimensions && dimensions[1] > 0 && dimensions[2] > 0) {
+                media.width = parseInt(dimensions[1]);
+                media.height = parseInt(dimensions[2]);
+            }
+        } else if (key === 'alt' || key === 'blurhash' || key === 'summary') {
+            media[key] = value;
+        } else if (key === 'x' && /^[0-9a-f]{64}$/i.test(value)) {
+            media.sha256 = value.toLowerCase();
+        } else if (key === 'size' && /^\d+$/.test(value)) {
+            media.size = parseInt(value);
+        } else if ((key === 'thumb' || key === 'image') && isHttpUrl(value)) {
+            media.thumb = media.thumb || value;
+        } else if (key === 'fallback' && isHttpUrl(value)) {
+            media.fallbacks.push(value);
+        }
+    });
+
+    return media;
+}
+
+/**
+ * Metadata for the media URLs of a note, from its NIP-92 `imeta` tags: url -> media
+ *
+ * Each `imeta` entry is "key value" (`url https://…`, `m image/png`, `dim 800x600`…).
+ */
+export function getMediaMetadata(tags = []) {
+    const metadata = new Map();
+    tags.filter(tag => tag[0] === 'imeta').forEach(tag => {
+        const media = readMediaFields(tag.slice(1).map(entry => {
+            const space = String(entry).indexOf(' ');
+            return space === -1 ? [entry, ''] : [entry.slice(0, space), entry.slice(space + 1).trim()];
+        }));
+        if (media.url && !metadata.has(media.url)) {
+            metadata.set(media.url, media);
+        }
+    });
+    return metadata;
+}
+
+/**
+ * Metadata of a NIP-94 file event (Kind 1063), its content as the summary
+ * when there is no `summary` tag
+ */
+export function getFileMetadata(event) {
+    const media = readMediaFields(event.tags.map(tag => [tag[0], tag[1]]));
+    media.summary = media.summary || event.content || null;
+    return media;
+}
+
+/**
+ * Decode a reference's NIP-19 entity, or null if it is malformed
+ */
+function decodePointer(identifier) {
+    try {
+        return CryptoUtils.decodeNostrReference(identifier);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Split text into text tokens and nostr reference tokens (note1, npub, etc.)
+ */
+export function parseNostrReferences(content) {
+    const nostrRegex = /nostr:((note|npub|nevent|nprofile|naddr)1[a-z0-9]+)/g;
+    const tokens = [];
+    let lastIndex = 0;
+    let match;
+
+    while ((match = nostrRegex.exec(content)) !== null) {
+        // Add text before the reference
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', content: content.slice(lastIndex, match.index) });
+        }
+
+        tokens.push({
+            type: REFERENCE_TYPES[match[2]],
+            identifier: match[1], // e.g. "note1abc123..."
+            fullRef: match[0], // e.g. "nostr:note1abc123..."
+            pointer: decodePointer(match[1])
+        });
+
+        lastIndex = match.index + match[0].length;
+    }
+
+    // Add remaining text
+    if (lastIndex < content.length) {
+        tokens.push({ type: 'text', content: content.slice(lastIndex) });
+    }
+
+    return tokens;
+}
+
+/**
+ * Split text into text tokens and URL tokens (image, video, youtube or link)
+ *
+ * `media` (from getMediaMetadata) gives the MIME type of URLs whose
+ * extension doesn't tell.
+ */
+export function parseUrls(content, media = new Map()) {
+    const urlRegex = /(https?:\/\/[^\s]+)/g;
+    const tokens = [];
+    let lastIndex = 0;
+    let match;
+
+    while ((match = urlRegex.exec(content)) !== null) {
+        // Add text before the URL
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', content: content.slice(lastIndex, match.index) });
+        }
+
+        const url = match[0];
+        const metadata = media.get(url) || null;
+        const mime = metadata && metadata.mime ? metadata.mime : '';
+        if (mime.startsWith('image/') || (!mime && isImageUrl(url))) {
+            tokens.push({ type: 'image', url, media: metadata });
+        } else if (mime.startsWith('video/') || (!mime && isVideoUrl(url))) {
+            tokens.push({ type: 'video', url, media: metadata });
+        } else if (isYouTubeUrl(url)) {
+            tokens.push({ type: 'youtube', url, videoId: getYouTubeVideoId(url) });
+        } else {
+            tokens.push({ type: 'link', url, text: url });
+        }
+
+        lastIndex = match.index + match[0].length;
+    }
+
+    // Add remaining text
+    if (lastIndex < content.length) {
+        tokens.push({ type: 'text', content: content.slice(lastIndex) });
+    }
+
+    return tokens;
+}
+
+/**
+ * Normalize a hashtag to the form used in `t` tags and `#t` filters
+ *
+ * Accepts it with or without the "#"; returns the lowercase name, or null
+ * if it isn't a hashtag.
+ */
+export function normalizeHashtag(hashtag) {
+    const name = String(hashtag || '').trim().replace(/^#/, '');
+    const match = `#${name}`.match(HASHTAG_REGEX);
+    return match && match[0] === `#${name}` ? name.toLowerCase() : null;
+}
+
+/**
+ * Split text into text tokens and hashtag tokens
+ */
+export function parseHashtags(content) {
+    const tokens = [];
+    let lastIndex = 0;
+
+    for (const match of content.matchAll(HASHTAG_REGEX)) {
+        // Add text before the hashtag
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', content: content.slice(lastIndex, match.index) });
+        }
+
+        tokens.push({ type: 'hashtag', tag: match[1].toLowerCase(), text: match[0] });
+        lastIndex = match.index + match[0].length;
+    }
+
+    // Add remaining text
+    if (lastIndex < content.length) {
+        tokens.push({ type: 'text', content: content.slice(lastIndex) });
+    }
+
+    return tokens;
+}
+
+/**
+ * An event's hashtags from its `t` tags, normalized and without duplicates
+ */
+export function getTagHashtags(event) {
+    const hashtags = (event.tags || [])
+        .filter(tag => tag[0] === 't')
+        .map(tag => normalizeHashtag(tag[1]))
+        .filter(Boolean);
+    return [...new Set(hashtags)];
+}
+
+/**
+ * Custom emoji from an event's NIP-30 `emoji` tags: shortcode -> image URL
+ */
+export function getEmojis(tags = []) {
+    const emojis = new Map();
+    tags.forEach(tag => {
+        if (tag[0] === 'emoji' && SHORTCODE_REGEX.test(tag[1] || '') && /^https?:\/\//.test(tag[2] || '')) {
+            emojis.set(tag[1], tag[2]);
+        }
+    });
+    return emojis;
+}
+
+/**
+ * Split text into text tokens and custom emoji tokens
+ *
+ * Only shortcodes found in `emojis` (see getEmojis) become emoji; any
+ * other `:word:` stays text.
+ */
+export function parseEmoji(content, emojis) {
+    const emojiRegex = new RegExp(EMOJI_REGEX);
+    const tokens = [];
+    let lastIndex = 0;
+    let match;
+
+    while ((match = emojiRegex.exec(content)) !== null) {
+        if (!emojis.has(match[1])) continue;
+
+        // Add text before the emoji
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', content: content.slice(lastIndex, match.index) });
+        }
+
+        tokens.push({ type: 'emoji', shortcode: match[1], url: emojis.get(match[1]) });
+        lastIndex = match.index + match[0].length + 1; // past the closing ":"
+        emojiRegex.lastIndex = lastIndex;
+    }
+
+    // Add remaining text
+    if (lastIndex < content.length) {
+        tokens.push({ type: 'text', content: content.slice(lastIndex) });
+    }
+
+    return tokens;
+}
+
+/**
+ * What a Kind 7 reaction shows, and the key to group it under
+ *
+ * A `:shortcode:` with an `emoji` tag is a custom emoji, grouped by
+ * shortcode and image URL (two emoji may share a shortcode); anything
+ * else is its text, an empty reaction counting as 👍.
+ */
+export function getReactionEmoji(reaction) {
+    const content = reaction.content || '👍';
+    const match = content.match(/^:([a-zA-Z0-9_]+):$/);
+    const url = match ? getEmojis(reaction.tags).get(match[1]) : null;
+    if (url) {
+        return { key: `${content} ${url}`, shortcode: match[1], url };
+    }
+    return { key: content, text: content };
+}
+
+/**
+ * Gather runs of two or more images (whitespace between them dropped) into gallery nodes
+ */
+export function groupGalleries(tokens) {
+    const grouped = [];
+    let run = []; // images (and the whitespace after each) not yet placed
+
+    const flush = () => {
+        const images = run.filter(token => token.type === 'image');
+        if (images.length > 1) {
+            grouped.push({ type: 'gallery', children: images });
+            // Keep the whitespace after the last image
+            grouped.push(...run.slice(run.lastIndexOf(images[images.length - 1]) + 1));
+        } else {
+            grouped.push(...run);
+        }
+        run = [];
+    };
+
+    tokens.forEach(token => {
+        if (token.type === 'image') {
+            run.push(token);
+        } else if (run.length > 0 && token.type === 'text' && token.content.trim() === '') {
+            run.push(token);
+        } else {
+            flush();
+            grouped.push(token);
+        }
+    });
+    flush();
+
+    return grouped;
+}
+
+/**
+ * Parse note content into a token tree (see the module comment)
+ *
+ * `tags` are the note's tags, for its custom emoji and media metadata.
+ */
+export function parseContent(content, tags = []) {
+    const emojis = getEmojis(tags);
+    const media = getMediaMetadata(tags);
+
+    // Nostr references first, then URLs, hashtags and emoji in the text between them
+    const children = parseNostrReferences(content)
+        .flatMap(token => token.type === 'text' ? parseUrls(token.content, media) : [token])
+        .flatMap(token => token.type === 'text' ? parseHashtags(token.content) : [token])
+        .flatMap(token => token.type === 'text' && emojis.size > 0 ? parseEmoji(token.content, emojis) : [token]);
+    return { type: 'root', children: groupGalleries(children) };
+}
\ No newline at end of file
@@ -1,199 +1,286 @@
 /**
  * Content rendering and UI utilities for Nostr
+ *
+ * The DOM layer over the content parser: ContentRenderer turns the token
+ * tree from `ContentParser.parseContent()` into elements, and UIManager
+ * drives the profile viewer page.
  */
 
-class ContentRenderer {
+import * as ContentParser from './content-parser.js';
+import * as Blurhash from './blurhash.js';
+import { Nip05 } from './nip05.js';
+import { MentionChip } from './mention-chip.js';
+import { Lightbox } from './lightbox.js';
+import { ThreadParser } from './thread-parser.js';
+
+export class ContentRenderer {
+    static MAX_EMBED_DEPTH = 2; // quotes inside quotes shown before falling back to a link
+    static SUMMARY_LENGTH = 140; // characters of an unknown kind's content in its summary
+    static BLURHASH_SIZE = 32; // pixels across and down a blurhash placeholder is decoded at
+
+    // Names for event kinds an embed may point at, used in summaries
+    static KIND_NAMES = {
+        0: 'Profile',
+        3: 'Follow list',
+        6: 'Repost',
+        7: 'Reaction',
+        16: 'Repost',
+        1063: 'File',
+        9735: 'Zap',
+        10002: 'Relay list',
+        30023: 'Article'
+    };
+
+    // Quoted notes and other embedded events, image galleries and file cards
+    static STYLES = `
+        .embedded-post {
+            border-left: 3px solid #007bff;
+            margin: 10px 0;
+            padding: 10px;
+            background-color: #f8f9fa;
+            border-radius: 5px;
+            font-size: 14px;
+        }
+        .embedded-post-header {
+            font-size: 12px;
+            color: #666;
+            margin-bottom: 8px;
+        }
+        .embedded-post-content {
+            color: #333;
+            line-height: 1.3;
+        }
+        .embedded-post-loading {
+            color: #999;
+            font-style: italic;
+        }
+        .embedded-post-loaded {
+            cursor: pointer;
+        }
+        .embedded-post-loaded:hover {
+            background-color: #f1f3f5;
+        }
+        .embedded-post .embedded-post {
+            margin: 8px 0 0 0;
+            background-color: white;
+        }
+        .embedded-post-avatar {
+            display: inline-flex;
+            align-items: center;
+            justify-content: center;
+            width: 20px;
+            height: 20px;
+            margin-right: 6px;
+            border-radius: 50%;
+            background-color: #667eea;
+            color: white;
+            font-size: 9px;
+            font-weight: bold;
+            overflow: hidden;
+            vertical-align: middle;
+        }
+        .embedded-post-avatar img {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+        }
+        .embedded-post-author {
+            font-weight: bold;
+            color: #333;
+        }
+        .post-image {
+            cursor: zoom-in;
+        }
+        .media-gallery {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 4px;
+            margin: 10px 0;
+            border-radius: 5px;
+            overflow: hidden;
+        }
+        .media-gallery .post-image {
+            width: 100%;
+            height: 100%;
+            aspect-ratio: 1;
+            object-fit: cover;
+            margin: 0;
+            border-radius: 0;
+        }
+        .media-gallery[data-count="3"] .post-image:first-child {
+            grid-column: span 2;
+            aspect-ratio: 2;
+        }
+        .file-card {
+            display: flex;
+            gap: 12px;
+            border: 1px solid #e9ecef;
+            border-radius: 8px;
+            padding: 10px;
+            margin: 10px 0;
+            background: #fafbfc;
+        }
+        .file-card-preview {
+            flex: 0 0 160px;
+        }
+        .file-card-preview .post-image,
+        .file-card-preview .post-video {
+            margin: 0;
+        }
+        .file-card-icon {
+            font-size: 48px;
+            text-align: center;
+        }
+        .file-card-info {
+            min-width: 0;
+            font-size: 13px;
+        }
+        .file-card-title {
+            font-weight: bold;
+            margin-bottom: 4px;
+        }
+        .file-card-meta,
+        .file-card-hash {
+            color: #666;
+            word-break: break-all;
+        }
+        .file-card-hash {
+            font-family: monospace;
+            font-size: 11px;
+        }
+        .file-card-download {
+            display: inline-block;
+            margin-top: 6px;
+        }
+    `;
     
     /**
-     * Check if URL is an image
+     * Add the renderer's styles to the page once
      */
-    static isImageUrl(url) {
-        return /\.(jpg|jpeg|png|gif|webp|bmp|svg)(\?.*)?$/i.test(url);
+    static injectStyles() {
+        if (document.getElementById('contentRendererStyles')) return;
+        const style = document.createElement('style');
+        style.id = 'contentRendererStyles';
+        style.textContent = ContentRenderer.STYLES;
+        document.head.appendChild(style);
     }
 
     /**
-     * Check if URL is a video
+     * Create image element with error handling
+     *
+     * `media` (the URL's `imeta` metadata) adds alt text, the size to keep
+     * free while it loads, a blurhash placeholder, fallback URLs and the
+     * SHA-256 the lightbox can check.
      */
-    static isVideoUrl(url) {
-        return /\.(mp4|webm|ogg|mov|avi|mkv|m4v)(\?.*)?$/i.test(url);
-    }
+    static createImageElement(url, media = null) {
+        const img = document.createElement('img');
+        img.src = url;
+        img.className = 'post-image';
+        img.alt = 'Posted image';
 
-    /**
-     * Check if URL is a YouTube video
-     */
-    static isYouTubeUrl(url) {
-        return /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]+)/.test(url);
+        const fallbacks = media ? [...media.fallbacks] : [];
+        if (media) {
+            if (media.alt) {
+                img.alt = media.alt;
+                img.title = media.alt;
+            }
+            this.applyMediaSize(img, media);
+            if (media.blurhash) {
+                this.applyBlurhash(img, media.blurhash);
+            }
+            if (media.sha256) {
+                img.dataset.sha256 = media.sha256;
+            }
+        }
+
+        img.onerror = function() {
+            // Try the mirrors from imeta, then show as link instead
+            if (fallbacks.length > 0) {
+                this.src = fallbacks.shift();
+                return;
+            }
+            const link = ContentRenderer.createLinkElement(url, url);
+            this.parentNode.replaceChild(link, this);
+        };
+
+        return img;
     }
 
     /**
-     * Extract YouTube video ID
+     * Reserve a media element's space from its `dim`, so the page doesn't jump when it loads
      */
-    static getYouTubeVideoId(url) {
-        const match = url.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]+)/);
-        return match ? match[1] : null;
+    static applyMediaSize(element, media) {
+        if (media.width && media.height) {
+            element.width = media.width;
+            element.height = media.height;
+            element.style.aspectRatio = `${media.width} / ${media.height}`;
+        }
     }
 
     /**
-     * Parse nostr references (note1, npub, etc.)
+     * Show a blurhash behind an image until it loads
+     *
+     * The average colour always; the decoded blur too where there is a canvas.
      */
-    static parseNostrReferences(content) {
-        const nostrRegex = /nostr:(note1[a-z0-9]+|npub1[a-z0-9]+|nevent1[a-z0-9]+|nprofile1[a-z0-9]+)/g;
-        const parts = [];
-        let lastIndex = 0;
-        let match;
-        
-        while ((match = nostrRegex.exec(content)) !== null) {
-            // Add text before the reference
-            if (match.index > lastIndex) {
-                parts.push({
-                    type: 'text',
-                    content: content.slice(lastIndex, match.index)
-                });
-            }
-            
-            // Add the nostr reference
-            const fullRef = match[0]; // e.g., "nostr:note1abc123..."
-            const identifier = match[1]; // e.g., "note1abc123..."
-            
-            if (identifier.startsWith('note1')) {
-                parts.push({
-                    type: 'note_reference',
-                    identifier: identifier,
-                    fullRef: fullRef
-                });
-            } else if (identifier.startsWith('npub1')) {
-                parts.push({
-                    type: 'profile_reference',
-                    identifier: identifier,
-                    fullRef: fullRef
-                });
-            } else if (identifier.startsWith('nevent1')) {
-                parts.push({
-                    type: 'event_reference',
-                    identifier: identifier,
-                    fullRef: fullRef
-                });
-            } else if (identifier.startsWith('nprofile1')) {
-                parts.push({
-                    type: 'profile_reference',
-                    identifier: identifier,
-                    fullRef: fullRef
-                });
-            }
-            
-            lastIndex = match.index + match[0].length;
-        }
-        
-        // Add remaining text
-        if (lastIndex < content.length) {
-            parts.push({
-                type: 'text',
-                content: content.slice(lastIndex)
-            });
+    static applyBlurhash(img, hash) {
+        const color = Blurhash.averageColor(hash);
+        if (!color) return;
+        img.style.backgroundColor = color;
+
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext ? canvas.getContext('2d') : null;
+        if (context) {
+            const size = this.BLURHASH_SIZE;
+            canvas.width = size;
+            canvas.height = size;
+            const imageData = context.createImageData(size, size);
+            imageData.data.set(Blurhash.decode(hash, size, size));
+            context.putImageData(imageData, 0, 0);
+            img.style.backgroundImage = `url(${canvas.toDataURL()})`;
+            img.style.backgroundSize = '100% 100%';
         }
-        
-        return parts;
+
+        img.onload = function() {
+            this.style.backgroundColor = '';
+            this.style.backgroundImage = '';
+        };
     }
 
     /**
-     * Parse post content into text, links, images, and nostr references
+     * Grid of the images posted together in a note
      */
-    static parsePostContent(content) {
-        // First parse nostr references
-        let parts = this.parseNostrReferences(content);
-        
-        // Then parse URLs in text parts
-        const finalParts = [];
-        
-        parts.forEach(part => {
-            if (part.type === 'text') {
-                // Parse URLs in this text part
-                const urlParts = this.parseUrls(part.content);
-                finalParts.push(...urlParts);
-            } else {
-                // Keep non-text parts as-is
-                finalParts.push(part);
-            }
+    static createGallery(token) {
+        this.injectStyles();
+        const gallery = document.createElement('div');
+        gallery.className = 'media-gallery';
+        gallery.dataset.count = String(token.children.length);
+        token.children.forEach(image => {
+            gallery.appendChild(this.createImageElement(image.url, image.media));
         });
-        
-        return finalParts;
+        return gallery;
     }
 
     /**
-     * Parse URLs in text content
+     * Open the images of a rendered note in the lightbox when one is clicked
+     *
+     * The viewer steps through the note's images that are still shown
+     * (ones that failed to load became links).
      */
-    static parseUrls(content) {
-        const urlRegex = /(https?:\/\/[^\s]+)/g;
-        const parts = [];
-        let lastIndex = 0;
-        let match;
-        
-        while ((match = urlRegex.exec(content)) !== null) {
-            // Add text before the URL
-            if (match.index > lastIndex) {
-                parts.push({
-                    type: 'text',
-                    content: content.slice(lastIndex, match.index)
-                });
-            }
-            
-            // Add the URL
-            const url = match[0];
-            if (this.isImageUrl(url)) {
-                parts.push({
-                    type: 'image',
-                    url: url
-                });
-            } else if (this.isVideoUrl(url)) {
-                parts.push({
-                    type: 'video',
-                    url: url
-                });
-            } else if (this.isYouTubeUrl(url)) {
-                const videoId = this.getYouTubeVideoId(url);
-                parts.push({
-                    type: 'youtube',
-                    url: url,
-                    videoId: videoId
-                });
-            } else {
-                parts.push({
-                    type: 'link',
-                    url: url,
-                    text: url
-                });
-            }
-            
-            lastIndex = match.index + match[0].length;
-        }
-        
-        // Add remaining text
-        if (lastIndex < content.length) {
-            parts.push({
-                type: 'text',
-                content: content.slice(lastIndex)
+    static enableLightbox(container) {
+        this.injectStyles();
+        const images = [...container.querySelectorAll('.post-image')];
+        images.forEach(img => {
+            img.addEventListener('click', (event) => {
+                // Not the embed's own click, which opens its thread
+                event.stopPropagation();
+                const shown = images.filter(image => image.parentNode);
+                Lightbox.open(shown.map(image => ({
+                    url: image.src,
+                    alt: image.title || '',
+                    sha256: image.dataset.sha256 || null
+                })), shown.indexOf(img));
             });
-        }
-        
-        return parts;
-    }
-
-    /**
-     * Create image element with error handling
-     */
-    static createImageElement(url) {
-        const img = document.createElement('img');
-        img.src = url;
-        img.className = 'post-image';
-        img.alt = 'Posted image';
-        
-        img.onerror = function() {
-            // If image fails to load, show as link instead
-            const link = ContentRenderer.createLinkElement(url, url);
-            this.parentNode.replaceChild(link, this);
-        };
-        
-        return img;
+        });
     }
 
     /**
@@ -212,12 +299,19 @@ class ContentRenderer {
     /**
      * Create video element with error handling
      */
-    static createVideoElement(url) {
+    static createVideoElement(url, media = null) {
         const video = document.createElement('video');
         video.src = url;
         video.className = 'post-video';
         video.controls = true;
         video.preload = 'metadata';
+        if (media) {
+            // Still frame and size from imeta
+            if (media.thumb) {
+                video.poster = media.thumb;
+            }
+            this.applyMediaSize(video, media);
+        }
         
         video.onerror = function() {
             // If video fails to load, show as link instead
@@ -256,6 +350,8 @@ class ContentRenderer {
      * Create embedded post placeholder
      */
     static createEmbeddedPostPlaceholder(identifier, type) {
+        this.injectStyles();
+
         const embeddedDiv = document.createElement('div');
         embeddedDiv.className = 'embedded-post';
         embeddedDiv.dataset.identifier = identifier;
@@ -281,106 +377,391 @@ class ContentRenderer {
         return span;
     }
 
+    /**
+     * Create a NIP-30 custom emoji image, falling back to its `:shortcode:`
+     */
+    static createCustomEmoji(shortcode, url) {
+        const img = document.createElement('img');
+        img.className = 'custom-emoji';
+        img.src = url;
+        img.alt = `:${shortcode}:`;
+        img.title = `:${shortcode}:`;
+
+        img.onerror = function() {
+            // If the image fails to load, show the shortcode instead
+            this.parentNode.replaceChild(document.createTextNode(`:${shortcode}:`), this);
+        };
+
+        return img;
+    }
+
+    /**
+     * Set an element's text (a name, say) with its custom emoji as images
+     *
+     * `emojis` maps shortcodes to URLs, as from ContentParser.getEmojis().
+     */
+    static renderEmojiText(element, text, emojis = null) {
+        element.textContent = '';
+        ContentParser.parseEmoji(text, emojis || new Map()).forEach(token => {
+            element.appendChild(token.type === 'emoji'
+                ? this.createCustomEmoji(token.shortcode, token.url)
+                : document.createTextNode(token.content));
+        });
+        return element;
+    }
+
+    /**
+     * Create a link to the feed of a hashtag
+     */
+    static createHashtagLink(tag, text = `#${tag}`) {
+        const link = document.createElement('a');
+        link.className = 'hashtag-link';
+        link.href = `hashtag.html?t=${encodeURIComponent(tag)}`;
+        link.textContent = text;
+        link.dataset.tag = tag;
+        return link;
+    }
+
+    /**
+     * Links for the `t` tags of a post that its text doesn't already show,
+     * or null if there are none
+     */
+    static createTagHashtags(post) {
+        const inline = ContentParser.parseContent(post.content).children
+            .filter(token => token.type === 'hashtag')
+            .map(token => token.tag);
+        const hashtags = ContentParser.getTagHashtags(post).filter(tag => !inline.includes(tag));
+        if (hashtags.length === 0) {
+            return null;
+        }
+
+        const container = document.createElement('div');
+        container.className = 'post-hashtags';
+        hashtags.forEach(tag => container.appendChild(this.createHashtagLink(tag)));
+        return container;
+    }
+
     /**
      * Render post content with mixed media and nostr references
+     *
+     * `context` is where the content sits: `depth` counts the quotes it is
+     * nested in and `quoted` lists the ids of the notes around it, so
+     * embeds stop at MAX_EMBED_DEPTH and never repeat an outer note.
+     * `tags` are the note's tags, for its custom emoji and media metadata.
      */
-    static renderPostContent(content, eventFetcher = null) {
-        const parts = this.parsePostContent(content);
+    static renderPostContent(content, eventFetcher = null, context = { depth: 0, quoted: [] }, tags = []) {
         const container = document.createElement('div');
         container.className = 'post-content';
-        
-        parts.forEach(part => {
-            if (part.type === 'text') {
-                const textNode = document.createTextNode(part.content);
-                container.appendChild(textNode);
-            } else if (part.type === 'image') {
-                const img = this.createImageElement(part.url);
-                container.appendChild(img);
-            } else if (part.type === 'video') {
-                const video = this.createVideoElement(part.url);
-                container.appendChild(video);
-            } else if (part.type === 'youtube') {
-                const youtubeEmbed = this.createYouTubeEmbed(part.videoId, part.url);
-                container.appendChild(youtubeEmbed);
-            } else if (part.type === 'link') {
-                const link = this.createLinkElement(part.url, part.text);
-                container.appendChild(link);
-            } else if (part.type === 'note_reference') {
-                // Create embedded post
-                const embeddedPost = this.createEmbeddedPostPlaceholder(part.identifier, 'note');
-                container.appendChild(embeddedPost);
-                
-                // Try to fetch the referenced event
-                if (eventFetcher) {
-                    try {
-                        const decoded = CryptoUtils.decodeNostrReference(part.identifier);
-                        if (decoded.type === 'eventid') {
-                            eventFetcher.fetchEvent(decoded.hex, (event) => {
-                                this.renderEmbeddedPost(embeddedPost, event);
-                            });
-                        }
-                    } catch (e) {
-                        console.error('Error decoding note reference:', e);
-                        embeddedPost.innerHTML = `<div class="embedded-post-loading">Error loading note</div>`;
-                    }
-                }
-            } else if (part.type === 'profile_reference') {
-                // Just show as a clickable reference for now
-                const ref = this.createNostrReference(part.identifier, part.fullRef);
-                container.appendChild(ref);
-            } else if (part.type === 'event_reference') {
-                // Similar to note_reference but for nevent
-                const embeddedPost = this.createEmbeddedPostPlaceholder(part.identifier, 'event');
-                container.appendChild(embeddedPost);
-            }
+
+        ContentParser.parseContent(content, tags).children.forEach(token => {
+            container.appendChild(this.renderToken(token, eventFetcher, context));
         });
-        
+        this.enableLightbox(container);
+
         return container;
     }
 
+    /**
+     * Build the DOM node for one token of a parsed note
+     */
+    static renderToken(token, eventFetcher = null, context = { depth: 0, quoted: [] }) {
+        if (token.type === 'image') {
+            return this.createImageElement(token.url, token.media);
+        } else if (token.type === 'gallery') {
+            return this.createGallery(token);
+        } else if (token.type === 'video') {
+            return this.createVideoElement(token.url, token.media);
+        } else if (token.type === 'youtube') {
+            return this.createYouTubeEmbed(token.videoId, token.url);
+        } else if (token.type === 'link') {
+            return this.createLinkElement(token.url, token.text);
+        } else if (token.type === 'hashtag') {
+            return this.createHashtagLink(token.tag, token.text);
+        } else if (token.type === 'emoji') {
+            return this.createCustomEmoji(token.shortcode, token.url);
+        } else if (token.type === 'note_reference' || token.type === 'event_reference') {
+            return this.createEmbeddedEvent(token, eventFetcher, context);
+        } else if (token.type === 'profile_reference' && token.pointer && token.pointer.type === 'pubkey') {
+            return MentionChip.create(token.pointer, token.identifier, eventFetcher);
+        } else if (token.type === 'profile_reference' || token.type === 'address_reference') {
+            // Just show as a clickable reference for now
+            return this.createNostrReference(token.identifier, token.fullRef);
+        }
+        return document.createTextNode(token.content);
+    }
+
+    /**
+     * Embed a note/nevent reference, fetched from its relay hints and author's relays
+     *
+     * Past MAX_EMBED_DEPTH, or for a note the content is already inside,
+     * the reference becomes a link to its thread instead.
+     */
+    static createEmbeddedEvent(token, eventFetcher = null, context = { depth: 0, quoted: [] }) {
+        const type = token.type === 'note_reference' ? 'note' : 'event';
+        const pointer = token.pointer && token.pointer.type === 'eventid' ? token.pointer : null;
+
+        if (pointer && (context.depth >= this.MAX_EMBED_DEPTH || context.quoted.includes(pointer.hex))) {
+            return this.createQuoteLink(pointer.hex, token.identifier);
+        }
+
+        const embeddedPost = this.createEmbeddedPostPlaceholder(token.identifier, type);
+        if (!eventFetcher) {
+            return embeddedPost;
+        }
+
+        if (!pointer) {
+            console.error(`Error decoding ${type} reference:`, token.identifier);
+            embeddedPost.innerHTML = `<div class="embedded-post-loading">Error loading ${type}</div>`;
+            return embeddedPost;
+        }
+
+        eventFetcher.loadPointer(pointer).then((event) => {
+            if (event) {
+                this.renderEmbeddedPost(embeddedPost, event, eventFetcher, {
+                    depth: context.depth + 1,
+                    quoted: [...context.quoted, event.id]
+                });
+            } else {
+                embeddedPost.innerHTML = `<div class="embedded-post-loading">The ${type} could not be found</div>`;
+            }
+        });
+        return embeddedPost;
+    }
+
+    /**
+     * Link to a quoted note's thread, for quotes that aren't embedded
+     */
+    static createQuoteLink(eventId, identifier) {
+        const link = this.createNostrReference(`↪ ${identifier.slice(0, 16)}…`, `nostr:${identifier}`);
+        link.classList.add('quote-link');
+        link.onclick = () => {
+            window.open(`thread.html?id=${eventId}`, '_blank');
+        };
+        return link;
+    }
+
     /**
      * Render an embedded post once data is fetched
+     *
+     * Text notes get the same rendering as top-level posts (media, links and
+     * their own embeds, one level deeper), file events a media card; other
+     * kinds get a summary. The
+     * author's name and avatar fill in once their profile loads, and a
+     * click anywhere outside a link opens the note's thread.
      */
-    static renderEmbeddedPost(container, event) {
+    static renderEmbeddedPost(container, event, eventFetcher = null, context = { depth: 1, quoted: [event.id] }) {
+        this.injectStyles();
         container.innerHTML = '';
-        
+        container.dataset.eventId = event.id;
+        container.classList.add('embedded-post-loaded');
+
         const headerDiv = document.createElement('div');
         headerDiv.className = 'embedded-post-header';
-        headerDiv.textContent = `📝 ${ContentRenderer.formatTimestamp(event.created_at)} • ${event.pubkey.slice(0, 8)}...`;
-        
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'embedded-post-content';
-        
+
+        const avatar = document.createElement('span');
+        avatar.className = 'embedded-post-avatar';
+        avatar.textContent = event.pubkey.slice(0, 2).toUpperCase();
+
+        const authorName = document.createElement('span');
+        authorName.className = 'embedded-post-author';
+        authorName.textContent = `${event.pubkey.slice(0, 8)}...`;
+
+        headerDiv.appendChild(avatar);
+        headerDiv.appendChild(authorName);
+        headerDiv.appendChild(document.createTextNode(` • ${ContentRenderer.formatTimestamp(event.created_at)}`));
+
+        let contentDiv;
         if (event.kind === 1) {
-            // Text note - render content but without recursive embedding to avoid infinite loops
-            contentDiv.textContent = event.content;
+            contentDiv = this.renderPostContent(event.content, eventFetcher, context, event.tags);
+        } else if (event.kind === 1063 && ContentParser.getFileMetadata(event).url) {
+            contentDiv = document.createElement('div');
+            contentDiv.appendChild(this.createFileCard(event));
         } else {
-            contentDiv.textContent = `Event kind ${event.kind}`;
+            contentDiv = document.createElement('div');
+            contentDiv.textContent = this.describeEvent(event);
         }
-        
+        contentDiv.className = 'embedded-post-content';
+
         container.appendChild(headerDiv);
         container.appendChild(contentDiv);
+
+        container.onclick = (clickEvent) => {
+            // The innermost embed handles the click; links keep theirs
+            clickEvent.stopPropagation();
+            if (clickEvent.target.closest && clickEvent.target.closest('a, video, iframe, .nostr-reference, .post-image')) {
+                return;
+            }
+            window.open(`thread.html?id=${event.id}`, '_blank');
+        };
+
+        if (eventFetcher) {
+            eventFetcher.loadPointer({ type: 'pubkey', hex: event.pubkey }).then(profileEvent => {
+                const profile = this.parseProfile(profileEvent);
+                if (!profile) return;
+
+                const name = profile.name || profile.display_name;
+                if (name) {
+                    this.renderEmojiText(authorName, name, profile.emojis);
+                    avatar.textContent = name.slice(0, 2).toUpperCase();
+                    this.addNip05Badge(authorName, profile, event.pubkey);
+                }
+                if (profile.picture) {
+                    const initials = avatar.textContent;
+                    const img = document.createElement('img');
+                    img.src = profile.picture;
+                    img.onerror = () => {
+                        avatar.textContent = initials;
+                    };
+                    avatar.textContent = '';
+                    avatar.appendChild(img);
+                }
+            });
+        }
+    }
+
+    /**
+     * Media card for a NIP-94 file event (Kind 1063)
+     *
+     * A preview (the image or video itself, else its thumbnail), the
+     * summary or alt text, the file's name, type, size, dimensions and
+     * hash, and a download link.
+     */
+    static createFileCard(event) {
+        this.injectStyles();
+        const media = ContentParser.getFileMetadata(event);
+        const mime = media.mime || '';
+
+        const card = document.createElement('div');
+        card.className = 'file-card';
+
+        let preview;
+        if (mime.startsWith('image/')) {
+            preview = this.createImageElement(media.url, media);
+        } else if (mime.startsWith('video/')) {
+            preview = this.createVideoElement(media.url, media);
+        } else if (media.thumb) {
+            preview = this.createImageElement(media.thumb, { ...media, url: media.thumb, sha256: null, fallbacks: [] });
+        } else {
+            preview = document.createElement('div');
+            preview.className = 'file-card-icon';
+            preview.textContent = '📄';
+        }
+        const previewDiv = document.createElement('div');
+        previewDiv.className = 'file-card-preview';
+        previewDiv.appendChild(preview);
+        card.appendChild(previewDiv);
+
+        const info = document.createElement('div');
+        info.className = 'file-card-info';
+
+        const fileName = this.getFileName(media.url);
+        const title = document.createElement('div');
+        title.className = 'file-card-title';
+        title.textContent = media.summary || media.alt || fileName;
+        info.appendChild(title);
+
+        const details = [
+            fileName,
+            mime,
+            media.size !== null ? this.formatFileSize(media.size) : '',
+            media.width ? `${media.width}×${media.height}` : ''
+        ].filter(Boolean);
+        const meta = document.createElement('div');
+        meta.className = 'file-card-meta';
+        meta.textContent = details.join(' • ');
+        info.appendChild(meta);
+
+        if (media.sha256) {
+            const hash = document.createElement('div');
+            hash.className = 'file-card-hash';
+            hash.textContent = `SHA-256 ${media.sha256.slice(0, 16)}…`;
+            hash.title = media.sha256;
+            info.appendChild(hash);
+        }
+
+        const download = this.createLinkElement(media.url, '⬇ Download');
+        download.classList.add('file-card-download');
+        download.setAttribute('download', fileName);
+        info.appendChild(download);
+
+        card.appendChild(info);
+        this.enableLightbox(card);
+        return card;
+    }
+
+    /**
+     * The last path segment of a file's URL, or the URL itself
+     */
+    static getFileName(url) {
+        try {
+            return decodeURIComponent(new URL(url).pathname.split('/').pop()) || url;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    /**
+     * Byte count in readable units
+     */
+    static formatFileSize(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let size = bytes;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+    }
+
+    /**
+     * Readable one-line summary of an event that isn't a text note
+     *
+     * Uses the NIP-31 `alt` tag when there is one, then a title, then the
+     * start of the content if it isn't JSON.
+     */
+    static describeEvent(event) {
+        const kindName = this.KIND_NAMES[event.kind] || `Kind ${event.kind} event`;
+        const tagValue = name => (event.tags.find(tag => tag[0] === name && tag[1]) || [])[1];
+
+        let detail = tagValue('alt') || tagValue('title') || '';
+        if (!detail && event.content && !/^\s*[[{]/.test(event.content)) {
+            detail = event.content.length > this.SUMMARY_LENGTH
+                ? event.content.slice(0, this.SUMMARY_LENGTH) + '…'
+                : event.content;
+        }
+        return detail ? `${kindName}: ${detail}` : kindName;
+    }
+
+    /**
+     * Profile fields from a Kind 0 event, or null
+     *
+     * `emojis` holds the custom emoji of its `emoji` tags, for the name.
+     */
+    static parseProfile(profileEvent) {
+        if (!profileEvent) return null;
+        try {
+            const profile = JSON.parse(profileEvent.content);
+            return profile && typeof profile === 'object'
+                ? { ...profile, emojis: ContentParser.getEmojis(profileEvent.tags) }
+                : null;
+        } catch (e) {
+            return null;
+        }
     }
 
     /**
-     * Check if post is a reply by looking for 'e' tags
+     * Check if post is a reply (NIP-10 root/reply markers or positional `e` tags)
      */
     static isReply(post) {
-        return post.tags && post.tags.some(tag => tag[0] === 'e');
+        return ThreadParser.isReply(post);
     }
 
     /**
      * Get the event ID this post is replying to
      */
     static getReplyToEventId(post) {
-        if (!post.tags) return null;
-        
-        // Find the 'e' tag - usually the last one is the direct reply
-        const eTags = post.tags.filter(tag => tag[0] === 'e');
-        if (eTags.length === 0) return null;
-        
-        // Return the last 'e' tag's event ID (most direct reply)
-        return eTags[eTags.length - 1][1];
+        return ThreadParser.getParentId(post);
     }
 
     /**
@@ -413,6 +794,31 @@ class ContentRenderer {
         return threadLink;
     }
 
+    /**
+     * Create the checkmark shown next to a name with a verified NIP-05 identifier
+     */
+    static createNip05Badge(identifier) {
+        const badge = document.createElement('span');
+        badge.className = 'nip05-badge';
+        badge.textContent = '✓';
+        badge.title = `Verified as ${Nip05.format(identifier)}`;
+        return badge;
+    }
+
+    /**
+     * Append the checkmark to a name element once the profile's `nip05` checks out for `pubkey`
+     */
+    static addNip05Badge(nameElement, profile, pubkey) {
+        const identifier = profile && profile.nip05;
+        if (!Nip05.isIdentifier(identifier)) return;
+
+        Nip05.verify(identifier, pubkey).then(verified => {
+            if (verified && !nameElement.querySelector('.nip05-badge')) {
+                nameElement.appendChild(this.createNip05Badge(identifier));
+            }
+        });
+    }
+
     /**
      * Create a single post element
      */
@@ -436,8 +842,15 @@ class ContentRenderer {
         dateDiv.className = 'post-date';
         dateDiv.textContent = new Date(post.created_at * 1000).toLocaleString();
         
-        // Content with media and references
-        const contentDiv = this.renderPostContent(post.content, eventFetcher);
+        // Content with media and references, or a file event's media card
+        let contentDiv;
+        if (post.kind === 1063 && ContentParser.getFileMetadata(post).url) {
+            contentDiv = document.createElement('div');
+            contentDiv.className = 'post-content';
+            contentDiv.appendChild(this.createFileCard(post));
+        } else {
+            contentDiv = this.renderPostContent(post.content, eventFetcher, { depth: 0, quoted: [post.id] }, post.tags);
+        }
         
         // Reactions placeholder (will be populated by individual apps)
         const reactionsDiv = document.createElement('div');
@@ -459,12 +872,66 @@ class ContentRenderer {
         
         postDiv.appendChild(dateDiv);
         postDiv.appendChild(contentDiv);
+
+        // Topics from `t` tags that aren't hashtags in the text
+        const hashtagsDiv = this.createTagHashtags(post);
+        if (hashtagsDiv) {
+            postDiv.appendChild(hashtagsDiv);
+        }
+
         postDiv.appendChild(reactionsDiv);
         postDiv.appendChild(footerDiv);
         
         return postDiv;
     }
 
+    /**
+     * Render a post's reactions grouped by emoji into its reactions container
+     */
+    static renderReactions(container, reactions) {
+        if (reactions.length === 0) {
+            container.innerHTML = '<span class="reactions-loading">No reactions yet</span>';
+            return;
+        }
+
+        // Group reactions by emoji (custom emoji by shortcode and image)
+        const reactionGroups = new Map();
+        reactions.forEach(reaction => {
+            const emoji = ContentParser.getReactionEmoji(reaction);
+            if (!reactionGroups.has(emoji.key)) {
+                reactionGroups.set(emoji.key, { emoji, reactions: [] });
+            }
+            reactionGroups.get(emoji.key).reactions.push(reaction);
+        });
+
+        // Clear loading message
+        container.innerHTML = '';
+
+        // Display each reaction group
+        reactionGroups.forEach(({ emoji, reactions: reactionList }) => {
+            const label = emoji.url ? `:${emoji.shortcode}:` : emoji.text;
+            const reactionElement = document.createElement('div');
+            reactionElement.className = 'reaction';
+            reactionElement.title = `${reactionList.length} ${label} reaction${reactionList.length > 1 ? 's' : ''}`;
+
+            const emojiSpan = document.createElement('span');
+            emojiSpan.className = 'reaction-emoji';
+            if (emoji.url) {
+                emojiSpan.appendChild(this.createCustomEmoji(emoji.shortcode, emoji.url));
+            } else {
+                emojiSpan.textContent = emoji.text;
+            }
+
+            const countSpan = document.createElement('span');
+            countSpan.className = 'reaction-count';
+            countSpan.textContent = reactionList.length;
+
+            reactionElement.appendChild(emojiSpan);
+            reactionElement.appendChild(countSpan);
+            container.appendChild(reactionElement);
+        });
+    }
+
     /**
      * Render multiple posts
      */
@@ -515,7 +982,7 @@ class ContentRenderer {
 /**
  * UI Manager for handling DOM updates and user interactions
  */
-class UIManager {
+export class UIManager {
     constructor() {
         this.elements = {};
         this.initializeElements();
@@ -584,7 +1051,8 @@ class UIManager {
         }
         
         // Basic info
-        this.elements.profileName.textContent = profile.name || profile.display_name || 'No name set';
+        ContentRenderer.renderEmojiText(this.elements.profileName, profile.name || profile.display_name || 'No name set', profile.emojis);
+        ContentRenderer.addNip05Badge(this.elements.profileName, profile, profile.pubkey);
         this.elements.profileAbout.textContent = profile.about || 'No bio available';
         this.elements.profilePubkey.textContent = profile.pubkey;
         
@@ -607,7 +1075,7 @@ class UIManager {
         
         // Relay info
         this.elements.relayInfo.innerHTML = 
-            `<strong>Connected to ${connectedRelays} relays</strong><br>` +
+            `<strong>Connected to ${connectedRelays} relays</strong> (<a href="relays.html">status</a>)<br>` +
             `Profile last updated: ${new Date(profile.created_at * 1000).toLocaleString()}`;
     }
 
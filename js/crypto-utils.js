@@ -1,261 +1,855 @@
 /**
  * Cryptographic utilities for Nostr key handling
+ *
+ * Pure functions with no DOM or network access: bech32/NIP-19 codecs,
+ * SHA-256, event ids and BIP-340 signature verification. Callers import
+ * the module as a namespace (`import * as CryptoUtils from './crypto-utils.js'`).
  */
 
-class CryptoUtils {
-    static BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
-    static BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+export const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+export const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+export const BECH32_MAX_LENGTH = 5000; // NIP-19 TLV entities exceed BIP-173's 90 char limit
 
-    /**
-     * Decode npub to hex format
-     */
-    static decodeNpub(npub) {
-        if (!npub.startsWith('npub1')) {
-            throw new Error('Must start with npub1');
-        }
-        
-        // Remove prefix 'npub1' and checksum (last 6 chars)
-        const data = npub.slice(5, -6);
-        
-        // Decode bech32 characters to 5-bit values
-        const decoded = [];
-        for (let i = 0; i < data.length; i++) {
-            const char = data[i];
-            const val = this.BECH32_CHARSET.indexOf(char);
-            if (val === -1) throw new Error(`Invalid character: ${char}`);
-            decoded.push(val);
-        }
-        
-        // Convert from 5-bit to 8-bit
-        const converted = [];
-        let acc = 0;
-        let bits = 0;
-        
-        for (const value of decoded) {
-            acc = (acc << 5) | value;
-            bits += 5;
-            
-            while (bits >= 8) {
-                bits -= 8;
-                converted.push((acc >>> bits) & 0xff);
+// NIP-19 TLV types
+export const TLV_SPECIAL = 0;
+export const TLV_RELAY = 1;
+export const TLV_AUTHOR = 2;
+export const TLV_KIND = 3;
+
+// secp256k1 curve parameters
+export const SECP256K1_P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+export const SECP256K1_N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+export const SECP256K1_GX = 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n;
+export const SECP256K1_GY = 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n;
+
+export const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Compute the bech32 checksum polynomial over 5-bit values
+ */
+export function bech32Polymod(values) {
+    let chk = 1;
+    for (const value of values) {
+        const top = chk >>> 25;
+        chk = ((chk & 0x1ffffff) << 5) ^ value;
+        for (let i = 0; i < 5; i++) {
+            if ((top >>> i) & 1) {
+                chk ^= BECH32_GENERATOR[i];
             }
         }
-        
-        // Remove the witness version (first byte) - for npub it should be 0
-        if (converted.length > 0 && converted[0] === 0) {
-            return converted.slice(1);
-        }
-        
-        return converted;
-    }
-
-    /**
-     * Calculate bech32 checksum
-     */
-    static bech32Checksum(hrp, data) {
-        let chk = 1;
-        
-        for (let i = 0; i < hrp.length; i++) {
-            chk ^= hrp.charCodeAt(i) >> 5;
-            chk = (chk << 5) ^ (chk >> 27);
-            for (let j = 0; j < 5; j++) {
-                if (((chk >> j) & 1)) {
-                    chk ^= this.BECH32_GENERATOR[j];
-                }
-            }
+    }
+    return chk;
+}
+
+/**
+ * Expand the human-readable part for checksum computation
+ */
+export function bech32HrpExpand(hrp) {
+    const expanded = [];
+    for (let i = 0; i < hrp.length; i++) {
+        expanded.push(hrp.charCodeAt(i) >> 5);
+    }
+    expanded.push(0);
+    for (let i = 0; i < hrp.length; i++) {
+        expanded.push(hrp.charCodeAt(i) & 31);
+    }
+    return expanded;
+}
+
+/**
+ * Calculate bech32 checksum (six 5-bit values)
+ */
+export function bech32Checksum(hrp, data) {
+    const values = [...bech32HrpExpand(hrp), ...data, 0, 0, 0, 0, 0, 0];
+    const polymod = bech32Polymod(values) ^ 1;
+    const result = [];
+    for (let i = 0; i < 6; i++) {
+        result.push((polymod >>> (5 * (5 - i))) & 31);
+    }
+    return result;
+}
+
+/**
+ * Encode 5-bit words as a bech32 string
+ */
+export function bech32Encode(hrp, words) {
+    const checksum = bech32Checksum(hrp, words);
+    let result = hrp + '1';
+    for (const value of [...words, ...checksum]) {
+        result += BECH32_CHARSET[value];
+    }
+    return result;
+}
+
+/**
+ * Decode and validate a bech32 string into its prefix and 5-bit words
+ */
+export function bech32Decode(str, limit = BECH32_MAX_LENGTH) {
+    if (typeof str !== 'string') {
+        throw new Error('Expected a string');
+    }
+    if (str.length < 8 || str.length > limit) {
+        throw new Error(`Invalid length: ${str.length}`);
+    }
+    if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+        throw new Error('Mixed-case string');
+    }
+
+    str = str.toLowerCase();
+    const separator = str.lastIndexOf('1');
+    if (separator < 1) {
+        throw new Error('Missing prefix');
+    }
+    if (separator + 7 > str.length) {
+        throw new Error('Data too short');
+    }
+
+    const hrp = str.slice(0, separator);
+    for (let i = 0; i < hrp.length; i++) {
+        const code = hrp.charCodeAt(i);
+        if (code < 33 || code > 126) {
+            throw new Error(`Invalid prefix character: ${hrp[i]}`);
         }
-        
-        chk = (chk << 5) ^ (chk >> 27);
-        for (let j = 0; j < 5; j++) {
-            if (((chk >> j) & 1)) {
-                chk ^= this.BECH32_GENERATOR[j];
-            }
+    }
+
+    const data = [];
+    for (const char of str.slice(separator + 1)) {
+        const val = BECH32_CHARSET.indexOf(char);
+        if (val === -1) throw new Error(`Invalid character: ${char}`);
+        data.push(val);
+    }
+
+    if (bech32Polymod([...bech32HrpExpand(hrp), ...data]) !== 1) {
+        throw new Error('Invalid checksum');
+    }
+
+    return { prefix: hrp, words: data.slice(0, -6) };
+}
+
+/**
+ * Regroup bits, e.g. 8-bit bytes to 5-bit words and back
+ */
+export function convertBits(data, fromBits, toBits, pad) {
+    let acc = 0;
+    let bits = 0;
+    const result = [];
+    const maxValue = (1 << toBits) - 1;
+
+    for (const value of data) {
+        if (value < 0 || value >> fromBits !== 0) {
+            throw new Error(`Invalid value: ${value}`);
         }
-        
-        for (let i = 0; i < hrp.length; i++) {
-            chk ^= hrp.charCodeAt(i) & 31;
-            chk = (chk << 5) ^ (chk >> 27);
-            for (let j = 0; j < 5; j++) {
-                if (((chk >> j) & 1)) {
-                    chk ^= this.BECH32_GENERATOR[j];
-                }
-            }
+        acc = ((acc << fromBits) | value) & 0xffffff;
+        bits += fromBits;
+        while (bits >= toBits) {
+            bits -= toBits;
+            result.push((acc >>> bits) & maxValue);
         }
-        
-        for (const value of data) {
-            chk ^= value;
-            chk = (chk << 5) ^ (chk >> 27);
-            for (let j = 0; j < 5; j++) {
-                if (((chk >> j) & 1)) {
-                    chk ^= this.BECH32_GENERATOR[j];
-                }
-            }
+    }
+
+    if (pad) {
+        if (bits > 0) {
+            result.push((acc << (toBits - bits)) & maxValue);
         }
-        
-        for (let i = 0; i < 6; i++) {
-            chk = (chk << 5) ^ (chk >> 27);
-            for (let j = 0; j < 5; j++) {
-                if (((chk >> j) & 1)) {
-                    chk ^= this.BECH32_GENERATOR[j];
-                }
-            }
+    } else if (bits >= fromBits || ((acc << (toBits - bits)) & maxValue)) {
+        throw new Error('Invalid padding');
+    }
+
+    return result;
+}
+
+/**
+ * Encode raw bytes under a bech32 prefix
+ */
+export function encodeBech32Bytes(hrp, bytes) {
+    return bech32Encode(hrp, convertBits(bytes, 8, 5, true));
+}
+
+/**
+ * Decode a bech32 string into its prefix and raw bytes
+ */
+export function decodeBech32Bytes(str) {
+    const { prefix, words } = bech32Decode(str);
+    return { prefix, bytes: new Uint8Array(convertBits(words, 5, 8, false)) };
+}
+
+/**
+ * Serialize NIP-19 TLV entries ([type, bytes] pairs)
+ */
+export function encodeTLV(entries) {
+    const out = [];
+    for (const [type, value] of entries) {
+        if (value.length > 255) {
+            throw new Error(`TLV value too long for type ${type}`);
         }
-        
-        chk ^= 1;
-        
-        const result = [];
-        for (let i = 0; i < 6; i++) {
-            result.push((chk >> (5 * (5 - i))) & 31);
+        out.push(type, value.length, ...value);
+    }
+    return new Uint8Array(out);
+}
+
+/**
+ * Parse NIP-19 TLV bytes into { type: [values] }
+ */
+export function parseTLV(bytes) {
+    const result = {};
+    let offset = 0;
+    while (offset < bytes.length) {
+        if (offset + 2 > bytes.length) {
+            throw new Error('Truncated TLV entry');
         }
-        
-        return result;
-    }
-
-    /**
-     * Convert hex to npub format
-     */
-    static hexToNpub(hex) {
-        // Remove any 0x prefix and ensure it's 64 chars
-        hex = hex.replace(/^0x/, '').padStart(64, '0');
-        
-        // Convert hex to bytes
-        const bytes = [];
-        for (let i = 0; i < hex.length; i += 2) {
-            bytes.push(parseInt(hex.substr(i, 2), 16));
+        const type = bytes[offset];
+        const length = bytes[offset + 1];
+        const value = bytes.slice(offset + 2, offset + 2 + length);
+        if (value.length < length) {
+            throw new Error(`Not enough data for TLV type ${type}`);
         }
-        
-        // Add witness version (0 for npub)
-        const data = [0, ...bytes];
-        
-        // Convert to 5-bit for bech32
-        const converted = [];
-        let acc = 0;
-        let bits = 0;
-        
-        for (const value of data) {
-            acc = (acc << 8) | value;
-            bits += 8;
-            
-            while (bits >= 5) {
-                bits -= 5;
-                converted.push((acc >>> bits) & 31);
+        result[type] = result[type] || [];
+        result[type].push(value);
+        offset += 2 + length;
+    }
+    return result;
+}
+
+/**
+ * Decode any NIP-19 entity into { type, data }
+ */
+export function nip19Decode(identifier) {
+    const { prefix, bytes } = decodeBech32Bytes(identifier);
+    const textDecoder = new TextDecoder();
+
+    switch (prefix) {
+        case 'npub':
+        case 'nsec':
+        case 'note':
+            if (bytes.length !== 32) {
+                throw new Error(`Expected 32 bytes, got ${bytes.length}`);
             }
+            return { type: prefix, data: bytesToHex(bytes) };
+
+        case 'nprofile': {
+            const tlv = parseTLV(bytes);
+            return {
+                type: prefix,
+                data: {
+                    pubkey: requireTLVBytes(tlv, TLV_SPECIAL, 32, 'pubkey'),
+                    relays: readTLVRelays(tlv)
+                }
+            };
         }
-        
-        if (bits > 0) {
-            converted.push((acc << (5 - bits)) & 31);
+
+        case 'nevent': {
+            const tlv = parseTLV(bytes);
+            const data = {
+                id: requireTLVBytes(tlv, TLV_SPECIAL, 32, 'event id'),
+                relays: readTLVRelays(tlv)
+            };
+            if (tlv[TLV_AUTHOR]) {
+                data.author = requireTLVBytes(tlv, TLV_AUTHOR, 32, 'author');
+            }
+            if (tlv[TLV_KIND]) {
+                data.kind = readTLVKind(tlv);
+            }
+            return { type: prefix, data };
         }
-        
-        // Calculate checksum
-        const checksum = this.bech32Checksum('npub', converted);
-        const allData = [...converted, ...checksum];
-        
-        // Encode with bech32 charset
-        let result = 'npub1';
-        for (const val of allData) {
-            result += this.BECH32_CHARSET[val];
+
+        case 'naddr': {
+            const tlv = parseTLV(bytes);
+            if (!tlv[TLV_SPECIAL]) {
+                throw new Error('Missing identifier');
+            }
+            if (!tlv[TLV_KIND]) {
+                throw new Error('Missing kind');
+            }
+            return {
+                type: prefix,
+                data: {
+                    identifier: textDecoder.decode(tlv[TLV_SPECIAL][0]),
+                    pubkey: requireTLVBytes(tlv, TLV_AUTHOR, 32, 'author'),
+                    kind: readTLVKind(tlv),
+                    relays: readTLVRelays(tlv)
+                }
+            };
         }
-        
-        return result;
-    }
-
-    /**
-     * Convert npub to hex format
-     */
-    static npubToHex(npub) {
-        if (npub.startsWith('npub')) {
-            try {
-                const bytes = this.decodeNpub(npub);
-                const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join('');
-                return hex.padStart(64, '0');
-            } catch (e) {
-                throw new Error('Invalid npub format: ' + e.message);
+
+        case 'nrelay': {
+            const tlv = parseTLV(bytes);
+            if (!tlv[TLV_SPECIAL]) {
+                throw new Error('Missing relay url');
             }
+            return { type: prefix, data: textDecoder.decode(tlv[TLV_SPECIAL][0]) };
         }
-        return npub;
+
+        default:
+            throw new Error(`Unknown prefix: ${prefix}`);
     }
+}
 
-    /**
-     * Validate public key format
-     */
-    static validatePubkey(pubkey) {
+/**
+ * Read a fixed-length TLV value as hex, throwing if it is missing or malformed
+ */
+export function requireTLVBytes(tlv, type, length, label) {
+    const value = tlv[type] && tlv[type][0];
+    if (!value) {
+        throw new Error(`Missing ${label}`);
+    }
+    if (value.length !== length) {
+        throw new Error(`Invalid ${label} length: ${value.length}`);
+    }
+    return bytesToHex(value);
+}
+
+/**
+ * Read all relay hints from parsed TLV
+ */
+export function readTLVRelays(tlv) {
+    const textDecoder = new TextDecoder();
+    return (tlv[TLV_RELAY] || []).map(value => textDecoder.decode(value));
+}
+
+/**
+ * Read the 32-bit big-endian kind from parsed TLV
+ */
+export function readTLVKind(tlv) {
+    const value = tlv[TLV_KIND][0];
+    if (value.length !== 4) {
+        throw new Error(`Invalid kind length: ${value.length}`);
+    }
+    return new DataView(value.buffer, value.byteOffset, 4).getUint32(0);
+}
+
+/**
+ * Build the TLV entries shared by the relay-hinted entity types
+ */
+export function buildTLVEntries({ special, relays = [], author, kind }) {
+    const textEncoder = new TextEncoder();
+    const entries = [[TLV_SPECIAL, special]];
+    relays.forEach(relay => entries.push([TLV_RELAY, textEncoder.encode(relay)]));
+    if (author) {
+        entries.push([TLV_AUTHOR, hexToBytes(author)]);
+    }
+    if (kind !== undefined && kind !== null) {
+        const kindBytes = new Uint8Array(4);
+        new DataView(kindBytes.buffer).setUint32(0, kind);
+        entries.push([TLV_KIND, kindBytes]);
+    }
+    return encodeTLV(entries);
+}
+
+/**
+ * Encode a 32-byte hex value under a bare NIP-19 prefix
+ */
+export function encodeHex32(prefix, hex) {
+    hex = hex.replace(/^0x/, '').padStart(64, '0');
+    if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+        throw new Error('Expected 32-byte hex value');
+    }
+    return encodeBech32Bytes(prefix, hexToBytes(hex));
+}
+
+/**
+ * Convert hex to npub format
+ */
+export function hexToNpub(hex) {
+    return encodeHex32('npub', hex);
+}
+
+/**
+ * Convert an event id to note1 format
+ */
+export function hexToNote(hex) {
+    return encodeHex32('note', hex);
+}
+
+/**
+ * Encode an nprofile from { pubkey, relays }
+ */
+export function encodeNprofile({ pubkey, relays = [] }) {
+    return encodeBech32Bytes('nprofile', buildTLVEntries({
+        special: hexToBytes(pubkey),
+        relays
+    }));
+}
+
+/**
+ * Encode an nevent from { id, relays, author, kind }
+ */
+export function encodeNevent({ id, relays = [], author, kind }) {
+    return encodeBech32Bytes('nevent', buildTLVEntries({
+        special: hexToBytes(id),
+        relays,
+        author,
+        kind
+    }));
+}
+
+/**
+ * Encode an naddr from { identifier, pubkey, kind, relays }
+ */
+export function encodeNaddr({ identifier, pubkey, kind, relays = [] }) {
+    return encodeBech32Bytes('naddr', buildTLVEntries({
+        special: new TextEncoder().encode(identifier),
+        relays,
+        author: pubkey,
+        kind
+    }));
+}
+
+/**
+ * Encode an nrelay from a relay url
+ */
+export function encodeNrelay(url) {
+    return encodeBech32Bytes('nrelay', buildTLVEntries({
+        special: new TextEncoder().encode(url)
+    }));
+}
+
+/**
+ * Decode npub to an array of key bytes
+ */
+export function decodeNpub(npub) {
+    const { type, data } = nip19Decode(npub);
+    if (type !== 'npub') {
+        throw new Error('Must start with npub1');
+    }
+    return Array.from(hexToBytes(data));
+}
+
+/**
+ * Convert npub to hex format
+ */
+export function npubToHex(npub) {
+    if (npub.startsWith('npub')) {
         try {
-            const hex = this.npubToHex(pubkey);
-            return /^[0-9a-fA-F]{64}$/.test(hex);
+            return bytesToHex(decodeNpub(npub));
         } catch (e) {
-            return false;
+            throw new Error('Invalid npub format: ' + e.message);
         }
     }
+    return npub;
+}
 
-    /**
-     * Normalize public key to hex format
-     */
-    static normalizeKey(key) {
-        return this.npubToHex(key);
+/**
+ * Validate public key format
+ */
+export function validatePubkey(pubkey) {
+    try {
+        const hex = normalizeKey(pubkey);
+        return /^[0-9a-fA-F]{64}$/.test(hex);
+    } catch (e) {
+        return false;
     }
+}
 
-    /**
-     * Decode note1 (event ID) to hex format
-     */
-    static note1ToHex(note1) {
-        if (!note1.startsWith('note1')) {
+/**
+ * Decode user input (hex or any NIP-19 entity); bare hex is read as `hexType`
+ */
+export function parseInput(input, hexType = 'pubkey') {
+    input = input.trim().replace(/^nostr:/, '');
+    if (/^[0-9a-fA-F]{64}$/.test(input)) {
+        return { type: hexType, hex: input.toLowerCase(), relays: [] };
+    }
+    return decodeNostrReference(input);
+}
+
+/**
+ * Normalize public key (hex, npub, nprofile or nostr: URI) to hex format
+ */
+export function normalizeKey(key) {
+    const decoded = parseInput(key, 'pubkey');
+    if (decoded.type !== 'pubkey') {
+        throw new Error('Expected a public key (hex, npub or nprofile)');
+    }
+    return decoded.hex;
+}
+
+/**
+ * Normalize event id (hex, note or nevent) to hex format
+ */
+export function normalizeEventId(id) {
+    const decoded = parseInput(id, 'eventid');
+    if (decoded.type !== 'eventid') {
+        throw new Error('Expected an event id (hex, note or nevent)');
+    }
+    return decoded.hex;
+}
+
+/**
+ * Decode note1 (event ID) to hex format
+ */
+export function note1ToHex(note1) {
+    try {
+        const { type, data } = nip19Decode(note1);
+        if (type !== 'note') {
             throw new Error('Must start with note1');
         }
-        
-        try {
-            // Use same decoding logic as npub but for notes
-            const data = note1.slice(5, -6); // Remove 'note1' and checksum
-            const decoded = [];
-            
-            for (let i = 0; i < data.length; i++) {
-                const char = data[i];
-                const val = this.BECH32_CHARSET.indexOf(char);
-                if (val === -1) throw new Error(`Invalid character: ${char}`);
-                decoded.push(val);
-            }
-            
-            // Convert from 5-bit to 8-bit
-            const converted = [];
-            let acc = 0;
-            let bits = 0;
-            
-            for (const value of decoded) {
-                acc = (acc << 5) | value;
-                bits += 5;
-                
-                while (bits >= 8) {
-                    bits -= 8;
-                    converted.push((acc >>> bits) & 0xff);
-                }
-            }
-            
-            // Remove witness version byte if present
-            if (converted.length > 0 && converted[0] === 0) {
-                return converted.slice(1).map(b => b.toString(16).padStart(2, '0')).join('');
-            }
-            
-            return converted.map(b => b.toString(16).padStart(2, '0')).join('');
-        } catch (e) {
-            throw new Error('Invalid note1 format: ' + e.message);
-        }
+        return data;
+    } catch (e) {
+        throw new Error('Invalid note1 format: ' + e.message);
     }
+}
 
-    /**
-     * Convert nostr reference to appropriate format
-     */
-    static decodeNostrReference(identifier) {
-        if (identifier.startsWith('npub1')) {
+/**
+ * Convert nostr reference to appropriate format
+ *
+ * Returns { type: 'pubkey' | 'eventid' | 'address' | 'relay', hex?, relays, ... }
+ */
+export function decodeNostrReference(identifier) {
+    identifier = identifier.trim().replace(/^nostr:/, '');
+
+    let decoded;
+    try {
+        decoded = nip19Decode(identifier);
+    } catch (e) {
+        throw new Error(`Invalid reference ${identifier.slice(0, 12)}...: ${e.message}`);
+    }
+
+    const { type, data } = decoded;
+    switch (type) {
+        case 'npub':
+            return { type: 'pubkey', hex: data, relays: [] };
+        case 'nprofile':
+            return { type: 'pubkey', hex: data.pubkey, relays: data.relays };
+        case 'note':
+            return { type: 'eventid', hex: data, relays: [] };
+        case 'nevent':
             return {
-                type: 'pubkey',
-                hex: this.npubToHex(identifier)
+                type: 'eventid',
+                hex: data.id,
+                relays: data.relays,
+                author: data.author,
+                kind: data.kind
             };
-        } else if (identifier.startsWith('note1')) {
+        case 'naddr':
             return {
-                type: 'eventid',
-                hex: this.note1ToHex(identifier)
+                type: 'address',
+                kind: data.kind,
+                pubkey: data.pubkey,
+                identifier: data.identifier,
+                relays: data.relays
             };
-        } else {
-            throw new Error(`Unsupported reference type: ${identifier}`);
+        case 'nrelay':
+            return { type: 'relay', url: data, relays: [data] };
+        default:
+            throw new Error(`Unsupported reference type: ${type} (this viewer never accepts private keys)`);
+    }
+}
+
+/**
+ * Convert a hex string to a Uint8Array
+ */
+export function hexToBytes(hex) {
+    if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+        throw new Error('Invalid hex string');
+    }
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Convert a byte array to a lowercase hex string
+ */
+export function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 digest of a string (UTF-8 encoded) or byte array
+ */
+export function sha256(input) {
+    const data = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    const K = SHA256_K;
+    const H = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+        0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+
+    // Pad message: 0x80, zeros, then 64-bit big-endian bit length
+    const paddedLength = Math.ceil((data.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(data);
+    padded[data.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    const bitLength = data.length * 8;
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
         }
+
+        let [a, b, c, d, e, f, g, h] = H;
+        for (let i = 0; i < 64; i++) {
+            const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (h + S1 + ch + K[i] + w[i]) >>> 0;
+            const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) >>> 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) >>> 0;
+        }
+
+        H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+        H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+    }
+
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    H.forEach((word, i) => outView.setUint32(i * 4, word));
+    return out;
+}
+
+/**
+ * BIP-340 tagged hash: sha256(sha256(tag) || sha256(tag) || msg)
+ */
+export function taggedHash(tag, ...chunks) {
+    const tagHash = sha256(tag);
+    const length = chunks.reduce((sum, chunk) => sum + chunk.length, 64);
+    const data = new Uint8Array(length);
+    data.set(tagHash, 0);
+    data.set(tagHash, 32);
+    let offset = 64;
+    for (const chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return sha256(data);
+}
+
+/**
+ * Canonical NIP-01 serialization used to compute an event id
+ */
+export function serializeEvent(event) {
+    return JSON.stringify([
+        0,
+        event.pubkey,
+        event.created_at,
+        event.kind,
+        event.tags,
+        event.content
+    ]);
+}
+
+/**
+ * Compute the NIP-01 event id (hex SHA-256 of the serialized event)
+ */
+export function getEventHash(event) {
+    return bytesToHex(sha256(serializeEvent(event)));
+}
+
+/**
+ * Check that an object has the shape of a NIP-01 event
+ */
+export function isWellFormedEvent(event) {
+    return !!event &&
+        typeof event === 'object' &&
+        /^[0-9a-f]{64}$/.test(event.id) &&
+        /^[0-9a-f]{64}$/.test(event.pubkey) &&
+        /^[0-9a-f]{128}$/.test(event.sig) &&
+        Number.isInteger(event.created_at) &&
+        Number.isInteger(event.kind) &&
+        typeof event.content === 'string' &&
+        Array.isArray(event.tags) &&
+        event.tags.every(tag => Array.isArray(tag) && tag.every(item => typeof item === 'string'));
+}
+
+/**
+ * Verify an event's id and Schnorr signature
+ */
+export function verifyEvent(event) {
+    if (!isWellFormedEvent(event)) {
+        return false;
+    }
+
+    if (getEventHash(event) !== event.id) {
+        return false;
+    }
+
+    return verifySchnorr(event.sig, event.id, event.pubkey);
+}
+
+/**
+ * Verify a BIP-340 Schnorr signature (all arguments hex)
+ */
+export function verifySchnorr(sigHex, messageHex, pubkeyHex) {
+    try {
+        const P_MOD = SECP256K1_P;
+        const N = SECP256K1_N;
+        const sig = hexToBytes(sigHex);
+        const message = hexToBytes(messageHex);
+        const pubkey = hexToBytes(pubkeyHex);
+        if (sig.length !== 64 || pubkey.length !== 32) return false;
+
+        const point = liftX(bytesToBigInt(pubkey));
+        if (!point) return false;
+
+        const r = bytesToBigInt(sig.subarray(0, 32));
+        const s = bytesToBigInt(sig.subarray(32, 64));
+        if (r >= P_MOD || s >= N) return false;
+
+        const e = bytesToBigInt(
+            taggedHash('BIP0340/challenge', sig.subarray(0, 32), pubkey, message)
+        ) % N;
+
+        // R = s*G - e*P
+        const R = pointToAffine(doubleScalarMultiply(
+            s,
+            [SECP256K1_GX, SECP256K1_GY, 1n],
+            (N - e) % N,
+            [point[0], point[1], 1n]
+        ));
+        if (!R) return false;
+
+        return R[1] % 2n === 0n && R[0] === r;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Interpret a big-endian byte array as a BigInt
+ */
+export function bytesToBigInt(bytes) {
+    return bytes.length === 0 ? 0n : BigInt('0x' + bytesToHex(bytes));
+}
+
+/**
+ * Field modulo for secp256k1
+ */
+export function mod(a, m = SECP256K1_P) {
+    const result = a % m;
+    return result >= 0n ? result : result + m;
+}
+
+/**
+ * Modular exponentiation
+ */
+export function modPow(base, exponent, m = SECP256K1_P) {
+    let result = 1n;
+    base = mod(base, m);
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % m;
+        base = (base * base) % m;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+/**
+ * Return the curve point with the given x and an even y (BIP-340 lift_x)
+ */
+export function liftX(x) {
+    const P_MOD = SECP256K1_P;
+    if (x >= P_MOD) return null;
+    const c = mod(x * x * x + 7n);
+    const y = modPow(c, (P_MOD + 1n) / 4n);
+    if ((y * y) % P_MOD !== c) return null;
+    return [x, y % 2n === 0n ? y : P_MOD - y];
+}
+
+/**
+ * Double a point in Jacobian coordinates (null is the point at infinity)
+ */
+export function pointDouble(point) {
+    if (!point) return null;
+    const [X, Y, Z] = point;
+    if (Y === 0n) return null;
+    const YY = mod(Y * Y);
+    const S = mod(4n * X * YY);
+    const M = mod(3n * X * X);
+    const X3 = mod(M * M - 2n * S);
+    const Y3 = mod(M * (S - X3) - 8n * YY * YY);
+    const Z3 = mod(2n * Y * Z);
+    return [X3, Y3, Z3];
+}
+
+/**
+ * Add two points in Jacobian coordinates
+ */
+export function pointAdd(p1, p2) {
+    if (!p1) return p2;
+    if (!p2) return p1;
+    const [X1, Y1, Z1] = p1;
+    const [X2, Y2, Z2] = p2;
+    const Z1Z1 = mod(Z1 * Z1);
+    const Z2Z2 = mod(Z2 * Z2);
+    const U1 = mod(X1 * Z2Z2);
+    const U2 = mod(X2 * Z1Z1);
+    const S1 = mod(Y1 * Z2 * Z2Z2);
+    const S2 = mod(Y2 * Z1 * Z1Z1);
+    if (U1 === U2) {
+        return S1 === S2 ? pointDouble(p1) : null;
     }
+    const H = mod(U2 - U1);
+    const R = mod(S2 - S1);
+    const HH = mod(H * H);
+    const HHH = mod(H * HH);
+    const V = mod(U1 * HH);
+    const X3 = mod(R * R - HHH - 2n * V);
+    const Y3 = mod(R * (V - X3) - S1 * HHH);
+    const Z3 = mod(Z1 * Z2 * H);
+    return [X3, Y3, Z3];
+}
+
+/**
+ * Compute a*A + b*B with a single double-and-add pass (Shamir's trick)
+ */
+export function doubleScalarMultiply(a, A, b, B) {
+    const AB = pointAdd(A, B);
+    const bits = Math.max(a.toString(2).length, b.toString(2).length);
+    let result = null;
+    for (let i = bits - 1; i >= 0; i--) {
+        result = pointDouble(result);
+        const bitA = (a >> BigInt(i)) & 1n;
+        const bitB = (b >> BigInt(i)) & 1n;
+        if (bitA && bitB) {
+            result = pointAdd(result, AB);
+        } else if (bitA) {
+            result = pointAdd(result, A);
+        } else if (bitB) {
+            result = pointAdd(result, B);
+        }
+    }
+    return result;
+}
+
+/**
+ * Convert a Jacobian point to affine [x, y]
+ */
+export function pointToAffine(point) {
+    if (!point || point[2] === 0n) return null;
+    const P_MOD = SECP256K1_P;
+    const zInv = modPow(point[2], P_MOD - 2n);
+    const zInv2 = (zInv * zInv) % P_MOD;
+    return [
+        mod(point[0] * zInv2),
+        mod(point[1] * zInv2 * zInv)
+    ];
 }
\ No newline at end of file
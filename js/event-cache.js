@@ -0,0 +1,240 @@
+/**
+ * Persistent IndexedDB cache for events and profiles
+ *
+ * Sits under an EventStore: cached events are loaded into the store on
+ * startup, and new profile, post, follow list, reaction and relay list
+ * events are written back in batches. Old entries are evicted by age and count.
+ */
+
+import { EventStore } from './event-store.js';
+
+export class EventCache {
+    static DB_NAME = 'nostr-viewer';
+    static DB_VERSION = 1;
+    static STORE_NAME = 'events';
+    static CACHED_KINDS = [0, 1, 3, 7, 10002];
+    static MAX_EVENTS = 5000;
+    static MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days since cached
+    static FLUSH_DELAY = 1000;
+
+    constructor() {
+        this.dbPromise = null;
+        this.attached = null; // promise for the store we are attached to
+        this.pendingWrites = new Map(); // id -> event
+        this.pendingDeletes = new Set(); // ids
+        this.flushTimer = null;
+    }
+
+    /**
+     * Whether IndexedDB is usable in this environment
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create/upgrade) the database
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(EventCache.DB_NAME, EventCache.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(EventCache.STORE_NAME)) {
+                        const store = db.createObjectStore(EventCache.STORE_NAME, { keyPath: 'id' });
+                        store.createIndex('cachedAt', 'cachedAt');
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Load cached events into an event store and keep the cache in sync with it
+     *
+     * Safe to call more than once; later calls return the first attach.
+     */
+    attach(eventStore) {
+        if (this.attached) {
+            return this.attached;
+        }
+
+        this.attached = (async () => {
+            if (!EventCache.isAvailable()) {
+                console.log('IndexedDB not available, event cache disabled');
+                return eventStore;
+            }
+
+            try {
+                await this.evict();
+                const events = await this.loadAll();
+                events.forEach(event => eventStore.add(event));
+                console.log(`Loaded ${events.length} cached events`);
+            } catch (e) {
+                console.error('Error loading event cache:', e);
+            }
+
+            // Only start persisting once the cached events are in the store
+            eventStore.observe((change, event) => {
+                if (!EventCache.CACHED_KINDS.includes(event.kind)) return;
+                if (change === 'add') {
+                    this.pendingDeletes.delete(event.id);
+                    this.pendingWrites.set(event.id, event);
+                } else {
+                    this.pendingWrites.delete(event.id);
+                    this.pendingDeletes.add(event.id);
+                }
+                this.scheduleFlush();
+            });
+
+            return eventStore;
+        })();
+
+        return this.attached;
+    }
+
+    /**
+     * Read every cached event
+     */
+    async loadAll() {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(EventCache.STORE_NAME, 'readonly')
+                .objectStore(EventCache.STORE_NAME)
+                .getAll();
+            request.onsuccess = () => resolve(request.result.map(record => record.event));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Batch pending writes into a single transaction
+     */
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(e => console.error('Error writing event cache:', e));
+        }, EventCache.FLUSH_DELAY);
+    }
+
+    /**
+     * Write pending changes to IndexedDB
+     */
+    async flush() {
+        if (this.pendingWrites.size === 0 && this.pendingDeletes.size === 0) return;
+
+        const writes = [...this.pendingWrites.values()];
+        const deletes = [...this.pendingDeletes];
+        this.pendingWrites.clear();
+        this.pendingDeletes.clear();
+
+        const db = await this.openDatabase();
+        const cachedAt = Date.now();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(EventCache.STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(EventCache.STORE_NAME);
+            writes.forEach(event => store.put({ id: event.id, cachedAt, event }));
+            deletes.forEach(id => store.delete(id));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        await this.evictBySize();
+    }
+
+    /**
+     * Drop entries older than MAX_AGE, then trim to MAX_EVENTS
+     */
+    async evict() {
+        const db = await this.openDatabase();
+        const cutoff = Date.now() - EventCache.MAX_AGE;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(EventCache.STORE_NAME, 'readwrite');
+            const index = transaction.objectStore(EventCache.STORE_NAME).index('cachedAt');
+            const request = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        await this.evictBySize();
+    }
+
+    /**
+     * Delete the least recently cached entries beyond MAX_EVENTS
+     */
+    async evictBySize() {
+        const db = await this.openDatabase();
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(EventCache.STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(EventCache.STORE_NAME);
+            const countRequest = store.count();
+
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - EventCache.MAX_EVENTS;
+                if (excess <= 0) return;
+
+                console.log(`Evicting ${excess} cached events`);
+                const cursorRequest = store.index('cachedAt').openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor && excess > 0) {
+                        cursor.delete();
+                        excess--;
+                        cursor.continue();
+                    }
+                };
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete everything in the cache
+     */
+    async clear() {
+        if (!EventCache.isAvailable()) return;
+
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.pendingWrites.clear();
+        this.pendingDeletes.clear();
+
+        const db = await this.openDatabase();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(EventCache.STORE_NAME, 'readwrite');
+            transaction.objectStore(EventCache.STORE_NAME).clear();
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        console.log('Event cache cleared');
+    }
+}
+
+// "Clear cache" control shared by all pages
+if (typeof window !== 'undefined') {
+    window.clearEventCache = async function() {
+        if (!confirm('Clear cached profiles and posts? The page will reload.')) {
+            return;
+        }
+        await new EventCache().clear();
+        window.location.reload();
+    };
+}
\ No newline at end of file
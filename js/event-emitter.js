@@ -0,0 +1,71 @@
+/**
+ * Minimal event emitter shared by the core modules
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // eventName -> Set of listeners
+    }
+
+    /**
+     * Register a listener, returns a function that removes it
+     */
+    on(eventName, listener) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(listener);
+        return () => this.off(eventName, listener);
+    }
+
+    /**
+     * Register a listener that is removed after its first call
+     */
+    once(eventName, listener) {
+        const wrapper = (...args) => {
+            this.off(eventName, wrapper);
+            listener(...args);
+        };
+        return this.on(eventName, wrapper);
+    }
+
+    /**
+     * Remove a listener
+     */
+    off(eventName, listener) {
+        const listeners = this.listeners.get(eventName);
+        if (listeners) {
+            listeners.delete(listener);
+            if (listeners.size === 0) {
+                this.listeners.delete(eventName);
+            }
+        }
+    }
+
+    /**
+     * Call every listener for an event; listener errors are logged, not thrown
+     */
+    emit(eventName, ...args) {
+        const listeners = this.listeners.get(eventName);
+        if (!listeners) return;
+
+        [...listeners].forEach(listener => {
+            try {
+                listener(...args);
+            } catch (e) {
+                console.error(`Error in ${eventName} listener:`, e);
+            }
+        });
+    }
+
+    /**
+     * Remove all listeners (optionally only for one event)
+     */
+    removeAllListeners(eventName) {
+        if (eventName === undefined) {
+            this.listeners.clear();
+        } else {
+            this.listeners.delete(eventName);
+        }
+    }
+}
\ No newline at end of file
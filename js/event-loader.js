@@ -0,0 +1,249 @@
+/**
+ * Coalescing loader for single events and profiles
+ *
+ * Lookups by event id or by pubkey (Kind 0) made within a few milliseconds
+ * of each other are gathered and sent as one query per relay, with a
+ * combined `ids` filter and a combined `authors` filter. Every caller gets
+ * its own promise; callers asking for something already on its way share
+ * the request in flight, and if it finds nothing, relays they named that
+ * it didn't ask are tried after it. Lookups that come back empty are remembered for a
+ * while so a missing note embedded in many posts is asked for only once.
+ *
+ * NIP-19 pointers (note, nevent, npub, nprofile) are loaded with their
+ * relay hints, and with the author's write relays when an OutboxModel is
+ * given (`new EventLoader(relayManager, { outbox })`).
+ */
+
+export class EventLoader {
+    static BATCH_DELAY = 10; // ms to collect lookups before querying
+    static MAX_KEYS_PER_FILTER = 100; // ids or authors per filter
+    static MISSING_TTL = 5 * 60 * 1000; // how long a lookup that found nothing is trusted
+    static MAX_HINT_RELAYS = 3; // relay hints from one pointer opened as temporary relays
+
+    constructor(relayManager, options = {}) {
+        this.relayManager = relayManager;
+        this.eventStore = relayManager.eventStore;
+        this.outbox = options.outbox || null; // finds authors' write relays for pointers
+        this.requests = new Map(); // "e:<id>" / "p:<pubkey>" -> { promise, resolve, relays, sent }
+        this.pending = new Set(); // keys waiting for the next batch
+        this.missing = new Map(); // key -> { until, relays } for lookups that found nothing
+        this.fetchedProfiles = new Set(); // pubkeys already looked up on relays
+        this.batchTimer = null;
+    }
+
+    /**
+     * Load an event by id; resolves with the event or null
+     *
+     * `options.relays` asks those relays instead of the default ones (e.g.
+     * an nevent's hints or the author's outbox relays).
+     */
+    loadEvent(eventId, options = {}) {
+        const stored = this.eventStore.get(eventId);
+        if (stored) {
+            return Promise.resolve(stored);
+        }
+        return this.request(`e:${eventId}`, options.relays);
+    }
+
+    /**
+     * Load a profile (Kind 0); resolves with the newest profile event or null
+     *
+     * Each pubkey is looked up on relays once; after that the stored
+     * profile is returned straight away.
+     */
+    loadProfile(pubkey, options = {}) {
+        if (this.fetchedProfiles.has(pubkey)) {
+            return Promise.resolve(this.eventStore.getReplaceable(0, pubkey));
+        }
+        return this.request(`p:${pubkey}`, options.relays);
+    }
+
+    /**
+     * Load several profiles; resolves once all of them are settled
+     */
+    loadProfiles(pubkeys, options = {}) {
+        return Promise.all([...new Set(pubkeys)].map(pubkey => this.loadProfile(pubkey, options)));
+    }
+
+    /**
+     * Load what a decoded NIP-19 pointer names: the event for note/nevent,
+     * the profile event for npub/nprofile; resolves with null if not found
+     */
+    async loadPointer(pointer) {
+        if (pointer.type === 'eventid') {
+            const stored = this.eventStore.get(pointer.hex);
+            if (stored) return stored;
+            return this.loadEvent(pointer.hex, { relays: await this.getPointerRelays(pointer, pointer.author) });
+        }
+        if (pointer.type === 'pubkey') {
+            if (this.fetchedProfiles.has(pointer.hex)) {
+                return this.eventStore.getReplaceable(0, pointer.hex);
+            }
+            return this.loadProfile(pointer.hex, { relays: await this.getPointerRelays(pointer, pointer.hex) });
+        }
+        return null;
+    }
+
+    /**
+     * Relays to ask for a pointer: the default ones, its reachable relay
+     * hints (as temporary relays) and `author`'s write relays
+     */
+    async getPointerRelays(pointer, author) {
+        const relays = new Set(this.getDefaultRelays());
+
+        const hints = (pointer.relays || [])
+            .filter(url => /^wss?:\/\//.test(url) && !relays.has(url))
+            .slice(0, EventLoader.MAX_HINT_RELAYS);
+        await Promise.all(hints.map(async url => {
+            try {
+                await this.relayManager.connectToRelay(url, { temporary: true });
+                relays.add(url);
+            } catch (e) {
+                console.log(`Could not reach relay hint ${url}`);
+            }
+        }));
+
+        if (author && this.outbox) {
+            (await this.outbox.getRelaysFor([author])).forEach(url => relays.add(url));
+        }
+        return [...relays];
+    }
+
+    /**
+     * Permanent relays that are currently open
+     */
+    getDefaultRelays() {
+        return this.relayManager.getRelayStates()
+            .filter(relay => relay.state === 'open' && !relay.temporary)
+            .map(relay => relay.url);
+    }
+
+    /**
+     * Queue a lookup for the next batch, or join the one already queued or in flight
+     */
+    request(key, relays) {
+        const targets = relays ? [...new Set(relays)] : this.getDefaultRelays();
+
+        // Found nothing recently on these same relays
+        const missing = this.missing.get(key);
+        if (missing && missing.until > Date.now() && targets.every(url => missing.relays.has(url))) {
+            return Promise.resolve(null);
+        }
+
+        let request = this.requests.get(key);
+        if (request) {
+            if (!request.sent) {
+                targets.forEach(url => request.relays.add(url));
+                return request.promise;
+            }
+            // Too late to join; ask the relays it isn't asking if it finds nothing
+            const others = targets.filter(url => !request.relays.has(url));
+            return others.length > 0
+                ? request.promise.then(result => result || this.request(key, others))
+                : request.promise;
+        }
+
+        request = { relays: new Set(targets), sent: false, resolve: null };
+        request.promise = new Promise(resolve => { request.resolve = resolve; });
+        this.requests.set(key, request);
+        this.pending.add(key);
+
+        if (!this.batchTimer) {
+            this.batchTimer = setTimeout(() => this.flush(), EventLoader.BATCH_DELAY);
+        }
+        return request.promise;
+    }
+
+    /**
+     * Send the queued lookups: one query per relay with everything it was asked for
+     */
+    async flush() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+        if (this.pending.size === 0) return;
+
+        const keys = [...this.pending];
+        this.pending.clear();
+
+        const byRelay = new Map(); // relayUrl -> { ids, pubkeys }
+        keys.forEach(key => {
+            const request = this.requests.get(key);
+            request.sent = true;
+            request.relays.forEach(url => {
+                if (!byRelay.has(url)) {
+                    byRelay.set(url, { ids: [], pubkeys: [] });
+                }
+                const group = byRelay.get(url);
+                (key.startsWith('e:') ? group.ids : group.pubkeys).push(key.slice(2));
+            });
+        });
+
+        console.log(`Loading ${keys.length} event(s)/profile(s) from ${byRelay.size} relay(s)`);
+
+        await Promise.all([...byRelay].map(async ([url, { ids, pubkeys }]) => {
+            try {
+                await this.relayManager.query(EventLoader.buildFilters(ids, pubkeys), {
+                    relays: [url],
+                    incremental: true,
+                    // An event by id can't get any better, so hand it over right away
+                    onEvent: (eventData) => {
+                        const request = this.requests.get(`e:${eventData.id}`);
+                        if (request && request.sent) {
+                            this.settle(`e:${eventData.id}`);
+                        }
+                    }
+                });
+            } catch (e) {
+                console.error(`Error loading events from ${url}:`, e);
+            }
+        }));
+
+        keys.forEach(key => this.settle(key));
+    }
+
+    /**
+     * Filters for a batch: `ids` chunks and Kind 0 `authors` chunks
+     */
+    static buildFilters(ids, pubkeys) {
+        const filters = [];
+        for (let i = 0; i < ids.length; i += EventLoader.MAX_KEYS_PER_FILTER) {
+            const chunk = ids.slice(i, i + EventLoader.MAX_KEYS_PER_FILTER);
+            filters.push({ ids: chunk, limit: chunk.length });
+        }
+        for (let i = 0; i < pubkeys.length; i += EventLoader.MAX_KEYS_PER_FILTER) {
+            const chunk = pubkeys.slice(i, i + EventLoader.MAX_KEYS_PER_FILTER);
+            filters.push({ kinds: [0], authors: chunk, limit: chunk.length });
+        }
+        return filters;
+    }
+
+    /**
+     * Resolve a lookup from the event store, remembering it if nothing was found
+     */
+    settle(key) {
+        const request = this.requests.get(key);
+        if (!request) return;
+        this.requests.delete(key);
+
+        const value = key.slice(2);
+        let result;
+        if (key.startsWith('e:')) {
+            result = this.eventStore.get(value);
+        } else {
+            this.fetchedProfiles.add(value);
+            result = this.eventStore.getReplaceable(0, value);
+        }
+
+        if (result) {
+            this.missing.delete(key);
+        } else {
+            // Add to what other relays recently said about it
+            const previous = this.missing.get(key);
+            const relays = previous && previous.until > Date.now()
+                ? new Set([...previous.relays, ...request.relays])
+                : request.relays;
+            this.missing.set(key, { until: Date.now() + EventLoader.MISSING_TTL, relays });
+        }
+        request.resolve(result || null);
+    }
+}
\ No newline at end of file
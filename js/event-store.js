@@ -0,0 +1,347 @@
+/**
+ * In-memory event store with NIP-01 filter queries and replaceable event rules
+ *
+ * Indexes events by id, author, kind and single-letter tag. Has no DOM or
+ * network dependencies, so it can be loaded in Node as well as the browser.
+ */
+
+export class EventStore {
+    static LIVE_QUERY_DELAY = 50; // ms to batch changes before notifying live queries
+
+    constructor() {
+        this.events = new Map(); // id -> event
+        this.byAuthor = new Map(); // pubkey -> Set of ids
+        this.byKind = new Map(); // kind -> Set of ids
+        this.byTag = new Map(); // "name:value" -> Set of ids
+        this.replaceable = new Map(); // "kind:pubkey[:d]" -> id of the current version
+        this.liveQueries = new Set();
+        this.observers = new Set(); // called with ('add' | 'remove', event) on every change
+    }
+
+    /**
+     * Kinds where only the latest event per author is kept (0, 3, 10000-19999)
+     */
+    static isReplaceable(kind) {
+        return kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000);
+    }
+
+    /**
+     * Kinds where only the latest event per author and `d` tag is kept (30000-39999)
+     */
+    static isParameterizedReplaceable(kind) {
+        return kind >= 30000 && kind < 40000;
+    }
+
+    /**
+     * Get the replacement key for an event, or null if it is a regular event
+     */
+    static getReplaceableKey(event) {
+        if (this.isReplaceable(event.kind)) {
+            return `${event.kind}:${event.pubkey}`;
+        }
+        if (this.isParameterizedReplaceable(event.kind)) {
+            const dTag = event.tags.find(tag => tag[0] === 'd');
+            return `${event.kind}:${event.pubkey}:${dTag ? dTag[1] || '' : ''}`;
+        }
+        return null;
+    }
+
+    /**
+     * Sort order: newest first, ties broken by lowest id
+     */
+    static compareEvents(a, b) {
+        if (a.created_at !== b.created_at) {
+            return b.created_at - a.created_at;
+        }
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    }
+
+    /**
+     * Check whether an event matches a single NIP-01 filter
+     */
+    static matchFilter(filter, event) {
+        if (filter.ids && !filter.ids.includes(event.id)) return false;
+        if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
+        if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
+        if (filter.since !== undefined && event.created_at < filter.since) return false;
+        if (filter.until !== undefined && event.created_at > filter.until) return false;
+
+        for (const key of Object.keys(filter)) {
+            if (key[0] !== '#' || key.length !== 2) continue;
+            const values = filter[key];
+            const tagName = key[1];
+            if (!event.tags.some(tag => tag[0] === tagName && values.includes(tag[1]))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether an event matches any of several filters
+     */
+    static matchFilters(filters, event) {
+        return filters.some(filter => this.matchFilter(filter, event));
+    }
+
+    /**
+     * Number of stored events
+     */
+    get size() {
+        return this.events.size;
+    }
+
+    /**
+     * Add an event; returns false if it is a duplicate or superseded by a newer version
+     */
+    add(event) {
+        if (this.events.has(event.id)) {
+            return false;
+        }
+
+        const replaceableKey = EventStore.getReplaceableKey(event);
+        if (replaceableKey) {
+            const currentId = this.replaceable.get(replaceableKey);
+            const current = currentId && this.events.get(currentId);
+            if (current) {
+                if (EventStore.compareEvents(current, event) <= 0) {
+                    return false; // what we have is newer
+                }
+                this.remove(current.id);
+            }
+            this.replaceable.set(replaceableKey, event.id);
+        }
+
+        this.events.set(event.id, event);
+        this.addToIndex(this.byAuthor, event.pubkey, event.id);
+        this.addToIndex(this.byKind, event.kind, event.id);
+        event.tags.forEach(tag => {
+            if (tag[0] && tag[0].length === 1 && tag[1] !== undefined) {
+                this.addToIndex(this.byTag, `${tag[0]}:${tag[1]}`, event.id);
+            }
+        });
+
+        this.notifyObservers('add', event);
+        this.notifyLiveQueries(event);
+        return true;
+    }
+
+    /**
+     * Remove an event by id
+     */
+    remove(id) {
+        const event = this.events.get(id);
+        if (!event) return false;
+
+        this.events.delete(id);
+        this.removeFromIndex(this.byAuthor, event.pubkey, id);
+        this.removeFromIndex(this.byKind, event.kind, id);
+        event.tags.forEach(tag => {
+            if (tag[0] && tag[0].length === 1 && tag[1] !== undefined) {
+                this.removeFromIndex(this.byTag, `${tag[0]}:${tag[1]}`, id);
+            }
+        });
+
+        const replaceableKey = EventStore.getReplaceableKey(event);
+        if (replaceableKey && this.replaceable.get(replaceableKey) === id) {
+            this.replaceable.delete(replaceableKey);
+        }
+
+        this.notifyObservers('remove', event);
+        this.notifyLiveQueries(event);
+        return true;
+    }
+
+    /**
+     * Get an event by id
+     */
+    get(id) {
+        return this.events.get(id) || null;
+    }
+
+    /**
+     * Check if an event is stored
+     */
+    has(id) {
+        return this.events.has(id);
+    }
+
+    /**
+     * Get the current version of a replaceable event
+     */
+    getReplaceable(kind, pubkey, identifier = '') {
+        const key = EventStore.isParameterizedReplaceable(kind)
+            ? `${kind}:${pubkey}:${identifier}`
+            : `${kind}:${pubkey}`;
+        const id = this.replaceable.get(key);
+        return id ? this.events.get(id) : null;
+    }
+
+    /**
+     * Return stored events matching one or more filters, newest first
+     *
+     * Each filter's `limit` applies to that filter, as relays do.
+     */
+    query(filters) {
+        const filterList = Array.isArray(filters) ? filters : [filters];
+        const results = new Map();
+
+        filterList.forEach(filter => {
+            let matches = [];
+            for (const id of this.getCandidateIds(filter)) {
+                const event = this.events.get(id);
+                if (event && EventStore.matchFilter(filter, event)) {
+                    matches.push(event);
+                }
+            }
+
+            matches.sort(EventStore.compareEvents);
+            if (filter.limit !== undefined) {
+                matches = matches.slice(0, filter.limit);
+            }
+            matches.forEach(event => results.set(event.id, event));
+        });
+
+        return [...results.values()].sort(EventStore.compareEvents);
+    }
+
+    /**
+     * Subscribe to the results of a query
+     *
+     * The callback runs immediately with the current results and again
+     * (batched) whenever a matching event is added or removed. Returns a
+     * function that cancels the subscription.
+     */
+    subscribe(filters, callback, options = {}) {
+        const liveQuery = {
+            filters: Array.isArray(filters) ? filters : [filters],
+            callback,
+            delay: options.delay !== undefined ? options.delay : EventStore.LIVE_QUERY_DELAY,
+            timer: null
+        };
+
+        this.liveQueries.add(liveQuery);
+        callback(this.query(liveQuery.filters));
+
+        return () => {
+            clearTimeout(liveQuery.timer);
+            this.liveQueries.delete(liveQuery);
+        };
+    }
+
+    /**
+     * Watch every add and remove (used to persist the store); returns a cancel function
+     */
+    observe(callback) {
+        this.observers.add(callback);
+        return () => this.observers.delete(callback);
+    }
+
+    /**
+     * Remove all events
+     */
+    clear() {
+        const events = [...this.events.values()];
+        this.events.clear();
+        this.byAuthor.clear();
+        this.byKind.clear();
+        this.byTag.clear();
+        this.replaceable.clear();
+        events.forEach(event => this.notifyLiveQueries(event));
+    }
+
+    /**
+     * Pick the smallest index bucket that can satisfy a filter
+     */
+    getCandidateIds(filter) {
+        const candidates = [];
+
+        if (filter.ids) {
+            candidates.push(new Set(filter.ids));
+        }
+        if (filter.authors) {
+            candidates.push(this.unionIndex(this.byAuthor, filter.authors));
+        }
+        if (filter.kinds) {
+            candidates.push(this.unionIndex(this.byKind, filter.kinds));
+        }
+        Object.keys(filter).forEach(key => {
+            if (key[0] === '#' && key.length === 2) {
+                candidates.push(this.unionIndex(this.byTag, filter[key].map(value => `${key[1]}:${value}`)));
+            }
+        });
+
+        if (candidates.length === 0) {
+            return this.events.keys();
+        }
+        return candidates.reduce((smallest, set) => set.size < smallest.size ? set : smallest);
+    }
+
+    /**
+     * Union of the id sets stored under several index keys
+     */
+    unionIndex(index, keys) {
+        const result = new Set();
+        keys.forEach(key => {
+            const ids = index.get(key);
+            if (ids) {
+                ids.forEach(id => result.add(id));
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Add an id to an index bucket
+     */
+    addToIndex(index, key, id) {
+        if (!index.has(key)) {
+            index.set(key, new Set());
+        }
+        index.get(key).add(id);
+    }
+
+    /**
+     * Remove an id from an index bucket
+     */
+    removeFromIndex(index, key, id) {
+        const ids = index.get(key);
+        if (ids) {
+            ids.delete(id);
+            if (ids.size === 0) {
+                index.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Tell observers about a change
+     */
+    notifyObservers(change, event) {
+        this.observers.forEach(callback => {
+            try {
+                callback(change, event);
+            } catch (e) {
+                console.error('Error in event store observer:', e);
+            }
+        });
+    }
+
+    /**
+     * Schedule a refresh for every live query the changed event matches
+     */
+    notifyLiveQueries(event) {
+        this.liveQueries.forEach(liveQuery => {
+            if (liveQuery.timer || !EventStore.matchFilters(liveQuery.filters, event)) {
+                return;
+            }
+            liveQuery.timer = setTimeout(() => {
+                liveQuery.timer = null;
+                if (this.liveQueries.has(liveQuery)) {
+                    liveQuery.callback(this.query(liveQuery.filters));
+                }
+            }, liveQuery.delay);
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * Hashtag Feed: notes tagged with one or more hashtags
+ *
+ * Reads `{ kinds: [1], '#t': [...] }` from every configured relay into the
+ * timeline of TimelineFeed. Several hashtags combine with OR (notes with
+ * any of them, which is what a `#t` filter means to relays) or AND (notes
+ * with all of them, which relays can't be asked for, so the OR results are
+ * narrowed down here).
+ */
+
+import * as ContentParser from './content-parser.js';
+import { TimelinePager } from './timeline-pager.js';
+import { TimelineFeed } from './timeline-feed.js';
+import './relay-settings.js'; // "Relays" menu
+
+export class HashtagFeed extends TimelineFeed {
+    constructor() {
+        super();
+        this.tags = []; // normalized hashtags, without "#"
+        this.mode = 'or'; // 'or': any of the tags, 'and': all of them
+        this.authors = new Set(); // authors whose profiles have been asked for
+    }
+
+    /**
+     * Initialize DOM elements
+     */
+    initializeElements() {
+        return {
+            ...super.initializeElements(),
+            hashtagInput: document.getElementById('hashtagInput'),
+            hashtagMode: document.getElementById('hashtagMode'),
+            authorsCount: document.getElementById('authorsCount'),
+            timelineTitle: document.getElementById('timelineTitle')
+        };
+    }
+
+    /**
+     * Notes with any of the hashtags (AND is applied by acceptsPost)
+     */
+    getTimelineFilter() {
+        return { kinds: [1], '#t': this.tags };
+    }
+
+    /**
+     * In AND mode, only notes tagged with every hashtag
+     */
+    acceptsPost(post) {
+        if (this.mode !== 'and') {
+            return true;
+        }
+        const hashtags = ContentParser.getTagHashtags(post);
+        return this.tags.every(tag => hashtags.includes(tag));
+    }
+
+    /**
+     * Load the feed for the hashtags typed in the input
+     */
+    async loadHashtags() {
+        const entries = this.elements.hashtagInput.value.split(/[\s,]+/).filter(Boolean);
+
+        if (entries.length === 0) {
+            this.showError('Please enter a hashtag');
+            return;
+        }
+
+        const invalid = entries.find(entry => !ContentParser.normalizeHashtag(entry));
+        if (invalid) {
+            this.showError(`Not a hashtag: ${invalid}`);
+            return;
+        }
+
+        this.tags = [...new Set(entries.map(entry => ContentParser.normalizeHashtag(entry)))];
+        this.mode = this.elements.hashtagMode.value === 'and' ? 'and' : 'or';
+        console.log(`Loading hashtag feed for ${this.tags.join(` ${this.mode} `)}`);
+
+        // Reset state
+        this.resetTimeline();
+        this.authors.clear();
+        this.elements.timelineTitle.textContent =
+            `📰 ${this.tags.map(tag => `#${tag}`).join(this.mode === 'and' ? ' AND ' : ' OR ')}`;
+
+        // Show loading
+        this.showLoading();
+        this.hideStats();
+        this.hideTimeline();
+
+        try {
+            // Cached posts and profiles are used before relays answer
+            await this.eventCache.attach(this.relayManager.eventStore);
+
+            await this.relayManager.connectToRelays();
+            this.updateStats();
+
+            await this.loadTimelinePosts();
+        } catch (error) {
+            console.error('Error loading hashtag feed:', error);
+            this.showError('Failed to load hashtag feed: ' + error.message);
+        }
+    }
+
+    /**
+     * Load the tagged posts and keep listening for new ones
+     */
+    async loadTimelinePosts() {
+        const timelineFilter = { ...this.getTimelineFilter(), limit: 100 };
+
+        // Keep posts in sync with the event store
+        this.watchEventStore();
+
+        // Cached posts can be shown before the relays answer
+        if (this.timelinePosts.length > 0) {
+            this.loadAuthorProfiles();
+            this.revealTimeline();
+        }
+
+        // Every relay is asked for every hashtag; older pages come from each in turn
+        const generation = this.loadGeneration;
+        this.pager = new TimelinePager(this.relayManager, this.getTimelineFilter());
+        await this.relayManager.query(timelineFilter, { incremental: true });
+        if (generation !== this.loadGeneration) return;
+
+        // Author names before the posts are shown
+        await this.loadAuthorProfiles();
+        if (generation !== this.loadGeneration) return;
+
+        // Keep listening for new tagged posts
+        const liveFilter = {
+            ...this.getTimelineFilter(),
+            since: Math.floor(Date.now() / 1000)
+        };
+        const subscription = this.relayManager.subscribe(liveFilter, {
+            label: 'hashtag',
+            onEvent: (postEvent, relayUrl) => this.handleLivePost(postEvent, relayUrl),
+            ...this.getLiveListeners()
+        });
+        this.stopLiveTimeline = () => subscription.close();
+
+        // Every relay has answered (or timed out), show the timeline
+        if (!this.timelineReady) {
+            this.revealTimeline();
+        }
+    }
+
+    /**
+     * Load the profiles of authors not seen yet among the posts held
+     *
+     * Unlike the wall, the authors aren't known up front; they are added
+     * as posts come in.
+     */
+    async loadAuthorProfiles() {
+        const newAuthors = [...new Set(this.queryTimelinePosts().map(post => post.pubkey))]
+            .filter(pubkey => !this.authors.has(pubkey));
+        if (newAuthors.length === 0) return;
+
+        newAuthors.forEach(pubkey => this.authors.add(pubkey));
+        this.watchProfiles([...this.authors]);
+        await this.eventLoader.loadProfiles(newAuthors);
+    }
+
+    /**
+     * Fetch older posts, then the profiles of their authors
+     */
+    async fetchOlderPosts(count, pageSize, generation) {
+        await super.fetchOlderPosts(count, pageSize, generation);
+        if (generation === this.loadGeneration) {
+            await this.loadAuthorProfiles();
+        }
+    }
+
+    /**
+     * Hold a live post back, loading its author's profile meanwhile
+     */
+    bufferNewPost(post) {
+        super.bufferNewPost(post);
+        this.loadAuthorProfiles();
+    }
+
+    /**
+     * Update stats display
+     */
+    updateStats() {
+        this.elements.authorsCount.textContent = new Set(this.timelinePosts.map(post => post.pubkey)).size;
+        super.updateStats();
+    }
+}
+
+// Make functions available globally
+window.loadHashtags = function() {
+    if (!window.hashtagFeed) {
+        window.hashtagFeed = new HashtagFeed();
+    }
+    window.hashtagFeed.loadHashtags();
+};
+
+window.loadMorePosts = function() {
+    if (window.hashtagFeed) {
+        window.hashtagFeed.loadMorePosts();
+    }
+};
+
+window.loadAllPosts = function() {
+    if (window.hashtagFeed) {
+        window.hashtagFeed.loadAllPosts();
+    }
+};
+
+window.showNewPosts = function() {
+    if (window.hashtagFeed) {
+        window.hashtagFeed.showNewPosts();
+    }
+};
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', () => {
+    if (window.hashtagFeed) {
+        window.hashtagFeed.destroy();
+    }
+});
+
+// Handle enter key in input and URL parameters
+document.addEventListener('DOMContentLoaded', () => {
+    const hashtagInput = document.getElementById('hashtagInput');
+
+    // Handle enter key
+    hashtagInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            loadHashtags();
+        }
+    });
+
+    // ?t=nostr (repeated or comma-separated for several) and ?mode=and|or
+    const urlParams = new URLSearchParams(window.location.search);
+    const tags = urlParams.getAll('t').flatMap(value => value.split(',')).filter(Boolean);
+
+    if (tags.length > 0) {
+        hashtagInput.value = tags.map(tag => `#${tag.replace(/^#/, '')}`).join(' ');
+        if (urlParams.get('mode') === 'and') {
+            document.getElementById('hashtagMode').value = 'and';
+        }
+        // Auto-load the feed after a brief delay to ensure everything is initialized
+        setTimeout(() => {
+            loadHashtags();
+        }, 100);
+    }
+});
\ No newline at end of file
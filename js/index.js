@@ -0,0 +1,26 @@
+/**
+ * The DOM-free core, for use outside these pages (other tools, Node)
+ *
+ *     import { CryptoUtils, ContentParser, RelayManager } from './js/index.js';
+ *
+ * Nothing here touches `document`. RelayManager needs a WebSocket
+ * implementation (the global one, or `new RelayManager({ WebSocket })`);
+ * RelayConfig falls back to the default relays without localStorage.
+ * The DOM layer (ContentRenderer, the relay settings and sign-in panels and
+ * the page controllers) is imported from its own modules.
+ */
+
+export * as CryptoUtils from './crypto-utils.js';
+export * as ContentParser from './content-parser.js';
+export * as Blurhash from './blurhash.js';
+export { EventEmitter } from './event-emitter.js';
+export { EventStore } from './event-store.js';
+export { RelayInfo } from './relay-info.js';
+export { Nip05 } from './nip05.js';
+export { RelayConfig } from './relay-config.js';
+export { RelayManager } from './relay-manager.js';
+export { EventLoader } from './event-loader.js';
+export { OutboxModel } from './outbox-model.js';
+export { ReactionsService } from './reactions-service.js';
+export { TimelinePager } from './timeline-pager.js';
+export { ThreadParser } from './thread-parser.js';
\ No newline at end of file
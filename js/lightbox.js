@@ -0,0 +1,269 @@
+/**
+ * Full-screen viewer for the images of a note
+ *
+ * Clicking an image in a note opens it here with the note's other images:
+ * arrow keys (or the side buttons) step through them, `+`/`-`/`0` and a
+ * click on the image zoom, Escape closes. Images whose `imeta` gives a
+ * SHA-256 can be checked against it. One overlay is shared by the page.
+ */
+
+import * as CryptoUtils from './crypto-utils.js';
+
+export class Lightbox {
+    static ZOOM_STEP = 0.5; // added or taken off the scale per zoom key
+    static MAX_ZOOM = 4; // largest scale
+
+    static STYLES = `
+        .lightbox {
+            position: fixed;
+            inset: 0;
+            display: none;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            background: rgba(0, 0, 0, 0.9);
+            z-index: 1000;
+            font-family: Arial, sans-serif;
+            color: white;
+        }
+        .lightbox-stage {
+            flex: 1;
+            width: 100%;
+            overflow: auto;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        }
+        .lightbox-image {
+            max-width: 90vw;
+            max-height: 80vh;
+            transition: transform 0.15s;
+            cursor: zoom-in;
+        }
+        .lightbox-image.zoomed {
+            max-width: none;
+            max-height: none;
+            cursor: zoom-out;
+        }
+        .lightbox-button {
+            position: absolute;
+            background: rgba(255, 255, 255, 0.15);
+            color: white;
+            border: none;
+            border-radius: 50%;
+            width: 44px;
+            height: 44px;
+            font-size: 22px;
+            cursor: pointer;
+        }
+        .lightbox-button:hover {
+            background: rgba(255, 255, 255, 0.3);
+        }
+        .lightbox-close { top: 15px; right: 15px; }
+        .lightbox-prev { left: 15px; top: 50%; }
+        .lightbox-next { right: 15px; top: 50%; }
+        .lightbox-footer {
+            padding: 10px 20px 15px;
+            text-align: center;
+            font-size: 14px;
+        }
+        .lightbox-caption {
+            margin-bottom: 6px;
+        }
+        .lightbox-counter {
+            color: #bbb;
+        }
+        .lightbox-verify {
+            margin-left: 10px;
+            background: none;
+            border: 1px solid #888;
+            border-radius: 4px;
+            color: white;
+            padding: 2px 8px;
+            cursor: pointer;
+        }
+    `;
+
+    static overlay = null; // the shared overlay, created on first use
+    static elements = null;
+    static items = []; // { url, alt, sha256 } of the images being viewed
+    static index = 0;
+    static zoom = 1;
+
+    /**
+     * Add the lightbox styles to the page once
+     */
+    static injectStyles() {
+        if (document.getElementById('lightboxStyles')) return;
+        const style = document.createElement('style');
+        style.id = 'lightboxStyles';
+        style.textContent = Lightbox.STYLES;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * The shared overlay, (re)created if it isn't in the page
+     */
+    static getOverlay() {
+        if (Lightbox.overlay && Lightbox.overlay.isConnected) {
+            return Lightbox.overlay;
+        }
+        Lightbox.injectStyles();
+
+        const create = (tagName, className, text = '') => {
+            const element = document.createElement(tagName);
+            element.className = className;
+            element.textContent = text;
+            return element;
+        };
+
+        const overlay = create('div', 'lightbox');
+        const stage = create('div', 'lightbox-stage');
+        const image = create('img', 'lightbox-image');
+        const close = create('button', 'lightbox-button lightbox-close', '✕');
+        const prev = create('button', 'lightbox-button lightbox-prev', '‹');
+        const next = create('button', 'lightbox-button lightbox-next', '›');
+        const footer = create('div', 'lightbox-footer');
+        const caption = create('div', 'lightbox-caption');
+        const counter = create('span', 'lightbox-counter');
+        const verify = create('button', 'lightbox-verify', 'Verify SHA-256');
+
+        close.title = 'Close (Esc)';
+        prev.title = 'Previous (←)';
+        next.title = 'Next (→)';
+
+        close.addEventListener('click', () => Lightbox.close());
+        prev.addEventListener('click', () => Lightbox.show(Lightbox.index - 1));
+        next.addEventListener('click', () => Lightbox.show(Lightbox.index + 1));
+        image.addEventListener('click', () => Lightbox.setZoom(Lightbox.zoom > 1 ? 1 : 2));
+        verify.addEventListener('click', () => Lightbox.verify());
+        // A click on the dark background closes
+        stage.addEventListener('click', (event) => {
+            if (event.target === stage) Lightbox.close();
+        });
+
+        stage.appendChild(image);
+        footer.appendChild(caption);
+        footer.appendChild(counter);
+        footer.appendChild(verify);
+        overlay.appendChild(stage);
+        overlay.appendChild(close);
+        overlay.appendChild(prev);
+        overlay.appendChild(next);
+        overlay.appendChild(footer);
+        document.body.appendChild(overlay);
+
+        Lightbox.overlay = overlay;
+        Lightbox.elements = { image, caption, counter, prev, next, verify };
+        return overlay;
+    }
+
+    /**
+     * Open the viewer on `items[index]`
+     */
+    static open(items, index = 0) {
+        if (items.length === 0) return;
+        const overlay = Lightbox.getOverlay();
+        Lightbox.items = items;
+        overlay.style.display = 'flex';
+        document.removeEventListener('keydown', Lightbox.handleKeydown);
+        document.addEventListener('keydown', Lightbox.handleKeydown);
+        Lightbox.show(index);
+    }
+
+    /**
+     * Close the viewer
+     */
+    static close() {
+        if (Lightbox.overlay) {
+            Lightbox.overlay.style.display = 'none';
+        }
+        document.removeEventListener('keydown', Lightbox.handleKeydown);
+    }
+
+    /**
+     * Whether the viewer is showing
+     */
+    static isOpen() {
+        return Boolean(Lightbox.overlay && Lightbox.overlay.style.display === 'flex');
+    }
+
+    /**
+     * Show the item at `index`, wrapping around at either end
+     */
+    static show(index) {
+        const count = Lightbox.items.length;
+        Lightbox.index = ((index % count) + count) % count;
+        const item = Lightbox.items[Lightbox.index];
+        const { image, caption, counter, prev, next, verify } = Lightbox.elements;
+
+        image.src = item.url;
+        image.alt = item.alt || '';
+        caption.textContent = item.alt || '';
+        counter.textContent = count > 1 ? `${Lightbox.index + 1} / ${count}` : '';
+        prev.style.display = count > 1 ? '' : 'none';
+        next.style.display = count > 1 ? '' : 'none';
+        verify.style.display = item.sha256 ? '' : 'none';
+        verify.textContent = 'Verify SHA-256';
+        verify.disabled = false;
+        Lightbox.setZoom(1);
+    }
+
+    /**
+     * Scale the image, between 1 and MAX_ZOOM
+     */
+    static setZoom(zoom) {
+        Lightbox.zoom = Math.min(Lightbox.MAX_ZOOM, Math.max(1, zoom));
+        const { image } = Lightbox.elements;
+        image.style.transform = Lightbox.zoom === 1 ? '' : `scale(${Lightbox.zoom})`;
+        image.classList.toggle('zoomed', Lightbox.zoom > 1);
+    }
+
+    /**
+     * Keyboard navigation while the viewer is open
+     */
+    static handleKeydown(event) {
+        const actions = {
+            Escape: () => Lightbox.close(),
+            ArrowLeft: () => Lightbox.show(Lightbox.index - 1),
+            ArrowRight: () => Lightbox.show(Lightbox.index + 1),
+            '+': () => Lightbox.setZoom(Lightbox.zoom + Lightbox.ZOOM_STEP),
+            '=': () => Lightbox.setZoom(Lightbox.zoom + Lightbox.ZOOM_STEP),
+            '-': () => Lightbox.setZoom(Lightbox.zoom - Lightbox.ZOOM_STEP),
+            '0': () => Lightbox.setZoom(1)
+        };
+        if (actions[event.key]) {
+            event.preventDefault();
+            actions[event.key]();
+        }
+    }
+
+    /**
+     * Download the current image and compare its SHA-256 with the one in its `imeta`
+     */
+    static async verify() {
+        const item = Lightbox.items[Lightbox.index];
+        const { verify } = Lightbox.elements;
+        verify.disabled = true;
+        verify.textContent = 'Verifying...';
+
+        let text;
+        try {
+            const response = await fetch(item.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const hash = CryptoUtils.bytesToHex(CryptoUtils.sha256(new Uint8Array(await response.arrayBuffer())));
+            text = hash === item.sha256 ? '✓ SHA-256 matches' : '✗ SHA-256 does not match';
+        } catch (error) {
+            console.error('Error verifying image hash:', error);
+            text = 'Could not verify';
+        }
+
+        // Still on the same image?
+        if (Lightbox.items[Lightbox.index] === item) {
+            verify.textContent = text;
+            verify.disabled = false;
+        }
+    }
+}
\ No newline at end of file
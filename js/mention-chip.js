@@ -0,0 +1,221 @@
+/**
+ * `@name` chips for npub/nprofile mentions in notes
+ *
+ * A chip links to the mentioned profile and shows the name from their
+ * Kind 0 once it loads (through the page's EventLoader, with the
+ * nprofile's relay hints). Hovering a chip opens a small profile card,
+ * shared by every chip on the page.
+ */
+
+import * as CryptoUtils from './crypto-utils.js';
+import { ContentRenderer } from './content-renderer.js';
+
+export class MentionChip {
+    static HIDE_DELAY = 200; // ms the card stays up after the pointer leaves
+    static ABOUT_LENGTH = 160; // characters of the bio shown on the card
+
+    static STYLES = `
+        .mention-chip {
+            color: #007bff;
+            background-color: #e7f3ff;
+            padding: 1px 6px;
+            border-radius: 10px;
+            text-decoration: none;
+            font-weight: 500;
+            white-space: nowrap;
+        }
+        .mention-chip:hover {
+            background-color: #cce7ff;
+        }
+        .mention-card {
+            position: absolute;
+            display: none;
+            width: 260px;
+            background: white;
+            border: 1px solid #e9ecef;
+            border-radius: 10px;
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+            padding: 12px;
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+            color: #333;
+            z-index: 950;
+        }
+        .mention-card-top {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+        }
+        .mention-card-avatar {
+            width: 40px;
+            height: 40px;
+            border-radius: 50%;
+            background: #667eea;
+            color: white;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-weight: bold;
+            overflow: hidden;
+            flex-shrink: 0;
+        }
+        .mention-card-avatar img {
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+        }
+        .mention-card-name {
+            font-weight: bold;
+            font-size: 15px;
+        }
+        .mention-card-npub {
+            font-family: monospace;
+            font-size: 11px;
+            color: #666;
+        }
+        .mention-card-about {
+            margin-top: 8px;
+            line-height: 1.4;
+            color: #555;
+        }
+    `;
+
+    static card = null; // the hover card, created on first use
+    static hideTimer = null;
+
+    /**
+     * Add the chip and card styles to the page once
+     */
+    static injectStyles() {
+        if (document.getElementById('mentionChipStyles')) return;
+        const style = document.createElement('style');
+        style.id = 'mentionChipStyles';
+        style.textContent = MentionChip.STYLES;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Short npub shown until the name is known
+     */
+    static formatPubkey(pubkey) {
+        const npub = CryptoUtils.hexToNpub(pubkey);
+        return `${npub.slice(0, 12)}…`;
+    }
+
+    /**
+     * Create the chip for a decoded npub/nprofile pointer
+     *
+     * `identifier` (the bech32 string) goes into the profile link so an
+     * nprofile keeps its relay hints there too.
+     */
+    static create(pointer, identifier, eventFetcher = null) {
+        MentionChip.injectStyles();
+
+        const chip = document.createElement('a');
+        chip.className = 'mention-chip';
+        chip.href = `profile.html?pubkey=${identifier}`;
+        chip.target = '_blank';
+        chip.textContent = `@${MentionChip.formatPubkey(pointer.hex)}`;
+        chip.dataset.pubkey = pointer.hex;
+
+        let profile = null;
+        if (eventFetcher) {
+            eventFetcher.loadPointer(pointer).then(profileEvent => {
+                profile = ContentRenderer.parseProfile(profileEvent);
+                const name = profile && (profile.name || profile.display_name);
+                if (name) {
+                    ContentRenderer.renderEmojiText(chip, `@${name}`, profile.emojis);
+                }
+            });
+        }
+
+        chip.addEventListener('mouseenter', () => MentionChip.showCard(chip, pointer.hex, profile));
+        chip.addEventListener('mouseleave', () => MentionChip.scheduleHide());
+        return chip;
+    }
+
+    /**
+     * The shared card, (re)created if it isn't in the page
+     */
+    static getCard() {
+        if (!MentionChip.card || !MentionChip.card.isConnected) {
+            const card = document.createElement('div');
+            card.className = 'mention-card';
+            card.addEventListener('mouseenter', () => clearTimeout(MentionChip.hideTimer));
+            card.addEventListener('mouseleave', () => MentionChip.scheduleHide());
+            document.body.appendChild(card);
+            MentionChip.card = card;
+        }
+        return MentionChip.card;
+    }
+
+    /**
+     * Fill the card with a profile and show it under the chip
+     */
+    static showCard(chip, pubkey, profile) {
+        clearTimeout(MentionChip.hideTimer);
+        const card = MentionChip.getCard();
+        card.innerHTML = '';
+
+        const name = (profile && (profile.name || profile.display_name)) || MentionChip.formatPubkey(pubkey);
+
+        const avatar = document.createElement('div');
+        avatar.className = 'mention-card-avatar';
+        if (profile && profile.picture) {
+            const img = document.createElement('img');
+            img.src = profile.picture;
+            img.onerror = () => {
+                avatar.textContent = name.slice(0, 2).toUpperCase();
+            };
+            avatar.appendChild(img);
+        } else {
+            avatar.textContent = name.slice(0, 2).toUpperCase();
+        }
+
+        const nameDiv = document.createElement('div');
+        nameDiv.className = 'mention-card-name';
+        ContentRenderer.renderEmojiText(nameDiv, name, profile && profile.emojis);
+        ContentRenderer.addNip05Badge(nameDiv, profile, pubkey);
+
+        const npubDiv = document.createElement('div');
+        npubDiv.className = 'mention-card-npub';
+        npubDiv.textContent = MentionChip.formatPubkey(pubkey);
+
+        const details = document.createElement('div');
+        details.appendChild(nameDiv);
+        details.appendChild(npubDiv);
+
+        const top = document.createElement('div');
+        top.className = 'mention-card-top';
+        top.appendChild(avatar);
+        top.appendChild(details);
+        card.appendChild(top);
+
+        if (profile && profile.about) {
+            const about = document.createElement('div');
+            about.className = 'mention-card-about';
+            about.textContent = profile.about.length > MentionChip.ABOUT_LENGTH
+                ? profile.about.slice(0, MentionChip.ABOUT_LENGTH) + '…'
+                : profile.about;
+            card.appendChild(about);
+        }
+
+        const rect = chip.getBoundingClientRect();
+        card.style.left = `${rect.left + (window.pageXOffset || 0)}px`;
+        card.style.top = `${rect.bottom + (window.pageYOffset || 0) + 6}px`;
+        card.style.display = 'block';
+        card.dataset.pubkey = pubkey;
+    }
+
+    /**
+     * Hide the card shortly, unless the pointer moves onto it or another chip
+     */
+    static scheduleHide() {
+        clearTimeout(MentionChip.hideTimer);
+        MentionChip.hideTimer = setTimeout(() => {
+            if (MentionChip.card) {
+                MentionChip.card.style.display = 'none';
+            }
+        }, MentionChip.HIDE_DELAY);
+    }
+}
\ No newline at end of file
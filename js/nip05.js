@@ -0,0 +1,149 @@
+/**
+ * NIP-05 identifiers (`name@domain`)
+ *
+ * Looks identifiers up in the domain's `/.well-known/nostr.json`, to verify
+ * a profile's `nip05` field or to resolve an identifier typed into a public
+ * key input. Lookups are cached, failed ones for a shorter time.
+ */
+
+import * as CryptoUtils from './crypto-utils.js';
+
+export class Nip05 {
+    static FETCH_TIMEOUT = 5000;
+    static CACHE_TTL = 60 * 60 * 1000; // look identifiers up again after an hour
+    static FAILURE_TTL = 5 * 60 * 1000; // unreachable domains are retried after five minutes
+
+    static cache = new Map(); // 'name@domain' -> { fetchedAt, ttl, promise }
+
+    /**
+     * Split an identifier into { name, domain } (lowercased), or null if it isn't one
+     *
+     * A bare domain stands for `_@domain`, the domain's own identifier.
+     */
+    static parse(identifier) {
+        if (typeof identifier !== 'string') return null;
+        const match = identifier.trim().toLowerCase()
+            .match(/^(?:([a-z0-9._-]+)@)?([a-z0-9-]+(?:\.[a-z0-9-]+)+|localhost)(:\d+)?$/);
+        if (!match || (!match[1] && match[2] === 'localhost')) return null;
+        return { name: match[1] || '_', domain: match[2] + (match[3] || '') };
+    }
+
+    /**
+     * Whether user input looks like an identifier rather than a key or NIP-19 entity
+     */
+    static isIdentifier(input) {
+        return this.parse(input) !== null;
+    }
+
+    /**
+     * Identifier as people write it: `domain` for `_@domain`
+     */
+    static format(identifier) {
+        const parsed = this.parse(identifier);
+        if (!parsed) return identifier;
+        return parsed.name === '_' ? parsed.domain : `${parsed.name}@${parsed.domain}`;
+    }
+
+    /**
+     * URL of the domain's nostr.json for a name (plain HTTP only for local servers)
+     */
+    static getUrl({ name, domain }) {
+        const scheme = /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(domain) ? 'http' : 'https';
+        return `${scheme}://${domain}/.well-known/nostr.json?name=${encodeURIComponent(name)}`;
+    }
+
+    /**
+     * Look up (or reuse) an identifier: resolves with { pubkey, relays }, or
+     * null if the domain doesn't list it or can't be reached
+     */
+    static lookup(identifier) {
+        const parsed = this.parse(identifier);
+        if (!parsed) {
+            return Promise.resolve(null);
+        }
+
+        const key = `${parsed.name}@${parsed.domain}`;
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < cached.ttl) {
+            return cached.promise;
+        }
+
+        const entry = { fetchedAt: Date.now(), ttl: this.CACHE_TTL, promise: null };
+        entry.promise = this.request(parsed).catch(e => {
+            console.log(`NIP-05 lookup failed for ${key}:`, e.message);
+            entry.ttl = this.FAILURE_TTL;
+            return null;
+        });
+        this.cache.set(key, entry);
+        return entry.promise;
+    }
+
+    /**
+     * Fetch nostr.json and pick the name out of it, giving up after FETCH_TIMEOUT
+     *
+     * Throws if the domain can't be reached or answers with an error or a
+     * redirect (which NIP-05 says to ignore); resolves with null if the
+     * document doesn't map the name to a valid public key.
+     */
+    static async request(parsed) {
+        if (typeof fetch === 'undefined') {
+            throw new Error('fetch is not available');
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = setTimeout(() => controller && controller.abort(), this.FETCH_TIMEOUT);
+
+        try {
+            const response = await fetch(this.getUrl(parsed), {
+                headers: { Accept: 'application/json' },
+                redirect: 'manual',
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status || response.type}`);
+            }
+
+            const json = await response.json();
+            const names = (json && json.names) || {};
+            const pubkey = typeof names[parsed.name] === 'string' ? names[parsed.name].toLowerCase() : null;
+            // NIP-05 asks for hex here; npub and other key forms don't count
+            if (!pubkey || !/^[0-9a-f]{64}$/.test(pubkey)) {
+                return null;
+            }
+
+            const listed = json.relays && json.relays[pubkey];
+            const relays = Array.isArray(listed)
+                ? listed.filter(url => typeof url === 'string' && /^wss?:\/\//i.test(url))
+                : [];
+            return { pubkey, relays };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Whether an identifier currently points at `pubkey`
+     */
+    static async verify(identifier, pubkey) {
+        const result = await this.lookup(identifier);
+        return !!result && result.pubkey === pubkey;
+    }
+
+    /**
+     * CryptoUtils.parseInput that also resolves NIP-05 identifiers
+     *
+     * An identifier comes back as a pubkey reference with the relays from
+     * nostr.json as hints; throws if it can't be resolved.
+     */
+    static async parseInput(input, hexType = 'pubkey') {
+        if (!this.isIdentifier(input)) {
+            return CryptoUtils.parseInput(input, hexType);
+        }
+
+        const result = await this.lookup(input);
+        if (!result) {
+            throw new Error(`Could not find ${this.format(input)} (NIP-05 lookup failed)`);
+        }
+        return { type: 'pubkey', hex: result.pubkey, relays: result.relays };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * Outbox model (NIP-65): read authors' events from the relays they write to
+ *
+ * Authors' relay lists (Kind 10002) are fetched from the connected relays
+ * and a few indexer relays. Queries for a set of authors are then split
+ * over a small set of relays covering all of them, opened as temporary
+ * connections; authors without a usable relay list fall back to the
+ * default relays.
+ */
+
+import { EventStore } from './event-store.js';
+import { RelayConfig } from './relay-config.js';
+
+export class OutboxModel {
+    static INDEXER_RELAYS = ['wss://purplepag.es'];
+    static MAX_OUTBOX_RELAYS = 8; // relays opened per plan on top of the defaults
+    static RELAY_LIST_BATCH = 100; // authors per Kind 10002 filter
+
+    constructor(relayManager) {
+        this.relayManager = relayManager;
+        this.eventStore = relayManager.eventStore;
+        this.relayLists = new Map(); // pubkey -> promise for its relay list fetch
+    }
+
+    /**
+     * Relays a Kind 10002 list marks for writing (no marker means both)
+     */
+    static getWriteRelays(relayList) {
+        return this.getMarkedRelays(relayList, 'write');
+    }
+
+    /**
+     * Relays a Kind 10002 list marks for reading (no marker means both)
+     */
+    static getReadRelays(relayList) {
+        return this.getMarkedRelays(relayList, 'read');
+    }
+
+    /**
+     * Normalized `r` tag URLs with the given marker or none
+     */
+    static getMarkedRelays(relayList, marker) {
+        if (!relayList) return [];
+        const urls = relayList.tags
+            .filter(tag => tag[0] === 'r' && (!tag[2] || tag[2] === marker))
+            .map(tag => RelayConfig.normalizeRelayUrl(tag[1]))
+            .filter(Boolean);
+        return [...new Set(urls)];
+    }
+
+    /**
+     * Permanent relays that are currently open
+     */
+    getDefaultRelays() {
+        return this.relayManager.getRelayStates()
+            .filter(relay => relay.state === 'open' && !relay.temporary)
+            .map(relay => relay.url);
+    }
+
+    /**
+     * An author's write relays from their stored relay list
+     */
+    getAuthorRelays(pubkey) {
+        return OutboxModel.getWriteRelays(this.eventStore.getReplaceable(10002, pubkey));
+    }
+
+    /**
+     * Fetch relay lists for authors we haven't asked about yet
+     *
+     * Resolves once every given author's list has been looked up; authors
+     * already being fetched share the request in flight.
+     */
+    async loadRelayLists(pubkeys) {
+        const missing = [...new Set(pubkeys)].filter(pubkey => !this.relayLists.has(pubkey));
+
+        if (missing.length > 0) {
+            const request = this.fetchRelayLists(missing);
+            missing.forEach(pubkey => this.relayLists.set(pubkey, request));
+        }
+
+        await Promise.all(pubkeys.map(pubkey => this.relayLists.get(pubkey)));
+    }
+
+    /**
+     * Query the default and indexer relays for Kind 10002 lists
+     */
+    async fetchRelayLists(pubkeys) {
+        await Promise.all(OutboxModel.INDEXER_RELAYS.map(url =>
+            this.relayManager.connectToRelay(url, { temporary: true }).catch(() => null)
+        ));
+
+        const openIndexers = this.relayManager.getRelayStates()
+            .filter(relay => relay.state === 'open' && OutboxModel.INDEXER_RELAYS.includes(relay.url))
+            .map(relay => relay.url);
+        const relays = [...new Set([...this.getDefaultRelays(), ...openIndexers])];
+
+        const filters = [];
+        for (let i = 0; i < pubkeys.length; i += OutboxModel.RELAY_LIST_BATCH) {
+            const chunk = pubkeys.slice(i, i + OutboxModel.RELAY_LIST_BATCH);
+            filters.push({ kinds: [10002], authors: chunk, limit: chunk.length });
+        }
+
+        console.log(`Loading relay lists for ${pubkeys.length} authors`);
+        try {
+            await this.relayManager.query(filters, { incremental: true, relays });
+        } catch (e) {
+            console.error('Error loading relay lists:', e);
+        }
+    }
+
+    /**
+     * Choose relays for a set of authors: Map(relayUrl -> [pubkeys])
+     *
+     * Authors who write to a default relay are read from it; the rest are
+     * covered greedily by the relay shared by the most remaining authors,
+     * up to MAX_OUTBOX_RELAYS. Anyone left over uses the default relays.
+     */
+    planRelays(pubkeys) {
+        const defaults = this.getDefaultRelays();
+        const plan = new Map();
+        const assign = (url, pubkey) => {
+            if (!plan.has(url)) {
+                plan.set(url, []);
+            }
+            if (!plan.get(url).includes(pubkey)) {
+                plan.get(url).push(pubkey);
+            }
+        };
+
+        const candidates = new Map(); // relayUrl -> Set of authors writing there
+        const uncovered = new Set();
+        const fallback = new Set();
+        new Set(pubkeys).forEach(pubkey => {
+            const relays = this.getAuthorRelays(pubkey);
+            if (relays.length === 0) {
+                fallback.add(pubkey);
+                return;
+            }
+            uncovered.add(pubkey);
+            relays.forEach(url => {
+                if (!candidates.has(url)) {
+                    candidates.set(url, new Set());
+                }
+                candidates.get(url).add(pubkey);
+            });
+        });
+
+        // Already connected, so these cost nothing
+        defaults.forEach(url => {
+            (candidates.get(url) || []).forEach(pubkey => {
+                assign(url, pubkey);
+                uncovered.delete(pubkey);
+            });
+        });
+
+        let opened = 0;
+        while (uncovered.size > 0 && opened < OutboxModel.MAX_OUTBOX_RELAYS) {
+            let best = null;
+            let bestCount = 0;
+            candidates.forEach((authors, url) => {
+                if (plan.has(url)) return;
+                const count = [...authors].filter(pubkey => uncovered.has(pubkey)).length;
+                if (count > bestCount) {
+                    best = url;
+                    bestCount = count;
+                }
+            });
+            if (!best) break;
+
+            candidates.get(best).forEach(pubkey => {
+                if (uncovered.delete(pubkey)) {
+                    assign(best, pubkey);
+                }
+            });
+            opened++;
+        }
+
+        [...uncovered, ...fallback].forEach(pubkey => defaults.forEach(url => assign(url, pubkey)));
+        return plan;
+    }
+
+    /**
+     * Load relay lists, plan relays and open the ones we need
+     *
+     * Relays that can't be reached hand their authors back to the defaults.
+     */
+    async prepare(pubkeys) {
+        await this.loadRelayLists(pubkeys);
+        const plan = this.planRelays(pubkeys);
+        const defaults = this.getDefaultRelays();
+
+        await Promise.all([...plan.keys()].filter(url => !defaults.includes(url)).map(async url => {
+            try {
+                await this.relayManager.connectToRelay(url, { temporary: true });
+            } catch (e) {
+                const authors = plan.get(url);
+                plan.delete(url);
+                defaults.forEach(defaultUrl => {
+                    const assigned = plan.get(defaultUrl) || [];
+                    plan.set(defaultUrl, [...new Set([...assigned, ...authors])]);
+                });
+            }
+        }));
+
+        console.log(`Outbox plan for ${pubkeys.length} authors: ${plan.size} relay(s)`);
+        return plan;
+    }
+
+    /**
+     * Relays to read an author's events from (and their inbox relays too,
+     * with `includeRead`, for replies addressed to them)
+     */
+    async getRelaysFor(pubkeys, options = {}) {
+        const plan = await this.prepare(pubkeys);
+        const relays = new Set([...this.getDefaultRelays(), ...plan.keys()]);
+
+        if (options.includeRead) {
+            const readRelays = pubkeys
+                .flatMap(pubkey => OutboxModel.getReadRelays(this.eventStore.getReplaceable(10002, pubkey)))
+                .filter(url => !relays.has(url))
+                .slice(0, OutboxModel.MAX_OUTBOX_RELAYS);
+            await Promise.all(readRelays.map(async url => {
+                try {
+                    await this.relayManager.connectToRelay(url, { temporary: true });
+                    relays.add(url);
+                } catch (e) {
+                    console.log(`Could not reach ${url}`);
+                }
+            }));
+        }
+
+        return [...relays];
+    }
+
+    /**
+     * Query an author filter through the outbox relays of `pubkeys`
+     */
+    async query(filter, pubkeys, options = {}) {
+        const plan = await this.prepare(pubkeys);
+        return this.queryPlan(plan, filter, options);
+    }
+
+    /**
+     * Query each planned relay for its own authors; resolves with the merged events
+     */
+    async queryPlan(plan, filter, options = {}) {
+        const results = await Promise.all([...plan].map(([url, authors]) =>
+            this.relayManager.query({ ...filter, authors }, { ...options, relays: [url] })
+        ));
+
+        const merged = new Map();
+        results.flat().forEach(event => merged.set(event.id, event));
+        return [...merged.values()].sort(EventStore.compareEvents);
+    }
+
+    /**
+     * Subscribe each planned relay to its own authors; returns an unsubscribe function
+     */
+    subscribePlan(plan, label, filter, handler, options = {}) {
+        const handles = [...plan].map(([url, authors]) =>
+            this.relayManager.subscribe({ ...filter, authors }, { ...options, label, onEvent: handler, relays: [url] })
+        );
+
+        return () => handles.forEach(handle => handle.close());
+    }
+}
\ No newline at end of file
@@ -2,15 +2,34 @@
  * Profile Viewer for displaying individual user profiles and their posts
  */
 
-class ProfileViewer {
+import * as ContentParser from './content-parser.js';
+import { Nip05 } from './nip05.js';
+import { EventCache } from './event-cache.js';
+import { RelayManager } from './relay-manager.js';
+import { EventLoader } from './event-loader.js';
+import { OutboxModel } from './outbox-model.js';
+import { ReactionsService } from './reactions-service.js';
+import { ContentRenderer } from './content-renderer.js';
+import { RelayAuthPrompt } from './relay-auth.js';
+import './relay-settings.js'; // "Relays" menu
+
+export class ProfileViewer {
     constructor() {
         this.relayManager = new RelayManager();
+        this.authPrompt = new RelayAuthPrompt(this.relayManager); // NIP-42 sign-in when a relay asks
+        this.outbox = new OutboxModel(this.relayManager);
+        this.eventLoader = new EventLoader(this.relayManager, { outbox: this.outbox }); // batched lookups of single events and profiles
+        this.eventCache = new EventCache();
+        this.reactionsService = new ReactionsService(this.relayManager);
         this.elements = this.initializeElements();
         this.userPubkey = null;
         this.profileData = null;
         this.userPosts = [];
         this.reactions = new Map(); // eventId -> reactions
-        this.reactionsLoading = new Set(); // track which posts are loading reactions
+        this.reactionWatchers = new Map(); // eventId -> stop function from the reactions service
+        this.liveQueries = []; // cancel functions for event store subscriptions
+        this.isLoaded = false;
+        this.outboxPlan = null; // the user's outbox relays
     }
 
     /**
@@ -45,8 +64,14 @@ class ProfileViewer {
      * Load profile for a user
      */
     async loadProfile(pubkey) {
+        let relayHints = [];
         try {
-            this.userPubkey = CryptoUtils.normalizeKey(pubkey);
+            const reference = await Nip05.parseInput(pubkey, 'pubkey');
+            if (reference.type !== 'pubkey') {
+                throw new Error('Expected a public key (hex, npub, nprofile or name@domain)');
+            }
+            this.userPubkey = reference.hex;
+            relayHints = reference.relays;
             console.log('Loading profile for:', this.userPubkey);
         } catch (e) {
             this.showError('Invalid public key format: ' + e.message);
@@ -57,14 +82,28 @@ class ProfileViewer {
         this.profileData = null;
         this.userPosts = [];
         this.reactions.clear();
-        this.reactionsLoading.clear();
+        this.stopReactionWatchers();
+        this.isLoaded = false;
         
         // Show loading
         this.showLoading();
 
         try {
-            // Connect to relays
-            await this.relayManager.connectToRelays();
+            // Show a cached profile straight away; relays only fill in what is newer
+            await this.eventCache.attach(this.relayManager.eventStore);
+            this.watchEventStore();
+            if (this.profileData) {
+                this.isLoaded = true;
+                this.hideLoading();
+                this.displayProfile();
+                this.displayPosts();
+            }
+
+            // Connect to relays (plus any hints from an nprofile)
+            await this.relayManager.connectToRelays(RelayManager.withRelayHints(relayHints));
+
+            // Read from the relays the user publishes to (NIP-65)
+            this.outboxPlan = await this.outbox.prepare([this.userPubkey]);
 
             // Load profile data, posts, and following list
             await Promise.all([
@@ -73,16 +112,16 @@ class ProfileViewer {
                 this.loadFollowingCount()
             ]);
 
-            // Set timeout to finish loading
-            setTimeout(() => {
-                this.hideLoading();
-                if (!this.profileData) {
-                    this.showError('Profile not found for this user. They may not have set up a profile, or their data may not be available on these relays.');
-                } else {
-                    this.displayProfile();
-                    this.displayPosts();
-                }
-            }, 3000);
+            // All relays have answered (or timed out); the debounced live query may not have caught up yet
+            this.setProfileEvent(this.relayManager.eventStore.getReplaceable(0, this.userPubkey));
+            this.isLoaded = true;
+            this.hideLoading();
+            if (!this.profileData) {
+                this.showError('Profile not found for this user. They may not have set up a profile, or their data may not be available on these relays.');
+            } else {
+                this.displayProfile();
+                this.displayPosts();
+            }
 
         } catch (error) {
             console.error('Error loading profile:', error);
@@ -91,134 +130,119 @@ class ProfileViewer {
     }
 
     /**
-     * Load profile data (Kind 0)
+     * Keep profile, posts and following count in sync with the event store
      */
-    async loadProfileData() {
-        return new Promise((resolve) => {
-            const profileFilter = {
-                kinds: [0],
-                authors: [this.userPubkey],
-                limit: 1
+    watchEventStore() {
+        const store = this.relayManager.eventStore;
+
+        this.liveQueries.forEach(stop => stop());
+        this.liveQueries = [
+            store.subscribe({ kinds: [0], authors: [this.userPubkey] }, ([profileEvent]) => {
+                this.setProfileEvent(profileEvent);
+            }),
+            store.subscribe({ kinds: [1], authors: [this.userPubkey], limit: 50 }, (posts) => {
+                this.userPosts = posts;
+                if (this.isLoaded) {
+                    this.displayPosts();
+                }
+            }),
+            store.subscribe({ kinds: [3], authors: [this.userPubkey] }, ([followingEvent]) => {
+                if (followingEvent) {
+                    const followingCount = followingEvent.tags.filter(tag => tag[0] === 'p').length;
+                    this.elements.followingCount.textContent = followingCount;
+                }
+            })
+        ];
+    }
+
+    /**
+     * Use the newest profile event (Kind 0) for display
+     */
+    setProfileEvent(profileEvent) {
+        if (!profileEvent) return;
+
+        try {
+            const profile = JSON.parse(profileEvent.content);
+            this.profileData = {
+                ...profile,
+                emojis: ContentParser.getEmojis(profileEvent.tags),
+                pubkey: profileEvent.pubkey,
+                created_at: profileEvent.created_at
             };
+            if (this.isLoaded) {
+                this.displayProfile();
+            }
+        } catch (e) {
+            console.error('Error parsing profile:', e);
+        }
+    }
 
-            this.relayManager.subscribe('profile', profileFilter, (profileEvent, relayUrl) => {
-                console.log(`Found profile from ${relayUrl}:`, profileEvent);
-                
-                try {
-                    const profile = JSON.parse(profileEvent.content);
-                    if (!this.profileData || profileEvent.created_at > this.profileData.created_at) {
-                        this.profileData = {
-                            ...profile,
-                            pubkey: profileEvent.pubkey,
-                            created_at: profileEvent.created_at
-                        };
-                        this.displayProfile();
-                    }
-                } catch (e) {
-                    console.error('Error parsing profile:', e);
-                }
-            });
+    /**
+     * Load profile data (Kind 0)
+     */
+    async loadProfileData() {
+        const profileFilter = {
+            kinds: [0],
+            authors: [this.userPubkey],
+            limit: 1
+        };
 
-            setTimeout(resolve, 2000);
-        });
+        await this.outbox.queryPlan(this.outboxPlan, profileFilter, { incremental: true });
     }
 
     /**
      * Load user posts (Kind 1)
      */
     async loadUserPosts() {
-        return new Promise((resolve) => {
-            const postsFilter = {
-                kinds: [1],
-                authors: [this.userPubkey],
-                limit: 50
-            };
-
-            this.relayManager.subscribe('user_posts', postsFilter, (postEvent, relayUrl) => {
-                console.log(`Found post from ${relayUrl}:`, postEvent.id.slice(0, 8));
-                
-                // Check for duplicates
-                const existingPost = this.userPosts.find(p => p.id === postEvent.id);
-                if (!existingPost) {
-                    this.userPosts.push(postEvent);
-                    this.displayPosts();
-                    
-                    // Reaction loading is now handled by displayPosts()
-                }
-            });
+        const postsFilter = {
+            kinds: [1],
+            authors: [this.userPubkey],
+            limit: 50
+        };
 
-            setTimeout(resolve, 2000);
-        });
+        await this.outbox.queryPlan(this.outboxPlan, postsFilter, { incremental: true });
     }
 
     /**
      * Load following count (Kind 3)
      */
     async loadFollowingCount() {
-        return new Promise((resolve) => {
-            const followingFilter = {
-                kinds: [3],
-                authors: [this.userPubkey],
-                limit: 1
-            };
-
-            this.relayManager.subscribe('following', followingFilter, (followingEvent, relayUrl) => {
-                console.log(`Found following list from ${relayUrl}`);
-                
-                if (followingEvent.tags) {
-                    const followingCount = followingEvent.tags.filter(tag => tag[0] === 'p').length;
-                    this.elements.followingCount.textContent = followingCount;
-                }
-            });
+        const followingFilter = {
+            kinds: [3],
+            authors: [this.userPubkey],
+            limit: 1
+        };
 
-            setTimeout(resolve, 1000);
-        });
+        await this.outbox.queryPlan(this.outboxPlan, followingFilter, { incremental: true });
     }
 
     /**
-     * Load reactions for a specific post
+     * Watch reactions for a specific post through the shared reactions service
      */
     loadPostReactions(eventId) {
-        console.log(`[Profile] Starting to load reactions for post: ${eventId.slice(0, 8)}`);
-        
-        const reactionsFilter = {
-            kinds: [7],
-            '#e': [eventId],
-            limit: 100
-        };
-
-        const subscriptionId = `reactions_${eventId.slice(0, 8)}`;
-        
-        this.relayManager.subscribe(subscriptionId, reactionsFilter, (reactionEvent, relayUrl) => {
-            console.log(`[Profile] Found reaction for ${eventId.slice(0, 8)} from ${relayUrl}:`, reactionEvent);
-            
-            if (!this.reactions.has(eventId)) {
-                this.reactions.set(eventId, []);
-            }
-            
-            // Check for duplicate reactions
-            const existingReaction = this.reactions.get(eventId).find(r => r.id === reactionEvent.id);
-            if (!existingReaction) {
-                this.reactions.get(eventId).push(reactionEvent);
-                console.log(`[Profile] Added reaction, total for this post: ${this.reactions.get(eventId).length}`);
+        // Already watching (e.g. the post was re-rendered), just redraw
+        if (this.reactionWatchers.has(eventId)) {
+            if (this.reactions.has(eventId)) {
                 this.updatePostReactions(eventId);
             }
-        });
+            return;
+        }
 
-        // Set a fallback timeout to show "No reactions yet" if none are found
-        setTimeout(() => {
-            const reactions = this.reactions.get(eventId) || [];
-            if (reactions.length === 0) {
-                console.log(`[Profile] No reactions found after timeout for post: ${eventId.slice(0, 8)}`);
-                this.updatePostReactions(eventId);
-            }
-        }, 3000);
+        console.log(`[Profile] Watching reactions for post: ${eventId.slice(0, 8)}`);
+        this.reactionWatchers.set(eventId, this.reactionsService.watch(eventId, (reactions, loaded) => {
+            // Keep "Loading reactions..." until relays have answered
+            if (reactions.length === 0 && !loaded) return;
+            this.reactions.set(eventId, reactions);
+            this.updatePostReactions(eventId);
+        }));
+    }
 
-        // Clean up subscription after a delay
-        setTimeout(() => {
-            this.relayManager.unsubscribe(subscriptionId);
-            console.log(`[Profile] Cleaned up reactions subscription for ${eventId.slice(0, 8)}`);
-        }, 8000);
+    /**
+     * Stop watching reactions for the posts of the previous load
+     */
+    stopReactionWatchers() {
+        this.reactionWatchers.forEach(stop => stop());
+        this.reactionWatchers.clear();
     }
 
     /**
@@ -246,7 +270,12 @@ class ProfileViewer {
         }
 
         // Basic info
-        this.elements.profileName.textContent = this.profileData.name || this.profileData.display_name || 'Anonymous User';
+        ContentRenderer.renderEmojiText(
+            this.elements.profileName,
+            this.profileData.name || this.profileData.display_name || 'Anonymous User',
+            this.profileData.emojis
+        );
+        ContentRenderer.addNip05Badge(this.elements.profileName, this.profileData, this.userPubkey);
         this.elements.profilePubkey.textContent = this.userPubkey;
         this.elements.profileBio.textContent = this.profileData.about || 'No bio available';
 
@@ -299,21 +328,13 @@ class ProfileViewer {
 
         // Render each post
         sortedPosts.forEach(post => {
-            const postElement = ContentRenderer.createPostElement(post, {
-                fetchEvent: (eventId, callback) => {
-                    this.relayManager.fetchEvent(eventId, callback);
-                }
-            });
+            const postElement = ContentRenderer.createPostElement(post, this.eventLoader);
 
             // ContentRenderer already creates the reactions div, so we don't need to create another one
             this.elements.postsList.appendChild(postElement);
             
-            // Load reactions for this post after it's added to DOM (if not already loading)
-            if (!this.reactionsLoading.has(post.id)) {
-                setTimeout(() => {
-                    this.loadPostReactions(post.id);
-                }, 100);
-            }
+            // Reactions are batched with the other posts rendered now
+            this.loadPostReactions(post.id);
         });
     }
 
@@ -321,75 +342,13 @@ class ProfileViewer {
      * Update reactions display for a specific post
      */
     updatePostReactions(eventId) {
-        console.log(`[Profile] Updating reactions display for post: ${eventId.slice(0, 8)}`);
-        
         const reactionsContainer = document.getElementById(`reactions-${eventId}`);
         if (!reactionsContainer) {
-            console.log(`[Profile] No reactions container found for post: ${eventId.slice(0, 8)}, retrying in 200ms`);
-            // Retry after a short delay in case the DOM isn't ready yet
-            setTimeout(() => {
-                const retryContainer = document.getElementById(`reactions-${eventId}`);
-                if (retryContainer) {
-                    console.log(`[Profile] Found reactions container on retry for post: ${eventId.slice(0, 8)}`);
-                    this._doUpdatePostReactions(eventId, retryContainer);
-                } else {
-                    console.log(`[Profile] Still no reactions container found for post: ${eventId.slice(0, 8)} after retry`);
-                }
-            }, 200);
-            return;
-        }
-
-        this._doUpdatePostReactions(eventId, reactionsContainer);
-    }
-
-    /**
-     * Internal method to actually update reactions display
-     */
-    _doUpdatePostReactions(eventId, reactionsContainer) {
-        const reactions = this.reactions.get(eventId) || [];
-        console.log(`[Profile] Found ${reactions.length} reactions for post: ${eventId.slice(0, 8)}`);
-        
-        if (reactions.length === 0) {
-            reactionsContainer.innerHTML = '<span class="reactions-loading">No reactions yet</span>';
+            console.log(`[Profile] No reactions container found for post: ${eventId.slice(0, 8)}`);
             return;
         }
 
-        // Group reactions by content (emoji)
-        const reactionGroups = {};
-        reactions.forEach(reaction => {
-            const emoji = reaction.content || '👍';
-            console.log(`[Profile] Processing reaction with emoji: ${emoji}`);
-            if (!reactionGroups[emoji]) {
-                reactionGroups[emoji] = [];
-            }
-            reactionGroups[emoji].push(reaction);
-        });
-
-        // Clear loading message
-        reactionsContainer.innerHTML = '';
-
-        // Display each reaction group
-        Object.entries(reactionGroups).forEach(([emoji, reactionList]) => {
-            console.log(`[Profile] Creating reaction display for ${emoji}: ${reactionList.length} reactions`);
-            
-            const reactionElement = document.createElement('div');
-            reactionElement.className = 'reaction';
-            reactionElement.title = `${reactionList.length} ${emoji} reaction${reactionList.length > 1 ? 's' : ''}`;
-
-            const emojiSpan = document.createElement('span');
-            emojiSpan.className = 'reaction-emoji';
-            emojiSpan.textContent = emoji;
-
-            const countSpan = document.createElement('span');
-            countSpan.className = 'reaction-count';
-            countSpan.textContent = reactionList.length;
-
-            reactionElement.appendChild(emojiSpan);
-            reactionElement.appendChild(countSpan);
-            reactionsContainer.appendChild(reactionElement);
-        });
-        
-        console.log(`[Profile] Updated reactions display completed for post: ${eventId.slice(0, 8)}`);
+        ContentRenderer.renderReactions(reactionsContainer, this.reactions.get(eventId) || []);
     }
 
     /**
@@ -422,6 +381,7 @@ class ProfileViewer {
      * Cleanup resources
      */
     destroy() {
+        this.liveQueries.forEach(stop => stop());
         this.relayManager.closeAllConnections();
     }
 }
@@ -436,7 +396,7 @@ document.addEventListener('DOMContentLoaded', () => {
         window.profileViewer.loadProfile(pubkey);
     } else {
         document.getElementById('loading').style.display = 'none';
-        document.getElementById('error').textContent = 'No public key provided in URL. Use ?pubkey=<key> to view a profile.';
+        document.getElementById('error').textContent = 'No public key provided in URL. Use ?pubkey=<hex, npub or nprofile> to view a profile.';
         document.getElementById('error').style.display = 'block';
     }
 });
@@ -0,0 +1,183 @@
+/**
+ * Batched reaction (Kind 7) loading shared by all pages
+ *
+ * Post ids requested within a short window are coalesced into a few `#e`
+ * filters, sent as one query, and the results are fanned back out to each
+ * post's watchers. Reactions live in the event store, so they are cached
+ * (and persisted by the event cache) along with everything else.
+ */
+
+import { EventStore } from './event-store.js';
+
+export class ReactionsService {
+    static BATCH_DELAY = 100; // ms to collect post ids before querying
+    static MAX_IDS_PER_FILTER = 50;
+    static REACTIONS_PER_POST = 50; // limit budget per post id in a batch
+
+    constructor(relayManager) {
+        this.relayManager = relayManager;
+        this.eventStore = relayManager.eventStore;
+        this.watchers = new Map(); // eventId -> Set of callbacks
+        this.pending = new Set(); // ids waiting for the next batch
+        this.inFlight = new Set(); // ids in a running query
+        this.loaded = new Set(); // ids whose reactions have been fetched from relays
+        this.batchTimer = null;
+        this.changed = new Set(); // ids with reaction changes not yet delivered
+        this.notifyTimer = null;
+
+        this.stopObserving = this.eventStore.observe((change, event) => {
+            if (event.kind !== 7) return;
+            const targetId = ReactionsService.getTargetId(event);
+            if (targetId && this.watchers.has(targetId)) {
+                this.scheduleNotify(targetId);
+            }
+        });
+    }
+
+    /**
+     * The event a reaction is for: the last `e` tag (NIP-25)
+     */
+    static getTargetId(reaction) {
+        const eTags = reaction.tags.filter(tag => tag[0] === 'e' && tag[1]);
+        return eTags.length > 0 ? eTags[eTags.length - 1][1] : null;
+    }
+
+    /**
+     * Reactions to a post currently in the event store
+     */
+    getReactions(eventId) {
+        return this.eventStore.query({ kinds: [7], '#e': [eventId] })
+            .filter(reaction => ReactionsService.getTargetId(reaction) === eventId);
+    }
+
+    /**
+     * Whether relays have been asked for a post's reactions
+     */
+    isLoaded(eventId) {
+        return this.loaded.has(eventId);
+    }
+
+    /**
+     * Watch a post's reactions
+     *
+     * The callback runs immediately with what is known and again whenever
+     * reactions arrive, as callback(reactions, loaded). Returns a function
+     * that stops watching.
+     */
+    watch(eventId, callback) {
+        if (!this.watchers.has(eventId)) {
+            this.watchers.set(eventId, new Set());
+        }
+        this.watchers.get(eventId).add(callback);
+
+        callback(this.getReactions(eventId), this.isLoaded(eventId));
+        this.request(eventId);
+
+        return () => {
+            const callbacks = this.watchers.get(eventId);
+            if (callbacks) {
+                callbacks.delete(callback);
+                if (callbacks.size === 0) {
+                    this.watchers.delete(eventId);
+                }
+            }
+        };
+    }
+
+    /**
+     * Queue a post for the next batch (no-op if already fetched or queued)
+     */
+    request(eventId) {
+        if (this.loaded.has(eventId) || this.inFlight.has(eventId) || this.pending.has(eventId)) {
+            return;
+        }
+
+        this.pending.add(eventId);
+        if (!this.batchTimer) {
+            this.batchTimer = setTimeout(() => this.flush(), ReactionsService.BATCH_DELAY);
+        }
+    }
+
+    /**
+     * Send the queued ids as a few `#e` filters in one query
+     */
+    async flush() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+        if (this.pending.size === 0) return;
+
+        const ids = [...this.pending];
+        this.pending.clear();
+        ids.forEach(id => this.inFlight.add(id));
+
+        const filters = [];
+        for (let i = 0; i < ids.length; i += ReactionsService.MAX_IDS_PER_FILTER) {
+            const chunk = ids.slice(i, i + ReactionsService.MAX_IDS_PER_FILTER);
+            filters.push({
+                kinds: [7],
+                '#e': chunk,
+                limit: chunk.length * ReactionsService.REACTIONS_PER_POST
+            });
+        }
+
+        console.log(`Loading reactions for ${ids.length} posts in ${filters.length} filter(s)`);
+
+        try {
+            await this.relayManager.query(filters);
+        } catch (e) {
+            console.error('Error loading reactions:', e);
+        }
+
+        ids.forEach(id => {
+            this.inFlight.delete(id);
+            this.loaded.add(id);
+            this.notify(id);
+        });
+    }
+
+    /**
+     * Batch store changes for a post before telling its watchers
+     */
+    scheduleNotify(eventId) {
+        this.changed.add(eventId);
+        if (this.notifyTimer) return;
+
+        this.notifyTimer = setTimeout(() => {
+            this.notifyTimer = null;
+            const ids = [...this.changed];
+            this.changed.clear();
+            ids.forEach(id => this.notify(id));
+        }, EventStore.LIVE_QUERY_DELAY);
+    }
+
+    /**
+     * Call every watcher of a post with its current reactions
+     */
+    notify(eventId) {
+        const callbacks = this.watchers.get(eventId);
+        if (!callbacks) return;
+
+        const reactions = this.getReactions(eventId);
+        const loaded = this.isLoaded(eventId);
+        [...callbacks].forEach(callback => {
+            try {
+                callback(reactions, loaded);
+            } catch (e) {
+                console.error('Error in reactions watcher:', e);
+            }
+        });
+    }
+
+    /**
+     * Stop all watchers and drop queued requests (fetched reactions stay cached)
+     */
+    reset() {
+        clearTimeout(this.batchTimer);
+        clearTimeout(this.notifyTimer);
+        this.batchTimer = null;
+        this.notifyTimer = null;
+        this.watchers.clear();
+        this.pending.clear();
+        this.changed.clear();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,254 @@
+/**
+ * NIP-42 sign-in prompt shared by all pages
+ *
+ * The viewer stays keyless: when a relay refuses a REQ with
+ * `auth-required:` (or says it needs auth up front), a small box offers to
+ * answer its challenge with a NIP-07 browser signer (`window.nostr`). The
+ * box also lists the relays we are authenticated to, and as whom.
+ */
+
+import * as CryptoUtils from './crypto-utils.js';
+
+export class RelayAuthPrompt {
+    static STYLES = `
+        .relay-auth {
+            position: fixed;
+            right: 20px;
+            bottom: 20px;
+            width: 320px;
+            max-width: calc(100% - 40px);
+            background: white;
+            border: 1px solid #e9ecef;
+            border-radius: 10px;
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+            padding: 12px 15px;
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+            color: #333;
+            z-index: 900;
+        }
+        .relay-auth-row {
+            padding: 6px 0;
+            border-bottom: 1px solid #f0f0f0;
+        }
+        .relay-auth-row:last-child {
+            border-bottom: none;
+        }
+        .relay-auth-url {
+            font-family: monospace;
+            word-break: break-all;
+        }
+        .relay-auth-actions {
+            display: flex;
+            gap: 6px;
+            margin-top: 6px;
+        }
+        .relay-auth button {
+            padding: 4px 10px;
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            background: #f8f9fa;
+            color: #333;
+            font-size: 12px;
+            cursor: pointer;
+        }
+        .relay-auth button.primary {
+            background: #007bff;
+            border-color: #007bff;
+            color: white;
+        }
+        .relay-auth button:disabled {
+            opacity: 0.6;
+            cursor: default;
+        }
+        .relay-auth-hint {
+            color: #666;
+            margin-top: 4px;
+        }
+        .relay-auth-error {
+            color: #a71d2a;
+            margin-top: 4px;
+        }
+    `;
+
+    constructor(relayManager, options = {}) {
+        this.relayManager = relayManager;
+        this.getSigner = options.getSigner || (() => (typeof window !== 'undefined' ? window.nostr : null));
+        this.requests = new Map(); // relayUrl -> { busy, error } for relays asking us to sign in
+        this.dismissed = new Set(); // relays the user said "Not now" to
+        this.box = null;
+
+        relayManager.on('relayClosed', ({ url, prefix }) => {
+            if (prefix === 'auth-required') this.request(url);
+        });
+        relayManager.on('authChallenge', ({ url, required }) => {
+            if (required) this.request(url);
+            this.render();
+        });
+        relayManager.on('relayAuth', ({ url }) => {
+            this.requests.delete(url);
+            this.render();
+        });
+        relayManager.on('relayState', () => this.render());
+    }
+
+    /**
+     * Add the prompt styles to the page once
+     */
+    static injectStyles() {
+        if (document.getElementById('relayAuthStyles')) return;
+        const style = document.createElement('style');
+        style.id = 'relayAuthStyles';
+        style.textContent = RelayAuthPrompt.STYLES;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Short label for a relay URL
+     */
+    static getRelayLabel(url) {
+        return url.replace(/^wss?:\/\//, '').replace(/\/$/, '');
+    }
+
+    /**
+     * Short npub for an authenticated pubkey
+     */
+    static formatPubkey(pubkey) {
+        const npub = CryptoUtils.hexToNpub(pubkey);
+        return `${npub.slice(0, 12)}…${npub.slice(-4)}`;
+    }
+
+    /**
+     * Ask the user to sign in to a relay
+     */
+    request(url) {
+        if (this.dismissed.has(url) || this.requests.has(url)) return;
+        this.requests.set(url, { busy: false, error: null });
+        this.render();
+    }
+
+    /**
+     * Answer a relay's challenge with the browser signer
+     */
+    async signIn(url) {
+        const signer = this.getSigner();
+        const entry = this.requests.get(url);
+        if (!signer || !entry) return;
+
+        entry.busy = true;
+        entry.error = null;
+        this.render();
+        try {
+            await this.relayManager.authenticate(url, signer);
+        } catch (e) {
+            console.error(`Authentication to ${url} failed:`, e);
+            entry.error = e.message || 'Signing was refused';
+        } finally {
+            entry.busy = false;
+            this.render();
+        }
+    }
+
+    /**
+     * Stop asking about a relay for this page view
+     */
+    dismiss(url) {
+        this.dismissed.add(url);
+        this.requests.delete(url);
+        this.render();
+    }
+
+    /**
+     * Redraw the box; it is removed when there is nothing to show
+     */
+    render() {
+        if (typeof document === 'undefined') return;
+
+        const relays = new Map(this.relayManager.getRelayStates().map(relay => [relay.url, relay]));
+        const pending = [...this.requests].filter(([url]) => {
+            const relay = relays.get(url);
+            return relay && relay.state === 'open' && !relay.authenticatedAs;
+        });
+        const authenticated = [...relays.values()].filter(relay => relay.state === 'open' && relay.authenticatedAs);
+
+        if (pending.length === 0 && authenticated.length === 0) {
+            if (this.box) this.box.remove();
+            return;
+        }
+
+        RelayAuthPrompt.injectStyles();
+        if (!this.box) {
+            this.box = document.createElement('div');
+            this.box.className = 'relay-auth';
+            this.box.setAttribute('role', 'status');
+        }
+        if (!this.box.isConnected) {
+            document.body.appendChild(this.box);
+        }
+        this.box.innerHTML = '';
+
+        const signer = this.getSigner();
+        pending.forEach(([url, entry]) => this.box.appendChild(this.createRequestRow(url, entry, signer)));
+        authenticated.forEach(({ url, authenticatedAs }) => {
+            const row = document.createElement('div');
+            row.className = 'relay-auth-row';
+            row.textContent = `🔐 ${RelayAuthPrompt.getRelayLabel(url)} — authenticated as ${RelayAuthPrompt.formatPubkey(authenticatedAs)}`;
+            this.box.appendChild(row);
+        });
+    }
+
+    /**
+     * Row for a relay asking us to sign in
+     */
+    createRequestRow(url, entry, signer) {
+        const row = document.createElement('div');
+        row.className = 'relay-auth-row';
+
+        const text = document.createElement('div');
+        const label = document.createElement('span');
+        label.className = 'relay-auth-url';
+        label.textContent = RelayAuthPrompt.getRelayLabel(url);
+        text.append(label, ' asks you to sign in before it will answer.');
+        row.appendChild(text);
+
+        const challenge = this.relayManager.getRelayChallenge(url);
+        if (!signer) {
+            const hint = document.createElement('div');
+            hint.className = 'relay-auth-hint';
+            hint.textContent = 'Install a NIP-07 signer extension to sign in.';
+            row.appendChild(hint);
+        } else if (!challenge) {
+            const hint = document.createElement('div');
+            hint.className = 'relay-auth-hint';
+            hint.textContent = 'Waiting for the relay\'s challenge...';
+            row.appendChild(hint);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'relay-auth-actions';
+        if (signer) {
+            const signIn = document.createElement('button');
+            signIn.type = 'button';
+            signIn.className = 'primary';
+            signIn.textContent = entry.busy ? 'Signing...' : 'Sign in';
+            signIn.disabled = entry.busy || !challenge;
+            signIn.addEventListener('click', () => this.signIn(url));
+            actions.appendChild(signIn);
+        }
+        const notNow = document.createElement('button');
+        notNow.type = 'button';
+        notNow.textContent = 'Not now';
+        notNow.addEventListener('click', () => this.dismiss(url));
+        actions.appendChild(notNow);
+        row.appendChild(actions);
+
+        if (entry.error) {
+            const error = document.createElement('div');
+            error.className = 'relay-auth-error';
+            error.textContent = entry.error;
+            row.appendChild(error);
+        }
+
+        return row;
+    }
+}
\ No newline at end of file
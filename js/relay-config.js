@@ -0,0 +1,158 @@
+/**
+ * User relay configuration, persisted in localStorage
+ *
+ * Keeps the list of relays the pages read from, each of which can be
+ * switched off without forgetting it. A `?relays=wss://a,wss://b` URL
+ * parameter overrides the saved set for that page load only.
+ */
+
+import { RelayManager } from './relay-manager.js';
+
+export class RelayConfig {
+    static STORAGE_KEY = 'nostr-viewer.relays';
+    static URL_PARAM = 'relays';
+
+    /**
+     * Normalize a relay URL, or return null if it isn't a websocket URL
+     */
+    static normalizeRelayUrl(url) {
+        if (typeof url !== 'string') return null;
+        try {
+            const parsed = new URL(url.trim());
+            if (parsed.protocol !== 'wss:' && parsed.protocol !== 'ws:') {
+                return null;
+            }
+            return parsed.href.replace(/\/$/, '');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Built-in relays, all enabled
+     */
+    static getDefaults() {
+        return RelayManager.DEFAULT_RELAYS.map(url => ({ url, read: true }));
+    }
+
+    /**
+     * Whether localStorage is usable in this environment
+     */
+    static isStorageAvailable() {
+        try {
+            return typeof localStorage !== 'undefined';
+        } catch (e) {
+            return false; // access can throw when storage is blocked
+        }
+    }
+
+    /**
+     * Saved relays as [{ url, read }], or the defaults if nothing is saved
+     */
+    static load() {
+        if (!this.isStorageAvailable()) {
+            return this.getDefaults();
+        }
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                return saved
+                    .map(entry => ({ url: this.normalizeRelayUrl(entry.url), read: entry.read !== false }))
+                    .filter(entry => entry.url);
+            }
+        } catch (e) {
+            console.error('Error reading relay settings:', e);
+        }
+        return this.getDefaults();
+    }
+
+    /**
+     * Persist the relay list
+     */
+    static save(relays) {
+        if (!this.isStorageAvailable()) return;
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(relays));
+    }
+
+    /**
+     * Forget the saved list and go back to the built-in relays
+     */
+    static reset() {
+        if (!this.isStorageAvailable()) return;
+        localStorage.removeItem(this.STORAGE_KEY);
+    }
+
+    /**
+     * Add a relay (enabled); returns false if the URL is invalid or already listed
+     */
+    static add(url) {
+        const normalized = this.normalizeRelayUrl(url);
+        const relays = this.load();
+        if (!normalized || relays.some(relay => relay.url === normalized)) {
+            return false;
+        }
+        relays.push({ url: normalized, read: true });
+        this.save(relays);
+        return true;
+    }
+
+    /**
+     * Remove a relay from the list
+     */
+    static remove(url) {
+        this.save(this.load().filter(relay => relay.url !== url));
+    }
+
+    /**
+     * Switch reading from a relay on or off
+     */
+    static setRead(url, read) {
+        this.save(this.load().map(relay => relay.url === url ? { ...relay, read } : relay));
+    }
+
+    /**
+     * Merge the relays from a NIP-65 relay list (Kind 10002) into the saved set
+     *
+     * Relays marked `write` only are added switched off. Returns the number
+     * of relays added.
+     */
+    static importRelayList(relayListEvent) {
+        const relays = this.load();
+        let added = 0;
+
+        relayListEvent.tags
+            .filter(tag => tag[0] === 'r')
+            .forEach(tag => {
+                const url = this.normalizeRelayUrl(tag[1]);
+                if (!url || relays.some(relay => relay.url === url)) return;
+                relays.push({ url, read: tag[2] !== 'write' });
+                added++;
+            });
+
+        this.save(relays);
+        return added;
+    }
+
+    /**
+     * Relays from the `?relays=` URL parameter, or null if there is none
+     */
+    static getOverride(search = typeof window !== 'undefined' ? window.location.search : '') {
+        const value = new URLSearchParams(search).get(this.URL_PARAM);
+        if (!value) return null;
+
+        const urls = value.split(',')
+            .map(url => this.normalizeRelayUrl(url))
+            .filter(Boolean);
+        return urls.length > 0 ? [...new Set(urls)] : null;
+    }
+
+    /**
+     * Relays to read from on this page: the URL override, else the enabled saved relays
+     */
+    static getReadRelays() {
+        return this.getOverride() || this.load()
+            .filter(relay => relay.read)
+            .map(relay => relay.url);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * NIP-11 relay information documents
+ *
+ * Fetches a relay's information document over HTTP(S) (same host as the
+ * websocket, with `Accept: application/nostr+json`) and extracts the
+ * limitations we have to respect when sending REQs.
+ */
+
+export class RelayInfo {
+    static FETCH_TIMEOUT = 3000;
+    static CACHE_TTL = 60 * 60 * 1000; // refetch documents after an hour
+
+    static cache = new Map(); // relayUrl -> { fetchedAt, promise }
+
+    /**
+     * HTTP(S) URL serving a relay's information document
+     */
+    static getInfoUrl(relayUrl) {
+        return relayUrl.replace(/^ws(s?):\/\//i, 'http$1://');
+    }
+
+    /**
+     * Fetch (or reuse) a relay's information document; resolves with null on failure
+     */
+    static fetch(relayUrl) {
+        const cached = this.cache.get(relayUrl);
+        if (cached && Date.now() - cached.fetchedAt < this.CACHE_TTL) {
+            return cached.promise;
+        }
+
+        const promise = this.request(relayUrl);
+        this.cache.set(relayUrl, { fetchedAt: Date.now(), promise });
+        return promise;
+    }
+
+    /**
+     * Request the document, giving up after FETCH_TIMEOUT
+     */
+    static async request(relayUrl) {
+        if (typeof fetch === 'undefined') {
+            return null;
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = setTimeout(() => controller && controller.abort(), this.FETCH_TIMEOUT);
+
+        try {
+            const response = await fetch(this.getInfoUrl(relayUrl), {
+                headers: { Accept: 'application/nostr+json' },
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const info = await response.json();
+            return info && typeof info === 'object' ? info : null;
+        } catch (e) {
+            console.log(`No relay information for ${relayUrl}:`, e.message);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Limits from a document: { maxFilters, maxLimit, maxSubscriptions, authRequired, paymentRequired }
+     *
+     * Missing or malformed values come back as null (no limit) or false.
+     */
+    static getLimits(info) {
+        const limitation = (info && info.limitation) || {};
+        const positive = value => Number.isInteger(value) && value > 0 ? value : null;
+        return {
+            maxFilters: positive(limitation.max_filters),
+            maxLimit: positive(limitation.max_limit),
+            maxSubscriptions: positive(limitation.max_subscriptions),
+            authRequired: limitation.auth_required === true,
+            paymentRequired: limitation.payment_required === true
+        };
+    }
+
+    /**
+     * Fit a REQ's filters to a relay's limits
+     *
+     * Clamps each filter's `limit` to `maxLimit` and splits the filters into
+     * groups of at most `maxFilters`, each of which needs its own REQ.
+     */
+    static applyLimits(filters, limits) {
+        const clamped = limits.maxLimit === null
+            ? filters
+            : filters.map(filter => filter.limit !== undefined && filter.limit > limits.maxLimit
+                ? { ...filter, limit: limits.maxLimit }
+                : filter);
+
+        if (limits.maxFilters === null || clamped.length <= limits.maxFilters) {
+            return [clamped];
+        }
+
+        const groups = [];
+        for (let i = 0; i < clamped.length; i += limits.maxFilters) {
+            groups.push(clamped.slice(i, i + limits.maxFilters));
+        }
+        return groups;
+    }
+}
\ No newline at end of file
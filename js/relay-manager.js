@@ -1,12 +1,71 @@
 /**
  * Relay connection and event management for Nostr
+ *
+ * Relays that drop are reconnected with exponential backoff; active
+ * subscriptions are replayed on reconnect. Emits `relayState` events
+ * ({ url, state, attempts, retryIn }) whenever a relay changes state.
+ *
+ * Temporary relays (e.g. an author's outbox relays) only receive queries
+ * and subscriptions aimed at them, are not reconnected, and are closed
+ * once idle.
+ *
+ * Each relay's NIP-11 document is fetched on connect and its `max_limit`
+ * and `max_filters` are applied to every REQ; per-relay stats (latency,
+ * events, EOSE times, NOTICE/CLOSED messages) feed the relay status page.
+ *
+ * CLOSED messages are read by their machine-readable prefix: `rate-limited:`
+ * backs the relay off and retries, `auth-required:` parks the subscription
+ * until the relay is authenticated, anything else gives up on that relay.
+ * Emits `relayClosed` ({ url, subscriptionId, prefix, message }) and
+ * `relayNotice` ({ url, message }).
+ *
+ * NIP-42: AUTH challenges are kept per connection (`authChallenge` event)
+ * and `authenticate()` answers one with a kind 22242 event from a NIP-07
+ * signer, then replays the REQs the relay refused (`relayAuth` event).
+ *
+ * `subscribe()` picks a unique id for every subscription and returns a
+ * handle to listen on and close it. Each relay gets at most
+ * MAX_SUBSCRIPTIONS_PER_RELAY open REQs (fewer if its NIP-11
+ * `max_subscriptions` says so); the rest wait in a per-relay queue.
  */
 
-class RelayManager {
-    constructor() {
-        this.activeConnections = [];
-        this.eventHandlers = new Map();
-        this.subscriptions = new Map();
+import * as CryptoUtils from './crypto-utils.js';
+import { EventEmitter } from './event-emitter.js';
+import { EventStore } from './event-store.js';
+import { RelayInfo } from './relay-info.js';
+import { RelayConfig } from './relay-config.js';
+
+export class RelayManager extends EventEmitter {
+    static CONNECT_TIMEOUT = 5000;
+    static RECONNECT_BASE_DELAY = 1000;
+    static RECONNECT_MAX_DELAY = 60000;
+    static MAX_RECONNECT_ATTEMPTS = 10;
+    static RESUBSCRIBE_OVERLAP = 30; // seconds re-requested before a disconnect, to cover clock skew
+    static QUERY_TIMEOUT = 6000;
+    static TEMPORARY_IDLE_TIMEOUT = 60000; // close temporary relays unused for this long
+    static IDLE_CHECK_INTERVAL = 15000;
+    static PART_SEPARATOR = ':'; // joins a subscription id and the index of one of its split REQs
+    static MAX_LOGGED_MESSAGES = 20; // NOTICE/CLOSED messages and EOSE times kept per relay
+    static CLOSED_PREFIXES = ['auth-required', 'rate-limited', 'restricted', 'blocked', 'invalid', 'error', 'duplicate', 'pow', 'unsupported'];
+    static RATE_LIMIT_BASE_DELAY = 2000;
+    static MAX_CLOSED_RETRIES = 3; // resends of one subscription to a relay that rate-limited it
+    static AUTH_TIMEOUT = 5000; // ms to wait for the relay's OK to an AUTH
+    static MAX_AUTH_PENDING = 50; // refused REQs remembered per relay for replay after AUTH
+    static MAX_SUBSCRIPTIONS_PER_RELAY = 20; // open REQs per relay; more are queued
+    static SOCKET_OPEN = 1; // WebSocket.OPEN, the same for any WebSocket implementation
+
+    constructor(options = {}) {
+        super();
+        this.eventStore = options.eventStore || new EventStore(); // every verified event lands here
+        this.WebSocket = options.WebSocket || null; // socket implementation, e.g. a mock relay's; defaults to the global one
+        this.relays = new Map(); // relayUrl -> { url, ws, state, attempts, retryTimer }
+        this.subscriptions = new Map(); // subscription id -> record, see subscribe
+        this.relayStats = new Map(); // relayUrl -> counters and logs, see getRelayStats
+        this.verifiedEventIds = new Set(); // ids whose signature already checked out
+        this.subscriptionCounter = 0;
+        this.idleTimer = null; // sweeps idle temporary relays while any are pooled
+        this.countRequests = new Map(); // COUNT request id -> { onCount, onClosed }
+        this.okWaiters = new Map(); // event id -> callback(relayUrl, accepted, message) for OK replies
     }
 
     /**
@@ -23,55 +82,475 @@ class RelayManager {
     }
 
     /**
-     * Connect to a single relay
+     * Relays the user has configured to read from (see RelayConfig)
      */
-    async connectToRelay(url) {
-        return new Promise((resolve, reject) => {
-            const ws = new WebSocket(url);
-            let resolved = false;
-            
-            const timeout = setTimeout(() => {
-                if (!resolved) {
-                    console.log(`Connection timeout for ${url}`);
-                    reject(new Error('Connection timeout'));
+    static getConfiguredRelays() {
+        return RelayConfig.getReadRelays();
+    }
+
+    /**
+     * Configured relays plus any relay hints from a NIP-19 reference
+     */
+    static withRelayHints(relays = []) {
+        const hints = relays.filter(url => /^wss?:\/\//.test(url));
+        return [...new Set([...RelayManager.getConfiguredRelays(), ...hints])];
+    }
+
+    /**
+     * Connect to a single relay, adding it to the pool
+     *
+     * Resolves with the socket once open; rejects if the first attempt fails,
+     * in which case the relay keeps retrying in the background (unless it is
+     * temporary, see `options.temporary`).
+     */
+    async connectToRelay(url, options = {}) {
+        let relay = this.relays.get(url);
+        if (!relay) {
+            relay = {
+                url,
+                ws: null,
+                state: 'idle',
+                attempts: 0,
+                retryTimer: null,
+                temporary: !!options.temporary,
+                lastUsed: Date.now(),
+                info: null, // NIP-11 document, once fetched
+                limits: RelayInfo.getLimits(null),
+                infoPromise: null,
+                rateLimitedUntil: 0, // ms timestamp; REQs wait until then
+                rateLimitCount: 0, // consecutive rate limits, for the backoff
+                authRequired: false,
+                authPending: new Map(), // subscription id -> filters closed with auth-required
+                challenge: null, // NIP-42 challenge for the current connection
+                authenticatedAs: null, // pubkey the current connection is authenticated as
+                openSubscriptions: new Map(), // subscription id -> REQs open on this connection
+                queuedSubscriptions: [] // subscription ids waiting for a free slot
+            };
+            this.relays.set(url, relay);
+            this.loadRelayInfo(relay);
+        } else if (!options.temporary) {
+            relay.temporary = false; // asked for explicitly, so it stays
+        }
+
+        relay.lastUsed = Date.now();
+        if (relay.temporary) {
+            this.startIdleTimer();
+        }
+
+        if (relay.state === 'open') {
+            return relay.ws;
+        }
+        if (relay.state === 'connecting') {
+            return relay.pending;
+        }
+
+        // An explicit connect starts a fresh backoff sequence
+        relay.attempts = 0;
+        return this.openRelay(relay);
+    }
+
+    /**
+     * Fetch a relay's NIP-11 document and adopt its limits
+     */
+    loadRelayInfo(relay) {
+        relay.infoPromise = RelayInfo.fetch(relay.url).then(info => {
+            relay.info = info;
+            relay.limits = RelayInfo.getLimits(info);
+            if (info) {
+                this.emit('relayInfo', { url: relay.url, info });
+            }
+        });
+        return relay.infoPromise;
+    }
+
+    /**
+     * Open the socket for a pooled relay
+     */
+    openRelay(relay) {
+        relay.pending = new Promise((resolve, reject) => {
+            const { url } = relay;
+            const SocketImpl = this.WebSocket || WebSocket;
+            const ws = new SocketImpl(url);
+            const startedAt = Date.now();
+            let settled = false;
+
+            relay.ws = ws;
+            relay.challenge = null; // authentication is per connection
+            relay.authenticatedAs = null;
+            relay.openSubscriptions.clear(); // resubscribe sends (or queues) them again
+            relay.queuedSubscriptions = [];
+            clearTimeout(relay.retryTimer);
+            relay.retryTimer = null;
+            this.setRelayState(relay, 'connecting');
+
+            const fail = (error) => {
+                clearTimeout(timeout);
+                if (!settled) {
+                    settled = true;
+                    reject(error);
                 }
-            }, 5000);
-            
-            ws.onopen = () => {
-                console.log(`✓ Connected to ${url}`);
+                this.handleDisconnect(relay, ws);
+            };
+
+            const timeout = setTimeout(() => {
+                console.log(`Connection timeout for ${url}`);
+                fail(new Error('Connection timeout'));
+                ws.close();
+            }, RelayManager.CONNECT_TIMEOUT);
+
+            ws.onopen = async () => {
                 clearTimeout(timeout);
-                resolved = true;
-                
+                if (relay.ws !== ws) {
+                    ws.close();
+                    return;
+                }
+
+                this.getRelayStats(url).latency = Date.now() - startedAt;
+
                 // Set up message handling
                 ws.onmessage = (event) => this.handleRelayMessage(url, event);
-                
+
+                // Hold the first REQs until we know the relay's limits (bounded by the fetch timeout)
+                await relay.infoPromise;
+                if (relay.ws !== ws || settled) {
+                    return;
+                }
+
+                console.log(`✓ Connected to ${url}`);
+                settled = true;
+                relay.attempts = 0;
+
+                this.setRelayState(relay, 'open');
+                this.resubscribe(relay);
                 resolve(ws);
             };
-            
+
             ws.onerror = (error) => {
-                console.error(`✗ Failed to connect to ${url}:`, error);
-                clearTimeout(timeout);
-                if (!resolved) {
-                    resolved = true;
-                    reject(error);
-                }
+                console.error(`✗ Connection error for ${url}:`, error);
+                fail(error);
             };
-            
+
             ws.onclose = () => {
                 console.log(`Disconnected from ${url}`);
-                this.removeConnection(ws);
+                fail(new Error('Connection closed'));
             };
         });
+        return relay.pending;
+    }
+
+    /**
+     * Handle a socket going away: remember sync progress and schedule a reconnect
+     */
+    handleDisconnect(relay, ws) {
+        // Ignore stale sockets and relays we closed on purpose
+        if (relay.ws !== ws || relay.state === 'closed' || relay.state === 'backing-off') {
+            return;
+        }
+
+        relay.ws = null;
+
+        // Temporary relays are just dropped; they are reopened when needed again
+        if (relay.temporary) {
+            this.removeRelay(relay);
+            return;
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+
+        // Everything up to now was delivered for subscriptions that reached EOSE
+        this.subscriptions.forEach(subscription => {
+            if (subscription.eoseRelays.has(relay.url)) {
+                subscription.relayCursors.set(relay.url, now);
+                subscription.eoseRelays.delete(relay.url);
+            }
+        });
+
+        this.scheduleReconnect(relay);
+    }
+
+    /**
+     * Schedule a reconnect with exponential backoff and jitter
+     */
+    scheduleReconnect(relay) {
+        relay.attempts++;
+
+        if (relay.attempts > RelayManager.MAX_RECONNECT_ATTEMPTS) {
+            console.log(`Giving up on ${relay.url} after ${relay.attempts - 1} attempts`);
+            this.setRelayState(relay, 'failed');
+            return;
+        }
+
+        const backoff = Math.min(
+            RelayManager.RECONNECT_BASE_DELAY * 2 ** (relay.attempts - 1),
+            RelayManager.RECONNECT_MAX_DELAY
+        );
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+        console.log(`Reconnecting to ${relay.url} in ${delay}ms (attempt ${relay.attempts})`);
+        relay.retryTimer = setTimeout(() => {
+            this.openRelay(relay).catch(() => {
+                // Failure already scheduled the next attempt
+            });
+        }, delay);
+        this.setRelayState(relay, 'backing-off', { retryIn: delay });
+    }
+
+    /**
+     * Update a relay's state and notify listeners
+     */
+    setRelayState(relay, state, extra = {}) {
+        relay.state = state;
+        this.emit('relayState', {
+            url: relay.url,
+            state,
+            attempts: relay.attempts,
+            ...extra
+        });
+    }
+
+    /**
+     * The NIP-42 challenge a relay sent on its current connection, if any
+     */
+    getRelayChallenge(relayUrl) {
+        const relay = this.relays.get(relayUrl);
+        return relay ? relay.challenge : null;
+    }
+
+    /**
+     * Get the state of every pooled relay
+     */
+    getRelayStates() {
+        return [...this.relays.values()].map(({ url, state, attempts, temporary, authenticatedAs }) =>
+            ({ url, state, attempts, temporary, authenticatedAs }));
+    }
+
+    /**
+     * Close a relay and take it out of the pool
+     */
+    removeRelay(relay) {
+        clearTimeout(relay.retryTimer);
+        this.setRelayState(relay, 'closed');
+        if (relay.ws) {
+            const ws = relay.ws;
+            relay.ws = null;
+            ws.close();
+        }
+        this.relays.delete(relay.url);
+    }
+
+    /**
+     * Sweep idle temporary relays periodically while any are pooled
+     */
+    startIdleTimer() {
+        if (this.idleTimer) return;
+        this.idleTimer = setInterval(() => this.closeIdleRelays(), RelayManager.IDLE_CHECK_INTERVAL);
+    }
+
+    /**
+     * Close temporary relays no subscription has used for a while
+     */
+    closeIdleRelays() {
+        const now = Date.now();
+        const temporaryRelays = [...this.relays.values()].filter(relay => relay.temporary);
+
+        temporaryRelays.forEach(relay => {
+            const inUse = [...this.subscriptions.values()]
+                .some(subscription => subscription.relays && subscription.relays.has(relay.url));
+            if (inUse) {
+                relay.lastUsed = now;
+            } else if (now - relay.lastUsed > RelayManager.TEMPORARY_IDLE_TIMEOUT) {
+                console.log(`Closing idle relay ${relay.url}`);
+                this.removeRelay(relay);
+            }
+        });
+
+        if (![...this.relays.values()].some(relay => relay.temporary)) {
+            clearInterval(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    /**
+     * Replay every active subscription on a (re)opened relay
+     */
+    resubscribe(relay) {
+        this.subscriptions.forEach((subscription, subscriptionId) => {
+            this.sendSubscription(relay, subscriptionId, subscription);
+        });
+    }
+
+    /**
+     * Send a subscription's REQ to one relay, resuming from its cursor if it has one
+     *
+     * Filters are fitted to the relay's NIP-11 limits; more filters than
+     * `max_filters` go out as several REQs whose ids carry a part suffix.
+     */
+    sendSubscription(relay, subscriptionId, subscription) {
+        // Subscriptions without a relay list only go to the permanent relays
+        if (subscription.relays ? !subscription.relays.has(relay.url) : relay.temporary) {
+            return;
+        }
+
+        // Closed on this relay after its EOSE, nothing more to ask for
+        if (subscription.finishedRelays.has(relay.url)) {
+            return;
+        }
+
+        // A relay that rate-limited us gets the REQ once its backoff is over
+        const wait = relay.rateLimitedUntil - Date.now();
+        if (wait > 0) {
+            this.scheduleResend(relay, subscriptionId, subscription, wait);
+            return;
+        }
+
+        const cursor = subscription.relayCursors.get(relay.url);
+        const filters = cursor === undefined
+            ? subscription.filters
+            : subscription.filters.map(filter => ({
+                ...filter,
+                since: Math.max(filter.since || 0, cursor - RelayManager.RESUBSCRIBE_OVERLAP)
+            }));
+
+        const groups = RelayInfo.applyLimits(filters, relay.limits);
+        const requestIds = groups.length === 1
+            ? [subscriptionId]
+            : groups.map((group, index) => `${subscriptionId}${RelayManager.PART_SEPARATOR}${index}`);
+
+        // Wait for a free slot; a REQ that replaces one of ours doesn't need a new one
+        const alreadyOpen = relay.openSubscriptions.get(subscriptionId) || 0;
+        const othersOpen = this.countOpenRequests(relay) - alreadyOpen;
+        if (othersOpen > 0 && othersOpen + requestIds.length > this.getSubscriptionCap(relay)) {
+            if (!relay.queuedSubscriptions.includes(subscriptionId)) {
+                relay.queuedSubscriptions.push(subscriptionId);
+                console.log(`Queued subscription ${subscriptionId} for ${relay.url} (${othersOpen} REQs open)`);
+            }
+            return;
+        }
+        relay.openSubscriptions.set(subscriptionId, requestIds.length);
+
+        subscription.eoseRelays.delete(relay.url);
+        subscription.requestIds.set(relay.url, requestIds);
+        subscription.pendingParts.set(relay.url, new Set(requestIds));
+        subscription.sentAt.set(relay.url, Date.now());
+
+        groups.forEach((group, index) => {
+            if (this.sendToRelay(relay, ['REQ', requestIds[index], ...group])) {
+                console.log(`Sent subscription ${requestIds[index]} to ${relay.url}${cursor === undefined ? '' : ' (resumed)'}`);
+            }
+        });
     }
 
     /**
-     * Connect to multiple relays
+     * How many REQs a relay may have open at once
      */
-    async connectToRelays(relayUrls = RelayManager.DEFAULT_RELAYS) {
+    getSubscriptionCap(relay) {
+        const advertised = relay.limits.maxSubscriptions;
+        return advertised === null
+            ? RelayManager.MAX_SUBSCRIPTIONS_PER_RELAY
+            : Math.min(advertised, RelayManager.MAX_SUBSCRIPTIONS_PER_RELAY);
+    }
+
+    /**
+     * REQs currently open on a relay (split subscriptions count every part)
+     */
+    countOpenRequests(relay) {
+        let count = 0;
+        relay.openSubscriptions.forEach(parts => { count += parts; });
+        return count;
+    }
+
+    /**
+     * Free a subscription's slot on a relay and send what was queued behind it
+     */
+    releaseSubscription(relay, subscriptionId) {
+        if (!relay.openSubscriptions.delete(subscriptionId)) return;
+
+        // Anything that still doesn't fit goes back in the queue, in order
+        const queued = relay.queuedSubscriptions.splice(0);
+        queued.forEach(queuedId => {
+            const subscription = this.subscriptions.get(queuedId);
+            if (subscription) {
+                this.sendSubscription(relay, queuedId, subscription);
+            }
+        });
+    }
+
+    /**
+     * Send CLOSE for every part of a subscription open on a relay
+     */
+    closeOnRelay(relay, subscriptionId, subscription) {
+        if (!relay.openSubscriptions.has(subscriptionId)) return;
+        const requestIds = (subscription && subscription.requestIds.get(relay.url)) || [subscriptionId];
+        requestIds.forEach(requestId => this.sendToRelay(relay, ['CLOSE', requestId]));
+        this.releaseSubscription(relay, subscriptionId);
+    }
+
+    /**
+     * Send a subscription to a relay again later, if both are still around
+     */
+    scheduleResend(relay, subscriptionId, subscription, delay) {
+        const timer = setTimeout(() => {
+            subscription.retryTimers.delete(timer);
+            if (this.subscriptions.get(subscriptionId) === subscription && this.relays.get(relay.url) === relay) {
+                this.sendSubscription(relay, subscriptionId, subscription);
+            }
+        }, delay);
+        subscription.retryTimers.add(timer);
+    }
+
+    /**
+     * Back a rate-limiting relay off exponentially
+     */
+    backOffRelay(relay) {
+        relay.rateLimitCount++;
+        const delay = Math.min(
+            RelayManager.RATE_LIMIT_BASE_DELAY * 2 ** (relay.rateLimitCount - 1),
+            RelayManager.RECONNECT_MAX_DELAY
+        );
+        relay.rateLimitedUntil = Date.now() + delay;
+        console.log(`${relay.url} is rate limiting us, holding REQs for ${delay}ms`);
+        return delay;
+    }
+
+    /**
+     * Split a CLOSED (or OK) message into its machine-readable prefix and text
+     */
+    static parseReason(reason) {
+        const match = /^([a-z-]+):\s*([\s\S]*)$/.exec(reason || '');
+        if (match && RelayManager.CLOSED_PREFIXES.includes(match[1])) {
+            return { prefix: match[1], message: match[2] };
+        }
+        return { prefix: null, message: reason || '' };
+    }
+
+    /**
+     * The subscription a relay-side REQ id belongs to
+     */
+    static getBaseSubscriptionId(requestId) {
+        const separator = requestId.lastIndexOf(RelayManager.PART_SEPARATOR);
+        return separator !== -1 && /^\d+$/.test(requestId.slice(separator + 1))
+            ? requestId.slice(0, separator)
+            : requestId;
+    }
+
+    /**
+     * Send a message to a relay if its socket is open
+     */
+    sendToRelay(relay, message) {
+        if (relay.ws && relay.state === 'open' && relay.ws.readyState === RelayManager.SOCKET_OPEN) {
+            relay.ws.send(JSON.stringify(message));
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Connect to multiple relays (by default the configured ones)
+     */
+    async connectToRelays(relayUrls = RelayManager.getConfiguredRelays()) {
         const connectionPromises = relayUrls.map(async (relay) => {
             try {
                 const ws = await this.connectToRelay(relay);
-                this.activeConnections.push({ url: relay, ws });
                 return { url: relay, ws, success: true };
             } catch (error) {
                 console.error(`Failed to connect to ${relay}:`, error);
@@ -90,17 +569,39 @@ class RelayManager {
             const message = JSON.parse(event.data);
             console.log(`Message from ${relayUrl}:`, message[0], message[1]);
             
-            const [type, subscriptionId, eventData] = message;
+            const [type, requestId, eventData] = message;
+            const subscriptionId = typeof requestId === 'string' ? RelayManager.getBaseSubscriptionId(requestId) : requestId;
             
             if (type === 'EVENT' && eventData) {
                 this.handleEvent(relayUrl, subscriptionId, eventData);
             } else if (type === 'EOSE') {
-                console.log(`End of stored events from ${relayUrl} (${subscriptionId})`);
-                this.handleEndOfStoredEvents(relayUrl, subscriptionId);
+                console.log(`End of stored events from ${relayUrl} (${requestId})`);
+                this.handleEndOfStoredEvents(relayUrl, subscriptionId, requestId);
             } else if (type === 'CLOSED') {
-                console.log(`Subscription closed by ${relayUrl} (${subscriptionId})`);
+                console.log(`Subscription closed by ${relayUrl} (${requestId}):`, message[2]);
+                this.logRelayMessage(relayUrl, 'closed', { subscriptionId, message: message[2] || '' });
+                if (this.countRequests.has(requestId)) {
+                    this.countRequests.get(requestId).onClosed(relayUrl, message[2] || '');
+                } else {
+                    this.handleSubscriptionClosed(relayUrl, subscriptionId, message[2] || '');
+                }
+            } else if (type === 'NOTICE') {
+                console.log(`Notice from ${relayUrl}:`, message[1]);
+                this.logRelayMessage(relayUrl, 'notices', { message: String(message[1]) });
+                this.emit('relayNotice', { url: relayUrl, message: String(message[1]) });
+            } else if (type === 'COUNT') {
+                const request = this.countRequests.get(requestId);
+                if (request && eventData && Number.isInteger(eventData.count)) {
+                    request.onCount(relayUrl, eventData.count);
+                }
+            } else if (type === 'OK') {
+                const waiter = this.okWaiters.get(requestId);
+                if (waiter) {
+                    waiter(relayUrl, message[2] === true, message[3] || '');
+                }
             } else if (type === 'AUTH') {
                 console.log(`Auth challenge from ${relayUrl}:`, message[1]);
+                this.handleAuthChallenge(relayUrl, message[1]);
             }
         } catch (e) {
             console.error('Error parsing message:', e);
@@ -111,96 +612,435 @@ class RelayManager {
      * Handle individual events
      */
     handleEvent(relayUrl, subscriptionId, eventData) {
+        // Drop anything that isn't a correctly signed event
+        if (!this.isValidEvent(eventData)) {
+            const stats = this.getRelayStats(relayUrl);
+            stats.badEvents++;
+            console.warn(`✗ Dropped invalid event from ${relayUrl} (${stats.badEvents} bad event${stats.badEvents > 1 ? 's' : ''} so far)`);
+            return;
+        }
+
         console.log(`Found event kind ${eventData.kind} from ${eventData.pubkey.slice(0,8)}... (subscription: ${subscriptionId})`);
+        this.getRelayStats(relayUrl).eventsReceived++;
+        this.eventStore.add(eventData);
         
-        // Call registered event handlers
-        const handlers = this.eventHandlers.get(subscriptionId);
-        if (handlers) {
-            handlers.forEach(handler => {
-                try {
-                    handler(eventData, relayUrl);
-                } catch (e) {
-                    console.error('Error in event handler:', e);
-                }
+        // Call the subscription's event listeners
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (subscription) {
+            this.notifyListeners(subscription.listeners.event, eventData, relayUrl);
+        }
+    }
+
+    /**
+     * Call subscription listeners, keeping one failing listener from stopping the rest
+     */
+    notifyListeners(listeners, ...args) {
+        listeners.forEach(listener => {
+            try {
+                listener(...args);
+            } catch (e) {
+                console.error('Error in subscription listener:', e);
+            }
+        });
+    }
+
+    /**
+     * Check event id and signature, skipping events already verified
+     */
+    isValidEvent(eventData) {
+        if (!CryptoUtils.isWellFormedEvent(eventData)) {
+            return false;
+        }
+
+        // The id commits to the content, so a matching hash for a known id is enough
+        if (this.verifiedEventIds.has(eventData.id)) {
+            return CryptoUtils.getEventHash(eventData) === eventData.id;
+        }
+
+        if (!CryptoUtils.verifyEvent(eventData)) {
+            return false;
+        }
+
+        this.verifiedEventIds.add(eventData.id);
+        return true;
+    }
+
+    /**
+     * Get (and lazily create) the stats record for a relay
+     *
+     * { badEvents, eventsReceived, latency (ms to open the socket),
+     *   eoseTimes (ms from REQ to EOSE), notices, closed }
+     */
+    getRelayStats(relayUrl) {
+        if (!this.relayStats.has(relayUrl)) {
+            this.relayStats.set(relayUrl, {
+                badEvents: 0,
+                eventsReceived: 0,
+                latency: null,
+                eoseTimes: [],
+                notices: [], // { time, message }
+                closed: [] // { time, subscriptionId, message }
             });
         }
+        return this.relayStats.get(relayUrl);
+    }
+
+    /**
+     * Append to one of a relay's logs, keeping the most recent entries
+     */
+    logRelayMessage(relayUrl, log, entry) {
+        const entries = this.getRelayStats(relayUrl)[log];
+        entries.push({ time: Date.now(), ...entry });
+        if (entries.length > RelayManager.MAX_LOGGED_MESSAGES) {
+            entries.shift();
+        }
+    }
+
+    /**
+     * State, NIP-11 information and stats for every relay we have talked to
+     */
+    getRelayDetails() {
+        const urls = new Set([...this.relays.keys(), ...this.relayStats.keys()]);
+        return [...urls].map(url => {
+            const relay = this.relays.get(url);
+            return {
+                url,
+                state: relay ? relay.state : 'closed',
+                attempts: relay ? relay.attempts : 0,
+                temporary: relay ? relay.temporary : false,
+                info: relay ? relay.info : null,
+                limits: relay ? relay.limits : RelayInfo.getLimits(null),
+                rateLimitedUntil: relay ? relay.rateLimitedUntil : 0,
+                authRequired: relay ? relay.authRequired : false,
+                authenticatedAs: relay ? relay.authenticatedAs : null,
+                stats: this.getRelayStats(url)
+            };
+        });
+    }
+
+    /**
+     * Get the number of invalid events received per relay
+     */
+    getBadEventCounts() {
+        const counts = {};
+        this.relayStats.forEach((stats, url) => {
+            counts[url] = stats.badEvents;
+        });
+        return counts;
     }
 
     /**
      * Handle end of stored events
+     *
+     * A subscription split into several REQs is caught up once every part is.
      */
-    handleEndOfStoredEvents(relayUrl, subscriptionId) {
-        // Notify handlers that initial sync is complete
+    handleEndOfStoredEvents(relayUrl, subscriptionId, requestId = subscriptionId) {
         const subscription = this.subscriptions.get(subscriptionId);
-        if (subscription && subscription.onEOSE) {
-            subscription.onEOSE(relayUrl);
+        const relay = this.relays.get(relayUrl);
+        if (!subscription || !relay || !relay.openSubscriptions.has(subscriptionId)) return;
+
+        const pendingParts = subscription.pendingParts.get(relayUrl);
+        if (pendingParts) {
+            pendingParts.delete(requestId);
+            if (pendingParts.size > 0) return;
+            subscription.pendingParts.delete(relayUrl);
+        }
+
+        // The relay is answering normally again
+        relay.rateLimitCount = 0;
+        subscription.closedRetries.delete(relayUrl);
+
+        const sentAt = subscription.sentAt.get(relayUrl);
+        if (sentAt !== undefined) {
+            subscription.sentAt.delete(relayUrl);
+            this.logEoseTime(relayUrl, Date.now() - sentAt);
+        }
+
+        // Remember the relay is caught up so a reconnect can resume from here
+        subscription.eoseRelays.add(relayUrl);
+        subscription.relayCursors.set(relayUrl, Math.floor(Date.now() / 1000));
+
+        // Notify listeners that initial sync is complete
+        this.notifyListeners(subscription.listeners.eose, relayUrl);
+
+        if (subscription.closeOnEose) {
+            subscription.finishedRelays.add(relayUrl);
+            this.closeOnRelay(relay, subscriptionId, subscription);
+            this.closeIfFinished(subscriptionId, subscription);
         }
     }
 
     /**
-     * Subscribe to events from all connected relays
+     * Drop a close-on-EOSE subscription once no relay has anything left to send
+     *
+     * Relays still owing EOSE, REQs waiting in a relay's queue and pending
+     * rate-limit resends all keep it open.
      */
-    subscribe(subscriptionId, filters, eventHandler, options = {}) {
-        // Store the subscription
-        this.subscriptions.set(subscriptionId, {
-            filters,
-            handler: eventHandler,
-            onEOSE: options.onEOSE
+    closeIfFinished(subscriptionId, subscription) {
+        if (!subscription.closeOnEose || this.subscriptions.get(subscriptionId) !== subscription) return;
+
+        const waiting = [...subscription.pendingParts.keys()].some(url => {
+            const relay = this.relays.get(url);
+            return relay && relay.state !== 'failed' && relay.state !== 'closed';
         });
+        const queued = [...this.relays.values()].some(relay => relay.queuedSubscriptions.includes(subscriptionId));
+        if (!waiting && !queued && subscription.retryTimers.size === 0) {
+            this.unsubscribe(subscriptionId);
+        }
+    }
 
-        // Register event handler
-        if (!this.eventHandlers.has(subscriptionId)) {
-            this.eventHandlers.set(subscriptionId, []);
+    /**
+     * Record how long a relay took to send EOSE
+     */
+    logEoseTime(relayUrl, duration) {
+        const eoseTimes = this.getRelayStats(relayUrl).eoseTimes;
+        eoseTimes.push(duration);
+        if (eoseTimes.length > RelayManager.MAX_LOGGED_MESSAGES) {
+            eoseTimes.shift();
         }
-        this.eventHandlers.get(subscriptionId).push(eventHandler);
+    }
 
-        // Send subscription to all connected relays
-        const reqMessage = JSON.stringify(['REQ', subscriptionId, filters]);
-        
-        this.activeConnections.forEach(({ url, ws }) => {
-            if (ws.readyState === WebSocket.OPEN) {
-                ws.send(reqMessage);
-                console.log(`Sent subscription ${subscriptionId} to ${url}`);
+    /**
+     * Remember a relay's NIP-42 challenge for this connection
+     */
+    handleAuthChallenge(relayUrl, challenge) {
+        const relay = this.relays.get(relayUrl);
+        if (!relay || typeof challenge !== 'string') return;
+
+        relay.challenge = challenge;
+        this.emit('authChallenge', {
+            url: relayUrl,
+            challenge,
+            required: relay.authRequired || relay.limits.authRequired
+        });
+    }
+
+    /**
+     * Authenticate to a relay (NIP-42) with a NIP-07 signer such as `window.nostr`
+     *
+     * Signs a kind 22242 event for the relay's current challenge and waits
+     * for its OK. Then every REQ the relay refused with `auth-required:` is
+     * sent again: live subscriptions as they are, finished queries as fresh
+     * one-off queries whose events land in the event store. Resolves with
+     * the authenticated pubkey.
+     */
+    async authenticate(relayUrl, signer) {
+        const relay = this.relays.get(relayUrl);
+        if (!relay || relay.state !== 'open') {
+            throw new Error(`Not connected to ${relayUrl}`);
+        }
+        if (!relay.challenge) {
+            throw new Error(`${relayUrl} has not sent an AUTH challenge`);
+        }
+
+        const authEvent = await signer.signEvent({
+            kind: 22242,
+            created_at: Math.floor(Date.now() / 1000),
+            tags: [['relay', relayUrl], ['challenge', relay.challenge]],
+            content: ''
+        });
+        if (!authEvent || authEvent.kind !== 22242 || !CryptoUtils.verifyEvent(authEvent)) {
+            throw new Error('The signer returned an invalid auth event');
+        }
+
+        const { accepted, message } = await this.sendAndWaitForOk(relay, ['AUTH', authEvent], authEvent.id);
+        if (!accepted) {
+            throw new Error(message || 'Authentication rejected');
+        }
+
+        console.log(`Authenticated to ${relayUrl} as ${authEvent.pubkey.slice(0, 8)}...`);
+        relay.authenticatedAs = authEvent.pubkey;
+        relay.authRequired = false;
+        this.emit('relayAuth', { url: relayUrl, pubkey: authEvent.pubkey });
+
+        const refused = [...relay.authPending];
+        relay.authPending.clear();
+        refused.forEach(([subscriptionId, filters]) => {
+            const subscription = this.subscriptions.get(subscriptionId);
+            if (subscription) {
+                this.sendSubscription(relay, subscriptionId, subscription);
+            } else {
+                this.query(filters, { relays: [relayUrl] });
             }
         });
+
+        return authEvent.pubkey;
     }
 
     /**
-     * Unsubscribe from events
+     * Send an event-carrying message and wait for the relay's OK for that event id
      */
-    unsubscribe(subscriptionId) {
-        // Remove handlers and subscription
-        this.eventHandlers.delete(subscriptionId);
-        this.subscriptions.delete(subscriptionId);
+    sendAndWaitForOk(relay, message, eventId) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.okWaiters.delete(eventId);
+                resolve({ accepted: false, message: 'timed out waiting for the relay' });
+            }, RelayManager.AUTH_TIMEOUT);
 
-        // Send close message to relays
-        const closeMessage = JSON.stringify(['CLOSE', subscriptionId]);
-        
-        this.activeConnections.forEach(({ ws }) => {
-            if (ws.readyState === WebSocket.OPEN) {
-                ws.send(closeMessage);
+            this.okWaiters.set(eventId, (relayUrl, accepted, reason) => {
+                if (relayUrl !== relay.url) return;
+                clearTimeout(timer);
+                this.okWaiters.delete(eventId);
+                resolve({ accepted, message: reason });
+            });
+
+            if (!this.sendToRelay(relay, message)) {
+                clearTimeout(timer);
+                this.okWaiters.delete(eventId);
+                resolve({ accepted: false, message: 'relay is not connected' });
+            }
+        });
+    }
+
+    /**
+     * Handle a relay closing one of our subscriptions
+     *
+     * `rate-limited:` backs the relay off and resends the subscription
+     * (a few times at most); `auth-required:` keeps it for after AUTH. The
+     * subscription's onClosed(relayUrl, reason, { prefix, message }) runs
+     * either way, so queries stop waiting for this relay.
+     */
+    handleSubscriptionClosed(relayUrl, subscriptionId, reason) {
+        const parsed = RelayManager.parseReason(reason);
+        this.emit('relayClosed', { url: relayUrl, subscriptionId, ...parsed });
+
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription) return;
+
+        subscription.pendingParts.delete(relayUrl);
+        subscription.sentAt.delete(relayUrl);
+
+        // The relay already dropped it, so no CLOSE is needed
+        const relay = this.relays.get(relayUrl);
+        if (relay) {
+            this.releaseSubscription(relay, subscriptionId);
+        }
+
+        if (relay && parsed.prefix === 'rate-limited') {
+            const retries = subscription.closedRetries.get(relayUrl) || 0;
+            const delay = this.backOffRelay(relay);
+            if (retries < RelayManager.MAX_CLOSED_RETRIES) {
+                subscription.closedRetries.set(relayUrl, retries + 1);
+                this.scheduleResend(relay, subscriptionId, subscription, delay);
+            }
+        } else if (relay && parsed.prefix === 'auth-required') {
+            relay.authRequired = true;
+            relay.authPending.set(subscriptionId, subscription.filters);
+            if (relay.authPending.size > RelayManager.MAX_AUTH_PENDING) {
+                relay.authPending.delete(relay.authPending.keys().next().value);
             }
+        }
+
+        this.notifyListeners(subscription.listeners.closed, relayUrl, reason, parsed);
+        this.closeIfFinished(subscriptionId, subscription);
+    }
+
+    /**
+     * Generate a subscription id that is unique within this manager
+     */
+    nextSubscriptionId(prefix = 'sub') {
+        this.subscriptionCounter++;
+        return `${prefix}_${this.subscriptionCounter}`;
+    }
+
+    /**
+     * Subscribe to events from all connected relays; returns a handle
+     *
+     * `filters` may be a single filter object or an array of filters.
+     * Options:
+     * - `label`: prefix for the generated subscription id (shows up in logs)
+     * - `onEvent(event, relayUrl)`, `onEOSE(relayUrl)` and
+     *   `onClosed(relayUrl, reason, { prefix, message })`: listeners, which
+     *   can also be added later through the handle
+     * - `relays`: send it to those relays only (which may be temporary ones);
+     *   otherwise it goes to every permanent relay
+     * - `closeOnEose`: close it on each relay after that relay's EOSE, and
+     *   altogether once every relay is done
+     *
+     * The handle has `id`, `onEvent()`, `onEose()`, `onClosed()` (each
+     * returns the handle) and `close()`.
+     */
+    subscribe(filters, options = {}) {
+        const subscriptionId = this.nextSubscriptionId(options.label);
+        const subscription = {
+            filters: Array.isArray(filters) ? filters : [filters],
+            listeners: { event: [], eose: [], closed: [] },
+            relays: options.relays ? new Set(options.relays) : null, // null means every permanent relay
+            closeOnEose: !!options.closeOnEose,
+            finishedRelays: new Set(), // relays a close-on-EOSE subscription is done with
+            eoseRelays: new Set(), // relays that have sent EOSE for the current REQ
+            relayCursors: new Map(), // relayUrl -> unix time we are synced up to
+            requestIds: new Map(), // relayUrl -> REQ ids sent (several if the filters were split)
+            pendingParts: new Map(), // relayUrl -> REQ ids still waiting for EOSE
+            sentAt: new Map(), // relayUrl -> ms timestamp of the REQ, until EOSE
+            closedRetries: new Map(), // relayUrl -> resends after rate-limited CLOSEDs
+            retryTimers: new Set()
+        };
+        if (options.onEvent) subscription.listeners.event.push(options.onEvent);
+        if (options.onEOSE) subscription.listeners.eose.push(options.onEOSE);
+        if (options.onClosed) subscription.listeners.closed.push(options.onClosed);
+        this.subscriptions.set(subscriptionId, subscription);
+
+        const handle = {
+            id: subscriptionId,
+            onEvent: (listener) => {
+                subscription.listeners.event.push(listener);
+                return handle;
+            },
+            onEose: (listener) => {
+                subscription.listeners.eose.push(listener);
+                return handle;
+            },
+            onClosed: (listener) => {
+                subscription.listeners.closed.push(listener);
+                return handle;
+            },
+            close: () => this.unsubscribe(subscriptionId)
+        };
+
+        // Send subscription to all connected relays (others get it when they open)
+        this.relays.forEach(relay => {
+            this.sendSubscription(relay, subscriptionId, subscription);
         });
+
+        return handle;
     }
 
     /**
-     * Remove a connection from active list
+     * Close a subscription on every relay and forget it
      */
-    removeConnection(ws) {
-        this.activeConnections = this.activeConnections.filter(conn => conn.ws !== ws);
+    unsubscribe(subscriptionId) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription) return;
+
+        subscription.retryTimers.forEach(timer => clearTimeout(timer));
+        this.subscriptions.delete(subscriptionId);
+
+        // Send close message to relays, for every part of a split REQ
+        this.relays.forEach(relay => {
+            relay.queuedSubscriptions = relay.queuedSubscriptions.filter(id => id !== subscriptionId);
+            this.closeOnRelay(relay, subscriptionId, subscription);
+        });
     }
 
     /**
      * Close all connections
      */
     closeAllConnections() {
-        this.activeConnections.forEach(({ ws }) => {
-            if (ws.readyState === WebSocket.OPEN) {
-                ws.close();
+        clearInterval(this.idleTimer);
+        this.idleTimer = null;
+        this.relays.forEach(relay => {
+            clearTimeout(relay.retryTimer);
+            this.setRelayState(relay, 'closed');
+            if (relay.ws) {
+                relay.ws.close();
+                relay.ws = null;
             }
         });
-        this.activeConnections = [];
-        this.eventHandlers.clear();
+        this.relays.clear();
+        this.subscriptions.forEach(subscription => {
+            subscription.retryTimers.forEach(timer => clearTimeout(timer));
+        });
         this.subscriptions.clear();
     }
 
@@ -208,13 +1048,11 @@ class RelayManager {
      * Get connected relay count
      */
     getConnectedCount() {
-        return this.activeConnections.filter(({ ws }) => 
-            ws.readyState === WebSocket.OPEN
-        ).length;
+        return [...this.relays.values()].filter(relay => relay.state === 'open').length;
     }
 
     /**
-     * Subscribe to profile data
+     * Subscribe to profile data; returns the subscription handle
      */
     subscribeToProfile(pubkey, handler) {
         const profileFilters = {
@@ -223,11 +1061,11 @@ class RelayManager {
             limit: 1
         };
         
-        this.subscribe('profile', profileFilters, handler);
+        return this.subscribe(profileFilters, { label: 'profile', onEvent: handler });
     }
 
     /**
-     * Subscribe to posts/notes
+     * Subscribe to posts/notes; returns the subscription handle
      */
     subscribeToPosts(pubkey, handler, limit = 20) {
         const postsFilters = {
@@ -236,39 +1074,216 @@ class RelayManager {
             limit: limit
         };
         
-        this.subscribe('posts', postsFilters, handler);
+        return this.subscribe(postsFilters, { label: 'posts', onEvent: handler });
     }
 
     /**
-     * Fetch a specific event by ID
+     * Run a one-off query and resolve with the deduplicated events (newest first)
+     *
+     * Resolves once every relay that was open when the query started has sent
+     * EOSE or CLOSED (or dropped), or when the timeout hits. `options.onEvent`
+     * is called for each new event as it arrives, `options.relays` limits
+     * the query to some of the relays, `options.onEOSE` hears about relays
+     * that sent all they have, and `options.onClosed` about relays that
+     * refused it. Relays backing off for longer than the timeout
+     * are not waited for.
+     *
+     * With `options.incremental`, filters only ask relays for events newer
+     * than what the event store already holds, and the result includes the
+     * stored matches.
      */
-    fetchEvent(eventId, handler) {
-        const subscriptionId = `event_${eventId.slice(0, 8)}`;
-        
-        const eventFilters = {
-            ids: [eventId],
-            limit: 1
-        };
-        
-        // Set up one-time handler
-        const oneTimeHandler = (eventData, relayUrl) => {
-            if (eventData.id === eventId) {
-                handler(eventData);
-                // Unsubscribe after receiving the event
-                setTimeout(() => this.unsubscribe(subscriptionId), 1000);
+    query(filters, options = {}) {
+        const { timeout = RelayManager.QUERY_TIMEOUT, onEvent, onEOSE, onClosed, incremental = false, relays = null } = options;
+        const filterList = Array.isArray(filters) ? filters : [filters];
+        const requestFilters = incremental ? filterList.map(filter => this.sinceFromStore(filter)) : filterList;
+
+        return new Promise((resolve) => {
+            let subscription = null;
+            const events = new Map();
+            const pendingRelays = new Set(
+                [...this.relays.values()]
+                    .filter(relay => relay.state === 'open' && (relays ? relays.includes(relay.url) : !relay.temporary))
+                    .filter(relay => relay.rateLimitedUntil - Date.now() < timeout)
+                    .map(relay => relay.url)
+            );
+            let finished = false;
+            let timeoutId = null;
+            let stopWatchingRelays = null;
+
+            const finish = () => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timeoutId);
+                if (stopWatchingRelays) stopWatchingRelays();
+                if (subscription) subscription.close();
+                if (incremental) {
+                    this.eventStore.query(filterList).forEach(eventData => {
+                        if (!events.has(eventData.id)) events.set(eventData.id, eventData);
+                    });
+                }
+                resolve([...events.values()].sort((a, b) => b.created_at - a.created_at));
+            };
+
+            const settleRelay = (relayUrl) => {
+                pendingRelays.delete(relayUrl);
+                if (pendingRelays.size === 0) {
+                    finish();
+                }
+            };
+
+            if (pendingRelays.size === 0) {
+                console.log('Query skipped: no relays connected');
+                finish();
+                return;
             }
-        };
-        
-        this.subscribe(subscriptionId, eventFilters, oneTimeHandler, {
-            onEOSE: (relayUrl) => {
-                // If no event found after EOSE from all relays, clean up
-                setTimeout(() => {
-                    if (this.subscriptions.has(subscriptionId)) {
-                        console.log(`Event ${eventId.slice(0, 8)}... not found`);
-                        this.unsubscribe(subscriptionId);
+
+            // A relay that drops mid-query will not answer
+            stopWatchingRelays = this.on('relayState', ({ url, state }) => {
+                if (state !== 'open') {
+                    settleRelay(url);
+                }
+            });
+
+            subscription = this.subscribe(requestFilters, {
+                label: 'query',
+                closeOnEose: true,
+                onEvent: (eventData, relayUrl) => {
+                    if (finished || events.has(eventData.id)) return;
+                    events.set(eventData.id, eventData);
+                    if (onEvent) {
+                        onEvent(eventData, relayUrl);
                     }
-                }, 2000);
+                },
+                onEOSE: (relayUrl) => {
+                    if (onEOSE && !finished) {
+                        onEOSE(relayUrl);
+                    }
+                    settleRelay(relayUrl);
+                },
+                onClosed: (relayUrl, reason, parsed) => {
+                    settleRelay(relayUrl);
+                    if (onClosed) {
+                        onClosed(relayUrl, reason, parsed);
+                    }
+                },
+                relays
+            });
+
+            timeoutId = setTimeout(() => {
+                if (!finished) {
+                    console.log(`Query ${subscription.id} timed out waiting for ${pendingRelays.size} relay(s)`);
+                    finish();
+                }
+            }, timeout);
+        });
+    }
+
+    /**
+     * Ask relays how many events match (NIP-45 COUNT)
+     *
+     * Resolves with a Map of relayUrl -> count for the relays that answered
+     * before the timeout; relays without COUNT support send CLOSED or NOTICE
+     * and are left out.
+     */
+    count(filters, options = {}) {
+        const { timeout = RelayManager.QUERY_TIMEOUT, relays = null } = options;
+        const filterList = Array.isArray(filters) ? filters : [filters];
+        const requestId = this.nextSubscriptionId('count');
+        const counts = new Map();
+
+        return new Promise((resolve) => {
+            const targets = [...this.relays.values()]
+                .filter(relay => relay.state === 'open' && (relays ? relays.includes(relay.url) : !relay.temporary));
+            const pendingRelays = new Set(targets.map(relay => relay.url));
+            let timeoutId = null;
+
+            const finish = () => {
+                clearTimeout(timeoutId);
+                this.countRequests.delete(requestId);
+                resolve(counts);
+            };
+            const settleRelay = (relayUrl) => {
+                pendingRelays.delete(relayUrl);
+                if (pendingRelays.size === 0) finish();
+            };
+
+            this.countRequests.set(requestId, {
+                onCount: (relayUrl, count) => {
+                    counts.set(relayUrl, count);
+                    settleRelay(relayUrl);
+                },
+                onClosed: settleRelay
+            });
+
+            targets.forEach(relay => {
+                if (!this.sendToRelay(relay, ['COUNT', requestId, ...filterList])) {
+                    pendingRelays.delete(relay.url);
+                }
+            });
+
+            if (pendingRelays.size === 0) {
+                finish();
+                return;
             }
+            timeoutId = setTimeout(finish, timeout);
         });
     }
+
+    /**
+     * Add `since` to a filter when the event store already covers older results
+     *
+     * Replaceable kinds qualify once every requested author has a stored
+     * version; other kinds once the store holds at least `limit` matches.
+     */
+    sinceFromStore(filter) {
+        const { limit, ...unlimited } = filter;
+        const stored = this.eventStore.query(unlimited);
+        if (stored.length === 0) {
+            return filter;
+        }
+
+        let since = null;
+        const replaceable = filter.kinds && filter.kinds.every(kind => EventStore.isReplaceable(kind));
+
+        if (replaceable && filter.authors) {
+            // Need a stored version for every author/kind pair, then ask for anything newer than the oldest
+            const timestamps = [];
+            for (const author of filter.authors) {
+                for (const kind of filter.kinds) {
+                    const event = this.eventStore.getReplaceable(kind, author);
+                    if (!event) return filter;
+                    timestamps.push(event.created_at);
+                }
+            }
+            since = Math.min(...timestamps);
+        } else if (limit !== undefined && stored.length >= limit) {
+            since = stored[0].created_at;
+        }
+
+        if (since === null || (filter.since !== undefined && filter.since >= since)) {
+            return filter;
+        }
+        return { ...filter, since };
+    }
+
+    /**
+     * Query for a replaceable event and resolve with the newest match (or null)
+     */
+    async queryOne(filters, options = {}) {
+        const events = await this.query(filters, options);
+        return RelayManager.newestEvent(events);
+    }
+
+    /**
+     * Pick the newest event, breaking ties by lowest id as NIP-01 specifies
+     */
+    static newestEvent(events) {
+        return events.reduce((newest, event) => {
+            if (!newest || event.created_at > newest.created_at ||
+                (event.created_at === newest.created_at && event.id < newest.id)) {
+                return event;
+            }
+            return newest;
+        }, null);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,324 @@
+/**
+ * Relay settings panel shared by all pages
+ *
+ * A modal for adding, removing and switching off relays, and for importing
+ * someone's NIP-65 relay list. Changes are saved through RelayConfig and
+ * take effect when the page reloads.
+ */
+
+import { Nip05 } from './nip05.js';
+import { RelayConfig } from './relay-config.js';
+import { RelayManager } from './relay-manager.js';
+
+export class RelaySettingsPanel {
+    static IMPORT_RELAYS = ['wss://purplepag.es']; // indexers that keep relay lists
+
+    static STYLES = `
+        .relay-settings-overlay {
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.4);
+            display: flex;
+            align-items: flex-start;
+            justify-content: center;
+            padding-top: 60px;
+            z-index: 1000;
+        }
+        .relay-settings {
+            background: white;
+            width: 90%;
+            max-width: 520px;
+            border-radius: 10px;
+            padding: 20px;
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.2);
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+            color: #333;
+        }
+        .relay-settings h2 {
+            margin: 0 0 15px 0;
+            font-size: 18px;
+        }
+        .relay-settings-row {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 6px 0;
+            border-bottom: 1px solid #f0f0f0;
+        }
+        .relay-settings-row .relay-url {
+            flex: 1;
+            font-family: monospace;
+            word-break: break-all;
+        }
+        .relay-settings-row.disabled .relay-url {
+            color: #999;
+            text-decoration: line-through;
+        }
+        .relay-settings-form {
+            display: flex;
+            gap: 8px;
+            margin-top: 12px;
+        }
+        .relay-settings-form input {
+            flex: 1;
+            padding: 6px 8px;
+            border: 1px solid #ddd;
+            border-radius: 5px;
+        }
+        .relay-settings button {
+            padding: 6px 12px;
+            border: 1px solid #ddd;
+            border-radius: 5px;
+            background: #f8f9fa;
+            color: #333;
+            font-size: 13px;
+            cursor: pointer;
+        }
+        .relay-settings button.primary {
+            background: #007bff;
+            border-color: #007bff;
+            color: white;
+        }
+        .relay-settings-notice {
+            background: #fff8e1;
+            border: 1px solid #ffe08a;
+            border-radius: 5px;
+            padding: 8px;
+            margin-bottom: 12px;
+        }
+        .relay-settings-status {
+            min-height: 18px;
+            margin-top: 8px;
+            color: #666;
+        }
+        .relay-settings-footer {
+            display: flex;
+            justify-content: space-between;
+            margin-top: 15px;
+        }
+    `;
+
+    constructor() {
+        this.overlay = null;
+        this.changed = false; // saved changes not yet applied by a reload
+    }
+
+    /**
+     * Add the panel styles to the page once
+     */
+    static injectStyles() {
+        if (document.getElementById('relaySettingsStyles')) return;
+        const style = document.createElement('style');
+        style.id = 'relaySettingsStyles';
+        style.textContent = RelaySettingsPanel.STYLES;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Show the panel
+     */
+    open() {
+        RelaySettingsPanel.injectStyles();
+        if (!this.overlay) {
+            this.overlay = this.build();
+        }
+        document.body.appendChild(this.overlay);
+        this.renderList();
+    }
+
+    /**
+     * Hide the panel, reloading if there are changes to apply
+     */
+    close() {
+        if (this.overlay) {
+            this.overlay.remove();
+        }
+        if (this.changed && confirm('Relay settings changed. Reload the page to use them?')) {
+            window.location.reload();
+        }
+    }
+
+    /**
+     * Create the panel elements
+     */
+    build() {
+        const overlay = document.createElement('div');
+        overlay.className = 'relay-settings-overlay';
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.close();
+        });
+
+        overlay.innerHTML = `
+            <div class="relay-settings" role="dialog" aria-label="Relay settings">
+                <h2>Relays</h2>
+                <div class="relay-settings-notice relay-settings-override" style="display: none;"></div>
+                <div class="relay-settings-list"></div>
+                <div class="relay-settings-notice relay-settings-warning" style="display: none;">
+                    No relays are switched on, so nothing will load.
+                </div>
+                <form class="relay-settings-form relay-settings-add">
+                    <input type="text" placeholder="wss://relay.example.com">
+                    <button type="submit">Add</button>
+                </form>
+                <form class="relay-settings-form relay-settings-import">
+                    <input type="text" placeholder="Import relay list from npub, nprofile, hex key or name@domain">
+                    <button type="submit">Import</button>
+                </form>
+                <div class="relay-settings-status"></div>
+                <div class="relay-settings-footer">
+                    <button type="button" class="relay-settings-reset">Reset to defaults</button>
+                    <button type="button" class="relay-settings-close primary">Done</button>
+                </div>
+            </div>
+        `;
+
+        const override = RelayConfig.getOverride();
+        if (override) {
+            const notice = overlay.querySelector('.relay-settings-override');
+            notice.textContent = `This page is using relays from its URL (${override.join(', ')}). ` +
+                'Saved settings apply to pages opened without ?relays=.';
+            notice.style.display = 'block';
+        }
+
+        const addForm = overlay.querySelector('.relay-settings-add');
+        addForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = addForm.querySelector('input');
+            if (RelayConfig.add(input.value)) {
+                input.value = '';
+                this.markChanged();
+                this.setStatus('');
+            } else {
+                this.setStatus('Enter a new wss:// relay URL.');
+            }
+        });
+
+        const importForm = overlay.querySelector('.relay-settings-import');
+        importForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.importRelayList(importForm.querySelector('input').value.trim());
+        });
+
+        overlay.querySelector('.relay-settings-reset').addEventListener('click', () => {
+            RelayConfig.reset();
+            this.markChanged();
+        });
+        overlay.querySelector('.relay-settings-close').addEventListener('click', () => this.close());
+
+        return overlay;
+    }
+
+    /**
+     * Render the saved relays with their toggles
+     */
+    renderList() {
+        const list = this.overlay.querySelector('.relay-settings-list');
+        list.innerHTML = '';
+
+        const relays = RelayConfig.load();
+        relays.forEach(({ url, read }) => {
+            const row = document.createElement('div');
+            row.className = `relay-settings-row${read ? '' : ' disabled'}`;
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = read;
+            toggle.title = 'Read from this relay';
+            toggle.addEventListener('change', () => {
+                RelayConfig.setRead(url, toggle.checked);
+                this.markChanged();
+            });
+
+            const label = document.createElement('span');
+            label.className = 'relay-url';
+            label.textContent = url;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => {
+                RelayConfig.remove(url);
+                this.markChanged();
+            });
+
+            row.append(toggle, label, remove);
+            list.appendChild(row);
+        });
+
+        const warning = this.overlay.querySelector('.relay-settings-warning');
+        warning.style.display = relays.some(relay => relay.read) ? 'none' : 'block';
+    }
+
+    /**
+     * Record a saved change and refresh the list
+     */
+    markChanged() {
+        this.changed = true;
+        this.renderList();
+    }
+
+    /**
+     * Show a status message under the forms
+     */
+    setStatus(message) {
+        this.overlay.querySelector('.relay-settings-status').textContent = message;
+    }
+
+    /**
+     * Fetch a user's Kind 10002 relay list and merge it into the saved relays
+     */
+    async importRelayList(input) {
+        let reference;
+        try {
+            reference = await Nip05.parseInput(input, 'pubkey');
+            if (reference.type !== 'pubkey') {
+                throw new Error('Expected a public key (hex, npub, nprofile or name@domain)');
+            }
+        } catch (e) {
+            this.setStatus('Invalid public key: ' + e.message);
+            return;
+        }
+
+        this.setStatus('Looking up relay list...');
+        const relayManager = new RelayManager();
+        try {
+            await relayManager.connectToRelays(RelayManager.withRelayHints([
+                ...reference.relays,
+                ...RelaySettingsPanel.IMPORT_RELAYS
+            ]));
+            const relayList = await relayManager.queryOne({
+                kinds: [10002],
+                authors: [reference.hex],
+                limit: 1
+            });
+
+            if (!relayList) {
+                this.setStatus('No relay list found for that key.');
+                return;
+            }
+
+            const added = RelayConfig.importRelayList(relayList);
+            this.setStatus(`Imported ${added} new relay(s).`);
+            if (added > 0) {
+                this.markChanged();
+            }
+        } catch (e) {
+            console.error('Error importing relay list:', e);
+            this.setStatus('Failed to import relay list: ' + e.message);
+        } finally {
+            relayManager.closeAllConnections();
+        }
+    }
+}
+
+// "Relays" control shared by all pages
+if (typeof window !== 'undefined') {
+    let relaySettingsPanel = null;
+    window.openRelaySettings = function() {
+        if (!relaySettingsPanel) {
+            relaySettingsPanel = new RelaySettingsPanel();
+        }
+        relaySettingsPanel.open();
+    };
+}
\ No newline at end of file
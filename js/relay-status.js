@@ -0,0 +1,253 @@
+/**
+ * Relay status page: NIP-11 information and live health for each relay
+ *
+ * Connects to the configured relays, keeps a small probe subscription open
+ * so there is traffic to measure, and redraws every relay's card from the
+ * relay manager's stats once a second.
+ */
+
+import * as CryptoUtils from './crypto-utils.js';
+import { RelayManager } from './relay-manager.js';
+import { RelayAuthPrompt } from './relay-auth.js';
+import './relay-settings.js'; // "Relays" menu
+
+export class RelayStatusPage {
+    static RENDER_INTERVAL = 1000;
+    static PROBE_LIMIT = 20;
+
+    constructor() {
+        this.relayManager = new RelayManager();
+        this.authPrompt = new RelayAuthPrompt(this.relayManager); // NIP-42 sign-in when a relay asks
+        this.elements = this.initializeElements();
+        this.renderTimer = null;
+        this.openLogs = new Set(); // "url|title" of expanded message logs, kept across redraws
+
+        this.relayManager.on('relayState', () => this.render());
+        this.relayManager.on('relayInfo', () => this.render());
+        this.relayManager.on('relayAuth', () => this.render());
+        this.initializeApp();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    initializeElements() {
+        return {
+            loading: document.getElementById('loading'),
+            error: document.getElementById('error'),
+            summary: document.getElementById('relaySummary'),
+            relayList: document.getElementById('relayList'),
+            probeButton: document.getElementById('probeButton')
+        };
+    }
+
+    /**
+     * Connect, start the probe and keep the page up to date
+     */
+    async initializeApp() {
+        this.elements.probeButton.addEventListener('click', () => this.runProbe());
+        this.renderTimer = setInterval(() => this.render(), RelayStatusPage.RENDER_INTERVAL);
+
+        try {
+            await this.relayManager.connectToRelays();
+            this.elements.loading.style.display = 'none';
+
+            // Recent notes from every relay, kept open so live traffic shows up too
+            this.relayManager.subscribe({ kinds: [1], limit: RelayStatusPage.PROBE_LIMIT }, { label: 'status-probe' });
+            this.render();
+        } catch (error) {
+            console.error('Error connecting to relays:', error);
+            this.showError('Failed to connect to relays: ' + error.message);
+        }
+    }
+
+    /**
+     * Send a one-off query to every relay to measure EOSE times again
+     */
+    async runProbe() {
+        this.elements.probeButton.disabled = true;
+        try {
+            await this.relayManager.query({ kinds: [1], limit: RelayStatusPage.PROBE_LIMIT });
+        } finally {
+            this.elements.probeButton.disabled = false;
+            this.render();
+        }
+    }
+
+    /**
+     * Redraw the summary line and every relay card
+     */
+    render() {
+        const relays = this.relayManager.getRelayDetails();
+        const open = relays.filter(relay => relay.state === 'open').length;
+        this.elements.summary.textContent = `Connected to ${open} of ${relays.length} relays`;
+
+        this.elements.relayList.innerHTML = '';
+        relays.forEach(relay => this.elements.relayList.appendChild(this.createRelayCard(relay)));
+    }
+
+    /**
+     * Build the card for one relay
+     *
+     * Everything from the NIP-11 document is relay-controlled, so it is
+     * only ever set as text.
+     */
+    createRelayCard({ url, state, attempts, info, limits, rateLimitedUntil, authRequired, authenticatedAs, stats }) {
+        const card = document.createElement('div');
+        card.className = 'relay-card';
+
+        const header = document.createElement('div');
+        header.className = 'relay-card-header';
+        const title = document.createElement('span');
+        title.className = 'relay-url';
+        title.textContent = url;
+        const badge = document.createElement('span');
+        badge.className = `relay-state ${state}`;
+        badge.textContent = attempts > 0 ? `${state} (attempt ${attempts})` : state;
+        header.append(title, badge);
+        card.appendChild(header);
+
+        if (info) {
+            if (info.name || info.description) {
+                const description = document.createElement('p');
+                description.className = 'relay-description';
+                description.textContent = [info.name, info.description].filter(Boolean).join(' — ');
+                card.appendChild(description);
+            }
+
+            this.appendFields(card, [
+                ['Software', [info.software, info.version].filter(Boolean).join(' ')],
+                ['Supported NIPs', Array.isArray(info.supported_nips) ? info.supported_nips.join(', ') : ''],
+                ['Contact', info.contact]
+            ]);
+        } else {
+            const missing = document.createElement('p');
+            missing.className = 'relay-description';
+            missing.textContent = 'No NIP-11 information document';
+            card.appendChild(missing);
+        }
+
+        const eoseTimes = stats.eoseTimes;
+        const averageEose = eoseTimes.length > 0
+            ? Math.round(eoseTimes.reduce((total, time) => total + time, 0) / eoseTimes.length)
+            : null;
+
+        this.appendFields(card, [
+            ['Limits', this.describeLimits(limits)],
+            ['Holding REQs', rateLimitedUntil > Date.now()
+                ? `rate limited for ${Math.ceil((rateLimitedUntil - Date.now()) / 1000)}s more`
+                : ''],
+            ['Authentication', this.describeAuth(authRequired, authenticatedAs)],
+            ['Connect latency', stats.latency !== null ? `${stats.latency} ms` : '—'],
+            ['Events received', String(stats.eventsReceived)],
+            ['EOSE time', eoseTimes.length > 0
+                ? `${eoseTimes[eoseTimes.length - 1]} ms last, ${averageEose} ms average (${eoseTimes.length} REQs)`
+                : '—'],
+            ['Bad signatures', String(stats.badEvents)]
+        ]);
+
+        this.appendLog(card, url, 'Notices', stats.notices.map(entry => [entry.time, entry.message]));
+        this.appendLog(card, url, 'Closed subscriptions', stats.closed
+            .map(entry => [entry.time, `${entry.subscriptionId}: ${entry.message || '(no reason given)'}`]));
+
+        return card;
+    }
+
+    /**
+     * Summarize advertised limits
+     */
+    describeLimits(limits) {
+        const parts = [];
+        if (limits.maxFilters !== null) parts.push(`max_filters ${limits.maxFilters}`);
+        if (limits.maxLimit !== null) parts.push(`max_limit ${limits.maxLimit}`);
+        if (limits.maxSubscriptions !== null) parts.push(`max_subscriptions ${limits.maxSubscriptions}`);
+        if (limits.authRequired) parts.push('auth required');
+        if (limits.paymentRequired) parts.push('payment required');
+        return parts.length > 0 ? parts.join(', ') : 'none advertised';
+    }
+
+    /**
+     * Who we are authenticated as, or whether the relay wants us to sign in
+     */
+    describeAuth(authRequired, authenticatedAs) {
+        if (authenticatedAs) {
+            return `authenticated as ${CryptoUtils.hexToNpub(authenticatedAs)}`;
+        }
+        return authRequired ? 'requested by the relay' : '';
+    }
+
+    /**
+     * Add label/value rows, skipping empty values
+     */
+    appendFields(card, fields) {
+        fields.filter(([, value]) => value).forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'relay-field';
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'relay-field-label';
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.textContent = value;
+            row.append(labelSpan, valueSpan);
+            card.appendChild(row);
+        });
+    }
+
+    /**
+     * Add a timestamped message log, newest first
+     */
+    appendLog(card, url, title, entries) {
+        if (entries.length === 0) return;
+
+        const key = `${url}|${title}`;
+        const details = document.createElement('details');
+        details.className = 'relay-log';
+        details.open = this.openLogs.has(key);
+        details.addEventListener('toggle', () => {
+            if (details.open) {
+                this.openLogs.add(key);
+            } else {
+                this.openLogs.delete(key);
+            }
+        });
+        const summary = document.createElement('summary');
+        summary.textContent = `${title} (${entries.length})`;
+        details.appendChild(summary);
+
+        [...entries].reverse().forEach(([time, message]) => {
+            const line = document.createElement('div');
+            line.textContent = `${new Date(time).toLocaleTimeString()} ${message}`;
+            details.appendChild(line);
+        });
+        card.appendChild(details);
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        this.elements.error.textContent = message;
+        this.elements.error.style.display = 'block';
+        this.elements.loading.style.display = 'none';
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        clearInterval(this.renderTimer);
+        this.relayManager.closeAllConnections();
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.relayStatusPage = new RelayStatusPage();
+});
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', () => {
+    if (window.relayStatusPage) {
+        window.relayStatusPage.destroy();
+    }
+});
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * NIP-10 thread parsing: which notes a reply belongs to and replies to
+ *
+ * Handles marked `e` tags (`root`, `reply`, `mention`) and falls back to
+ * the deprecated positional scheme for events without markers. Has no DOM
+ * dependencies.
+ */
+
+export class ThreadParser {
+    static MARKERS = ['root', 'reply', 'mention'];
+
+    /**
+     * Parse an event's `e` tags into { root, reply, mentions }
+     *
+     * `root` and `reply` are { id, relay, marker, author } or null; for a
+     * direct reply to the root both point at the root.
+     */
+    static parseTags(event) {
+        const eTags = (event.tags || [])
+            .filter(tag => tag[0] === 'e' && typeof tag[1] === 'string' && /^[0-9a-f]{64}$/i.test(tag[1]))
+            .map(tag => ({
+                id: tag[1].toLowerCase(),
+                relay: tag[2] || '',
+                marker: this.MARKERS.includes(tag[3]) ? tag[3] : null,
+                author: tag[4] || null
+            }));
+
+        const result = { root: null, reply: null, mentions: [] };
+        if (eTags.length === 0) {
+            return result;
+        }
+
+        const isMarked = eTags.some(tag => tag.marker === 'root' || tag.marker === 'reply');
+        if (isMarked) {
+            result.root = eTags.find(tag => tag.marker === 'root') || null;
+            result.reply = eTags.find(tag => tag.marker === 'reply') || result.root;
+            result.root = result.root || result.reply; // a lone "reply" marker also names the thread
+            result.mentions = eTags.filter(tag => tag !== result.root && tag !== result.reply);
+            return result;
+        }
+
+        // Only explicit mentions: not a reply at all
+        if (eTags.every(tag => tag.marker === 'mention')) {
+            result.mentions = eTags;
+            return result;
+        }
+
+        // Positional: first is the root, last is the parent, the rest are mentions
+        const positional = eTags.filter(tag => tag.marker !== 'mention');
+        result.root = positional[0];
+        result.reply = positional[positional.length - 1];
+        result.mentions = eTags.filter(tag => tag !== result.root && tag !== result.reply);
+        return result;
+    }
+
+    /**
+     * Id of the thread root, or null if the event is not a reply
+     */
+    static getRootId(event) {
+        const { root } = this.parseTags(event);
+        return root ? root.id : null;
+    }
+
+    /**
+     * Id of the note this event directly replies to, or null
+     */
+    static getParentId(event) {
+        const { reply } = this.parseTags(event);
+        return reply ? reply.id : null;
+    }
+
+    /**
+     * Whether an event is a reply to another note
+     */
+    static isReply(event) {
+        return this.getParentId(event) !== null;
+    }
+
+    /**
+     * Relay hints for an event's root and parent
+     */
+    static getRelayHints(event) {
+        const { root, reply } = this.parseTags(event);
+        return [...new Set([root, reply].filter(tag => tag && tag.relay).map(tag => tag.relay))];
+    }
+
+    /**
+     * Arrange events under a root as a tree
+     *
+     * Returns { root, children: Map(id -> [events, oldest first]), orphans }
+     * where orphans are replies whose parent wasn't found; they are listed
+     * under the root so they still show up.
+     */
+    static buildTree(rootEvent, events) {
+        const byId = new Map(events.map(event => [event.id, event]));
+        byId.set(rootEvent.id, rootEvent);
+
+        const children = new Map();
+        const orphans = new Set();
+        const addChild = (parentId, event) => {
+            if (!children.has(parentId)) {
+                children.set(parentId, []);
+            }
+            children.get(parentId).push(event);
+        };
+
+        byId.forEach(event => {
+            if (event.id === rootEvent.id) return;
+
+            const parentId = this.getParentId(event);
+            if (parentId && parentId !== event.id && byId.has(parentId)) {
+                addChild(parentId, event);
+            } else {
+                orphans.add(event.id);
+                addChild(rootEvent.id, event);
+            }
+        });
+
+        // Replies caught in a parent cycle never reach the root; list them under it
+        const reachable = new Set();
+        const stack = [rootEvent.id];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (reachable.has(id)) continue;
+            reachable.add(id);
+            (children.get(id) || []).forEach(child => stack.push(child.id));
+        }
+        byId.forEach(event => {
+            if (reachable.has(event.id)) return;
+            const parentId = this.getParentId(event);
+            children.set(parentId, children.get(parentId).filter(child => child.id !== event.id));
+            orphans.add(event.id);
+            addChild(rootEvent.id, event);
+        });
+
+        children.forEach(list => list.sort((a, b) => a.created_at - b.created_at || (a.id < b.id ? -1 : 1)));
+        return { root: rootEvent, children, orphans };
+    }
+}
\ No newline at end of file
@@ -2,14 +2,44 @@
  * Thread Viewer for displaying Nostr conversation threads
  */
 
-class ThreadViewer {
+import * as CryptoUtils from './crypto-utils.js';
+import * as ContentParser from './content-parser.js';
+import { EventCache } from './event-cache.js';
+import { RelayManager } from './relay-manager.js';
+import { EventLoader } from './event-loader.js';
+import { OutboxModel } from './outbox-model.js';
+import { ReactionsService } from './reactions-service.js';
+import { ThreadParser } from './thread-parser.js';
+import { ContentRenderer } from './content-renderer.js';
+import { RelayAuthPrompt } from './relay-auth.js';
+import './relay-settings.js'; // "Relays" menu
+
+export class ThreadViewer {
+    static MAX_ANCESTOR_DEPTH = 50;
+    static MAX_THREAD_EVENTS = 500;
+    static MAX_INDENT_DEPTH = 6; // deeper replies stop indenting
+
     constructor() {
         this.relayManager = new RelayManager();
-        this.originalPost = null;
+        this.authPrompt = new RelayAuthPrompt(this.relayManager); // NIP-42 sign-in when a relay asks
+        this.outbox = new OutboxModel(this.relayManager);
+        this.eventLoader = new EventLoader(this.relayManager, { outbox: this.outbox }); // batched lookups of single events and profiles
+        this.eventCache = new EventCache();
+        this.reactionsService = new ReactionsService(this.relayManager);
+        this.originalPost = null; // the thread root (or the topmost note we could find)
+        this.focusedId = null; // the note that was opened
+        this.focusedEvent = null;
+        this.rootId = null;
+        this.rootAddress = null; // "kind:pubkey:d" when the thread root is addressable
+        this.ancestors = []; // notes from the root down to the opened note's parent
         this.replies = [];
+        this.collapsed = new Set(); // ids of posts whose replies are hidden
+        this.hasScrolledToFocus = false;
         this.reactions = new Map(); // eventId -> reactions
-        this.reactionsLoading = new Set(); // track which posts are loading reactions
+        this.reactionWatchers = new Map(); // eventId -> stop function from the reactions service
         this.profiles = new Map(); // pubkey -> profile data
+        this.stopRepliesQuery = null; // cancels the event store subscription for replies
+        this.isLoaded = false;
         this.elements = this.initializeElements();
         this.initializeApp();
     }
@@ -23,6 +53,7 @@ class ThreadViewer {
             error: document.getElementById('error'),
             originalPost: document.getElementById('originalPost'),
             originalContent: document.getElementById('originalContent'),
+            originalPostHeader: document.getElementById('originalPostHeader'),
             repliesSection: document.getElementById('repliesSection'),
             repliesList: document.getElementById('repliesList'),
             repliesCount: document.getElementById('repliesCount'),
@@ -43,14 +74,33 @@ class ThreadViewer {
             return;
         }
 
-        console.log('Loading thread for event:', eventId);
+        // Accept hex ids as well as note, nevent and naddr references
+        let reference;
+        try {
+            reference = CryptoUtils.parseInput(eventId, 'eventid');
+            if (reference.type !== 'eventid' && reference.type !== 'address') {
+                throw new Error('Expected an event id (hex, note, nevent or naddr)');
+            }
+        } catch (e) {
+            this.showError('Invalid event reference: ' + e.message);
+            return;
+        }
+
+        console.log('Loading thread for event:', reference);
         
         try {
-            // Connect to relays
-            await this.relayManager.connectToRelays();
+            // Cached notes, replies and profiles are used before relays answer
+            await this.eventCache.attach(this.relayManager.eventStore);
+
+            // Connect to relays (plus any hints from the reference)
+            await this.relayManager.connectToRelays(RelayManager.withRelayHints(reference.relays));
             
             // Load the thread
-            await this.loadThread(eventId);
+            if (reference.type === 'address') {
+                await this.loadAddressThread(reference);
+            } else {
+                await this.loadThread(reference.hex, reference.author);
+            }
             
         } catch (error) {
             console.error('Error initializing thread viewer:', error);
@@ -59,53 +109,234 @@ class ThreadViewer {
     }
 
     /**
-     * Load thread data
+     * Load the thread around a note: its ancestors up to the root and every reply
+     *
+     * `author` (from an nevent) lets us look for the note on its author's relays.
      */
-    async loadThread(eventId) {
+    async loadThread(eventId, author = null) {
         this.showLoading();
-        
-        // First, fetch the original post
-        this.relayManager.fetchEvent(eventId, (originalEvent) => {
-            console.log('Loaded original post:', originalEvent);
-            // Only set if we haven't already loaded it (prevent duplicates from multiple relays)
-            if (!this.originalPost) {
-                this.originalPost = originalEvent;
-                this.displayOriginalPost();
+        this.focusedId = eventId;
+
+        // The opened note's tags say where the thread starts
+        const cachedEvent = this.relayManager.eventStore.get(eventId);
+        const openedEvent = cachedEvent || await this.eventLoader.loadEvent(
+            eventId,
+            { relays: author ? await this.outbox.getRelaysFor([author]) : null }
+        );
+        if (!openedEvent) {
+            this.showError('Original post not found. It may have been deleted or is not available on these relays.');
+            return;
+        }
+
+        console.log('Loaded opened post:', openedEvent);
+        this.focusedEvent = openedEvent;
+        this.rootId = ThreadParser.getRootId(openedEvent) || openedEvent.id;
+        this.watchThread();
+
+        // A thread that is fully cached is shown right away; relays fill in the rest
+        if (cachedEvent && !this.getAncestorChain(openedEvent).missingId) {
+            this.ancestors = this.getAncestorChain(openedEvent).chain;
+            this.isLoaded = true;
+            this.displayThread();
+        }
+
+        // Walk up to the root while fetching everything that references it
+        await Promise.all([
+            this.resolveAncestors(openedEvent),
+            this.fetchReplies()
+        ]);
+
+        this.isLoaded = true;
+        this.displayThread();
+    }
+
+    /**
+     * Load the thread for an addressable event (naddr)
+     */
+    async loadAddressThread(reference) {
+        this.showLoading();
+
+        const addressFilter = {
+            kinds: [reference.kind],
+            authors: [reference.pubkey],
+            '#d': [reference.identifier],
+            limit: 1
+        };
+
+        const addressEvent = RelayManager.newestEvent(await this.outbox.query(addressFilter, [reference.pubkey]));
+        if (!addressEvent) {
+            this.showError('Addressable event not found. It may have been deleted or is not available on these relays.');
+            return;
+        }
+
+        // Replies may point at the address (`a` tag) rather than this version's id
+        this.focusedId = addressEvent.id;
+        this.focusedEvent = addressEvent;
+        this.rootId = addressEvent.id;
+        this.rootAddress = `${reference.kind}:${reference.pubkey}:${reference.identifier}`;
+        this.watchThread();
+        await this.fetchReplies();
+
+        this.isLoaded = true;
+        this.displayThread();
+    }
+
+    /**
+     * Filters for every reply in the thread
+     */
+    getThreadFilters() {
+        const filters = [{ kinds: [1], '#e': [...new Set([this.rootId, this.focusedId])] }];
+        if (this.rootAddress) {
+            filters.push({ kinds: [1], '#a': [this.rootAddress] });
+        }
+        return filters;
+    }
+
+    /**
+     * Whether an event belongs to this thread (not just a mention of it)
+     */
+    isThreadEvent(event) {
+        if (ThreadParser.getRootId(event) === this.rootId || ThreadParser.getParentId(event) === this.focusedId) {
+            return true;
+        }
+        return !!this.rootAddress && event.tags.some(tag => tag[0] === 'a' && tag[1] === this.rootAddress);
+    }
+
+    /**
+     * Keep the thread's replies in sync with the event store, so late arrivals show up too
+     */
+    watchThread() {
+        if (this.stopRepliesQuery) {
+            this.stopRepliesQuery();
+        }
+        this.stopRepliesQuery = this.relayManager.eventStore.subscribe(this.getThreadFilters(), (events) => {
+            this.replies = events.filter(event => this.isThreadEvent(event));
+            if (this.isLoaded) {
+                this.displayReplies();
             }
         });
+    }
 
-        // Then, fetch all replies
-        this.fetchReplies(eventId);
-        
-        // Set timeout to hide loading if nothing found
-        setTimeout(() => {
-            this.hideLoading();
-            if (!this.originalPost) {
-                this.showError('Original post not found. It may have been deleted or is not available on these relays.');
+    /**
+     * Fetch every reply referencing the root (and the opened note)
+     *
+     * Replies are looked for on the default relays plus the thread authors'
+     * outbox and inbox relays, where repliers are meant to send them.
+     */
+    async fetchReplies() {
+        const repliesFilters = this.getThreadFilters().map(filter => ({
+            ...filter,
+            limit: ThreadViewer.MAX_THREAD_EVENTS
+        }));
+
+        const relays = await this.outbox.getRelaysFor(this.getThreadAuthors(), { includeRead: true });
+        await this.relayManager.query(repliesFilters, { incremental: true, relays });
+        console.log(`Found ${this.replies.length} replies`);
+    }
+
+    /**
+     * Authors of the opened note and (as far as we know) of the thread root
+     */
+    getThreadAuthors() {
+        const rootEvent = this.relayManager.eventStore.get(this.rootId);
+        const { root } = ThreadParser.parseTags(this.focusedEvent);
+        const rootAuthor = rootEvent ? rootEvent.pubkey : root && root.author;
+        return [...new Set([this.focusedEvent.pubkey, rootAuthor].filter(Boolean))];
+    }
+
+    /**
+     * Walk parent links through the event store, from the root down to the note's parent
+     *
+     * Returns { chain, missingId } where missingId is the first parent not in the store.
+     */
+    getAncestorChain(event) {
+        const store = this.relayManager.eventStore;
+        const chain = [];
+        const seen = new Set([event.id]);
+        let current = event;
+
+        while (chain.length < ThreadViewer.MAX_ANCESTOR_DEPTH) {
+            const parentId = ThreadParser.getParentId(current);
+            if (!parentId || seen.has(parentId)) break;
+
+            const parent = store.get(parentId);
+            if (!parent) {
+                return { chain, missingId: parentId, missingFrom: current };
             }
-        }, 5000);
+            seen.add(parentId);
+            chain.unshift(parent);
+            current = parent;
+        }
+
+        return { chain, missingId: null, missingFrom: null };
     }
 
     /**
-     * Fetch all replies to a post
+     * Fetch missing ancestors one level at a time, then settle the thread root
      */
-    fetchReplies(eventId) {
-        const repliesFilter = {
-            kinds: [1],
-            '#e': [eventId],
-            limit: 100
-        };
+    async resolveAncestors(event) {
+        const attempted = new Set();
 
-        this.relayManager.subscribe('replies', repliesFilter, (replyEvent, relayUrl) => {
-            console.log(`Found reply from ${relayUrl}:`, replyEvent);
-            
-            // Avoid duplicates
-            const existingReply = this.replies.find(r => r.id === replyEvent.id);
-            if (!existingReply) {
-                this.replies.push(replyEvent);
-                this.displayReplies();
+        for (;;) {
+            const { chain, missingId, missingFrom } = this.getAncestorChain(event);
+            this.ancestors = chain;
+            if (!missingId || attempted.has(missingId)) break;
+
+            attempted.add(missingId);
+            const { reply } = ThreadParser.parseTags(missingFrom);
+            await this.fetchNote(missingId, reply && reply.author, ThreadParser.getRelayHints(missingFrom));
+        }
+
+        // The chain can break before the root; fetch the root directly then
+        const store = this.relayManager.eventStore;
+        if (!store.has(this.rootId) && !attempted.has(this.rootId)) {
+            const { root } = ThreadParser.parseTags(event);
+            await this.fetchNote(this.rootId, root && root.author, ThreadParser.getRelayHints(event));
+        }
+
+        if (this.ancestors.length > 0) {
+            console.log(`Resolved ${this.ancestors.length} ancestor(s)`);
+        }
+    }
+
+    /**
+     * Fetch a note by id, also from its author's outbox relays when the tag
+     * names one and from the relays the tags hint at (opened as temporary
+     * relays, so they don't join every later query)
+     */
+    async fetchNote(eventId, author, hints = []) {
+        return this.eventLoader.loadPointer({
+            type: 'eventid',
+            hex: eventId,
+            relays: hints,
+            author: author && /^[0-9a-f]{64}$/.test(author) ? author : undefined
+        });
+    }
+
+    /**
+     * Render the thread: the root on top and every reply nested below it
+     */
+    displayThread() {
+        const store = this.relayManager.eventStore;
+        this.originalPost = store.get(this.rootId)
+            || this.ancestors[0]
+            || this.focusedEvent;
+
+        this.displayOriginalPost();
+        this.displayReplies();
+    }
+
+    /**
+     * Every event in the thread apart from the root
+     */
+    getThreadEvents() {
+        const events = new Map();
+        [...this.ancestors, this.focusedEvent, ...this.replies].forEach(event => {
+            if (event && event.id !== this.originalPost.id) {
+                events.set(event.id, event);
             }
         });
+        return [...events.values()];
     }
 
     /**
@@ -113,102 +344,192 @@ class ThreadViewer {
      */
     displayOriginalPost() {
         this.hideLoading();
+        this.elements.originalContent.innerHTML = '';
         
-        const postElement = ContentRenderer.createPostElement(this.originalPost, {
-            fetchEvent: (eventId, callback) => {
-                this.relayManager.fetchEvent(eventId, callback);
-            }
-        });
+        const postElement = this.createThreadPost(this.originalPost);
+        
+        this.elements.originalContent.appendChild(postElement);
+        this.elements.originalPost.style.display = 'block';
+        this.elements.originalPost.classList.toggle('focused-post', this.originalPost.id === this.focusedId);
+        this.elements.originalPostHeader.textContent = this.originalPost.id === this.focusedId ? 'Original Post' : 'Thread Root';
+        
+        // Update page title
+        const focused = this.focusedEvent || this.originalPost;
+        const content = focused.content.slice(0, 50);
+        document.title = `Thread: ${content}${content.length < focused.content.length ? '...' : ''}`;
+    }
+
+    /**
+     * Create a post element with its author line, and start loading reactions and profile
+     */
+    createThreadPost(post, label = 'Author: ') {
+        const postElement = ContentRenderer.createPostElement(post, this.eventLoader);
         
         // Add author info
         const authorDiv = document.createElement('div');
         authorDiv.className = 'post-author';
         
-        const authorLabel = document.createElement('span');
-        authorLabel.textContent = 'Author: ';
+        if (label) {
+            const authorLabel = document.createElement('span');
+            authorLabel.textContent = label;
+            authorDiv.appendChild(authorLabel);
+        }
         
         const authorLink = document.createElement('span');
         authorLink.className = 'clickable-profile';
-        authorLink.textContent = `${this.originalPost.pubkey.slice(0, 16)}...`;
-        authorLink.title = `View profile for ${this.originalPost.pubkey}`;
+        authorLink.textContent = `${post.pubkey.slice(0, 16)}...`;
+        authorLink.dataset.pubkey = post.pubkey;
+        authorLink.title = `View profile for ${post.pubkey}`;
         authorLink.onclick = () => {
-            window.open(`profile.html?pubkey=${this.originalPost.pubkey}`, '_blank');
+            window.open(`profile.html?pubkey=${post.pubkey}`, '_blank');
         };
         
-        authorDiv.appendChild(authorLabel);
         authorDiv.appendChild(authorLink);
         postElement.insertBefore(authorDiv, postElement.firstChild);
-        
-        this.elements.originalContent.appendChild(postElement);
-        this.elements.originalPost.style.display = 'block';
-        
-        // Load reactions for the original post
-        setTimeout(() => {
-            this.loadPostReactions(this.originalPost.id);
-        }, 100);
-        
-        // Load profile for the original post author
-        this.loadUserProfile(this.originalPost.pubkey);
-        
-        // Update page title
-        const content = this.originalPost.content.slice(0, 50);
-        document.title = `Thread: ${content}${content.length < this.originalPost.content.length ? '...' : ''}`;
+
+        // Load reactions and the author's name for this post
+        this.loadPostReactions(post.id);
+        this.loadUserProfile(post.pubkey);
+
+        return postElement;
     }
 
     /**
-     * Display replies
+     * Display replies as a nested tree under the root
      */
     displayReplies() {
-        if (this.replies.length === 0) {
+        if (!this.originalPost) return;
+
+        const tree = ThreadParser.buildTree(this.originalPost, this.getThreadEvents());
+        const replyCount = this.countReplies(tree, this.originalPost.id);
+
+        if (replyCount === 0) {
+            this.elements.repliesList.innerHTML = '';
+            this.elements.repliesCount.textContent = 0;
+            this.elements.repliesSection.style.display = 'block';
             this.elements.noReplies.style.display = 'block';
             return;
         }
-
-        // Sort replies by timestamp (oldest first for conversation flow)
-        const sortedReplies = [...this.replies].sort((a, b) => a.created_at - b.created_at);
         
         // Clear existing replies
         this.elements.repliesList.innerHTML = '';
+        this.renderReplyBranch(tree, this.originalPost.id, this.elements.repliesList, 0);
         
-        // Add each reply
-        sortedReplies.forEach(reply => {
+        // Update UI
+        this.elements.repliesCount.textContent = replyCount;
+        this.elements.repliesSection.style.display = 'block';
+        this.elements.noReplies.style.display = 'none';
+
+        // Bring the opened note into view the first time it is rendered
+        if (!this.hasScrolledToFocus && this.focusedId !== this.originalPost.id) {
+            const focusedElement = this.elements.repliesList.querySelector('.focused-post');
+            if (focusedElement) {
+                focusedElement.scrollIntoView({ block: 'center' });
+                this.hasScrolledToFocus = true;
+            }
+        }
+    }
+
+    /**
+     * Render the replies to one post, each followed by its own (collapsible) replies
+     */
+    renderReplyBranch(tree, parentId, container, depth) {
+        (tree.children.get(parentId) || []).forEach(reply => {
             const replyDiv = document.createElement('div');
             replyDiv.className = 'reply';
-            
-            const postElement = ContentRenderer.createPostElement(reply, {
-                fetchEvent: (eventId, callback) => {
-                    this.relayManager.fetchEvent(eventId, callback);
+            replyDiv.dataset.eventId = reply.id;
+            if (reply.id === this.focusedId) {
+                replyDiv.classList.add('focused-post');
+            }
+
+            // Its parent isn't in the thread we could load
+            if (tree.orphans.has(reply.id) && ThreadParser.isReply(reply)) {
+                const missingNote = document.createElement('div');
+                missingNote.className = 'missing-parent';
+                missingNote.textContent = 'Replying to a note that could not be found';
+                replyDiv.appendChild(missingNote);
+            }
+
+            replyDiv.appendChild(this.createThreadPost(reply, ''));
+            container.appendChild(replyDiv);
+
+            const childCount = this.countReplies(tree, reply.id);
+            if (childCount === 0) return;
+
+            const childrenDiv = document.createElement('div');
+            childrenDiv.className = depth < ThreadViewer.MAX_INDENT_DEPTH ? 'reply-children' : 'reply-children flat';
+
+            const toggle = document.createElement('button');
+            toggle.className = 'thread-toggle';
+            const updateToggle = () => {
+                const collapsed = this.collapsed.has(reply.id);
+                childrenDiv.style.display = collapsed ? 'none' : 'block';
+                toggle.textContent = collapsed
+                    ? `▸ Show ${childCount} repl${childCount === 1 ? 'y' : 'ies'}`
+                    : `▾ Hide ${childCount} repl${childCount === 1 ? 'y' : 'ies'}`;
+            };
+            toggle.onclick = () => {
+                if (this.collapsed.has(reply.id)) {
+                    this.collapsed.delete(reply.id);
+                } else {
+                    this.collapsed.add(reply.id);
                 }
-            });
-            
-            // Add author info
-            const authorDiv = document.createElement('div');
-            authorDiv.className = 'post-author';
-            
-            const authorLink = document.createElement('span');
-            authorLink.className = 'clickable-profile';
-            authorLink.textContent = `${reply.pubkey.slice(0, 16)}...`;
-            authorLink.title = `View profile for ${reply.pubkey}`;
-            authorLink.onclick = () => {
-                window.open(`profile.html?pubkey=${reply.pubkey}`, '_blank');
+                updateToggle();
             };
-            
-            authorDiv.appendChild(authorLink);
-            postElement.insertBefore(authorDiv, postElement.firstChild);
-            
-            replyDiv.appendChild(postElement);
-            this.elements.repliesList.appendChild(replyDiv);
-            
-            // Load reactions for this reply
-            setTimeout(() => {
-                this.loadPostReactions(reply.id);
-            }, 100);
+            updateToggle();
+
+            replyDiv.appendChild(toggle);
+            replyDiv.appendChild(childrenDiv);
+            this.renderReplyBranch(tree, reply.id, childrenDiv, depth + 1);
+        });
+    }
+
+    /**
+     * Number of replies below a post, at any depth
+     */
+    countReplies(tree, eventId) {
+        return (tree.children.get(eventId) || [])
+            .reduce((total, child) => total + 1 + this.countReplies(tree, child.id), 0);
+    }
+
+    /**
+     * Load a user's profile (Kind 0) and show their name on their posts
+     */
+    async loadUserProfile(pubkey) {
+        if (this.profiles.has(pubkey)) {
+            this.applyProfileName(pubkey);
+            return;
+        }
+        this.profiles.set(pubkey, null); // mark as loading
+
+        const profileEvent = await this.eventLoader.loadProfile(pubkey, {
+            relays: await this.outbox.getRelaysFor([pubkey])
+        });
+        if (!profileEvent) return;
+
+        try {
+            this.profiles.set(pubkey, {
+                ...JSON.parse(profileEvent.content),
+                emojis: ContentParser.getEmojis(profileEvent.tags)
+            });
+            this.applyProfileName(pubkey);
+        } catch (e) {
+            console.error('Error parsing profile:', e);
+        }
+    }
+
+    /**
+     * Replace truncated pubkeys with the author's name (and NIP-05 checkmark) once known
+     */
+    applyProfileName(pubkey) {
+        const profile = this.profiles.get(pubkey);
+        const name = profile && (profile.name || profile.display_name);
+        if (!name) return;
+
+        document.querySelectorAll(`.clickable-profile[data-pubkey="${pubkey}"]`).forEach(element => {
+            ContentRenderer.renderEmojiText(element, name, profile.emojis);
+            ContentRenderer.addNip05Badge(element, profile, pubkey);
         });
-        
-        // Update UI
-        this.elements.repliesCount.textContent = this.replies.length;
-        this.elements.repliesSection.style.display = 'block';
-        this.elements.noReplies.style.display = 'none';
     }
 
     /**
@@ -236,138 +557,46 @@ class ThreadViewer {
     }
 
     /**
-     * Load reactions for a specific post
+     * Watch reactions for a specific post through the shared reactions service
      */
     loadPostReactions(eventId) {
-        // Skip if already loading reactions for this post
-        if (this.reactionsLoading.has(eventId)) {
-            console.log(`[Thread] Already loading reactions for post: ${eventId.slice(0, 8)}, skipping`);
-            return;
-        }
-        
-        this.reactionsLoading.add(eventId);
-        console.log(`[Thread] Starting to load reactions for post: ${eventId.slice(0, 8)}`);
-        
-        const reactionsFilter = {
-            kinds: [7],
-            '#e': [eventId],
-            limit: 50
-        };
-
-        const subscriptionId = `reactions_${eventId.slice(0, 8)}`;
-        
-        this.relayManager.subscribe(subscriptionId, reactionsFilter, (reactionEvent, relayUrl) => {
-            console.log(`[Thread] Found reaction for ${eventId.slice(0, 8)} from ${relayUrl}:`, reactionEvent);
-            
-            if (!this.reactions.has(eventId)) {
-                this.reactions.set(eventId, []);
-            }
-            
-            // Check for duplicate reactions
-            const existingReaction = this.reactions.get(eventId).find(r => r.id === reactionEvent.id);
-            if (!existingReaction) {
-                this.reactions.get(eventId).push(reactionEvent);
-                console.log(`[Thread] Added reaction, total for this post: ${this.reactions.get(eventId).length}`);
+        // Already watching (e.g. the post was re-rendered), just redraw
+        if (this.reactionWatchers.has(eventId)) {
+            if (this.reactions.has(eventId)) {
                 this.updatePostReactions(eventId);
             }
-        });
+            return;
+        }
 
-        // Set a fallback timeout to show "No reactions yet" if none are found
-        setTimeout(() => {
-            const reactions = this.reactions.get(eventId) || [];
-            if (reactions.length === 0) {
-                console.log(`[Thread] No reactions found after timeout for post: ${eventId.slice(0, 8)}`);
-                this.updatePostReactions(eventId);
-            }
-        }, 3000);
-
-        // Clean up subscription after a delay
-        setTimeout(() => {
-            this.relayManager.unsubscribe(subscriptionId);
-            this.reactionsLoading.delete(eventId); // Remove from loading set
-            console.log(`[Thread] Cleaned up reactions subscription for ${eventId.slice(0, 8)}`);
-        }, 8000);
+        console.log(`[Thread] Watching reactions for post: ${eventId.slice(0, 8)}`);
+        this.reactionWatchers.set(eventId, this.reactionsService.watch(eventId, (reactions, loaded) => {
+            // Keep "Loading reactions..." until relays have answered
+            if (reactions.length === 0 && !loaded) return;
+            this.reactions.set(eventId, reactions);
+            this.updatePostReactions(eventId);
+        }));
     }
 
     /**
      * Update reactions display for a specific post
      */
     updatePostReactions(eventId) {
-        console.log(`[Thread] Updating reactions display for post: ${eventId.slice(0, 8)}`);
-        
         const reactionsContainer = document.getElementById(`reactions-${eventId}`);
         if (!reactionsContainer) {
-            console.log(`[Thread] No reactions container found for post: ${eventId.slice(0, 8)}, retrying in 200ms`);
-            // Retry after a short delay in case the DOM isn't ready yet
-            setTimeout(() => {
-                const retryContainer = document.getElementById(`reactions-${eventId}`);
-                if (retryContainer) {
-                    console.log(`[Thread] Found reactions container on retry for post: ${eventId.slice(0, 8)}`);
-                    this._doUpdatePostReactions(eventId, retryContainer);
-                } else {
-                    console.log(`[Thread] Still no reactions container found for post: ${eventId.slice(0, 8)} after retry`);
-                }
-            }, 200);
+            console.log(`[Thread] No reactions container found for post: ${eventId.slice(0, 8)}`);
             return;
         }
 
-        this._doUpdatePostReactions(eventId, reactionsContainer);
-    }
-
-    /**
-     * Internal method to actually update reactions display
-     */
-    _doUpdatePostReactions(eventId, reactionsContainer) {
-        const reactions = this.reactions.get(eventId) || [];
-        console.log(`[Thread] Found ${reactions.length} reactions for post: ${eventId.slice(0, 8)}`);
-        
-        if (reactions.length === 0) {
-            reactionsContainer.innerHTML = '<span class="reactions-loading">No reactions yet</span>';
-            return;
-        }
-
-        // Group reactions by content (emoji)
-        const reactionGroups = {};
-        reactions.forEach(reaction => {
-            const emoji = reaction.content || '👍';
-            console.log(`[Thread] Processing reaction with emoji: ${emoji}`);
-            if (!reactionGroups[emoji]) {
-                reactionGroups[emoji] = [];
-            }
-            reactionGroups[emoji].push(reaction);
-        });
-
-        // Clear loading message
-        reactionsContainer.innerHTML = '';
-
-        // Display each reaction group
-        Object.entries(reactionGroups).forEach(([emoji, reactionList]) => {
-            console.log(`[Thread] Creating reaction display for ${emoji}: ${reactionList.length} reactions`);
-            
-            const reactionElement = document.createElement('div');
-            reactionElement.className = 'reaction';
-            reactionElement.title = `${reactionList.length} ${emoji} reaction${reactionList.length > 1 ? 's' : ''}`;
-
-            const emojiSpan = document.createElement('span');
-            emojiSpan.className = 'reaction-emoji';
-            emojiSpan.textContent = emoji;
-
-            const countSpan = document.createElement('span');
-            countSpan.className = 'reaction-count';
-            countSpan.textContent = reactionList.length;
-
-            reactionElement.appendChild(emojiSpan);
-            reactionElement.appendChild(countSpan);
-            reactionsContainer.appendChild(reactionElement);
-        });
-        
-        console.log(`[Thread] Updated reactions display completed for post: ${eventId.slice(0, 8)}`);
+        ContentRenderer.renderReactions(reactionsContainer, this.reactions.get(eventId) || []);
     }
 
     /**
      * Cleanup resources
      */
     destroy() {
+        if (this.stopRepliesQuery) {
+            this.stopRepliesQuery();
+        }
         this.relayManager.closeAllConnections();
     }
 }
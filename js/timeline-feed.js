@@ -0,0 +1,763 @@
+/**
+ * Shared timeline page: paginated notes with author headers and reactions
+ *
+ * TimelineFeed holds everything a page listing Kind 1 notes needs once it
+ * knows which notes it wants: pages from the event store, older pages from
+ * relays (TimelinePager), infinite scroll, the "new posts" banner for live
+ * notes, author headers and reactions. Subclasses say which notes belong on
+ * the timeline (`getTimelineFilter()`, plus `acceptsPost()` for anything a
+ * NIP-01 filter can't express) and how they are loaded.
+ *
+ * The page's HTML provides the elements listed in `initializeElements()`.
+ */
+
+import * as ContentParser from './content-parser.js';
+import { EventCache } from './event-cache.js';
+import { RelayManager } from './relay-manager.js';
+import { EventLoader } from './event-loader.js';
+import { OutboxModel } from './outbox-model.js';
+import { ReactionsService } from './reactions-service.js';
+import { ContentRenderer } from './content-renderer.js';
+import { RelayAuthPrompt } from './relay-auth.js';
+
+export class TimelineFeed {
+    static LOAD_ALL_PAGE_SIZE = 100; // events per relay per request when loading everything
+
+    constructor() {
+        this.relayManager = new RelayManager();
+        this.authPrompt = new RelayAuthPrompt(this.relayManager); // NIP-42 sign-in when a relay asks
+        this.outbox = new OutboxModel(this.relayManager);
+        this.eventLoader = new EventLoader(this.relayManager, { outbox: this.outbox }); // batched lookups of single events and profiles
+        this.eventCache = new EventCache();
+        this.reactionsService = new ReactionsService(this.relayManager);
+        this.elements = this.initializeElements();
+        this.authorProfiles = new Map(); // pubkey -> parsed profile of a timeline author
+        this.timelinePosts = [];
+        this.visiblePostsCount = 0;
+        this.postsPerPage = 20;
+        this.isInfiniteScrollEnabled = true;
+        this.isLoading = false;
+        this.reactions = new Map(); // eventId -> reactions
+        this.reactionWatchers = new Map(); // eventId -> stop function from the reactions service
+        this.liveQueries = []; // cancel functions for event store subscriptions
+        this.stopProfileQuery = null; // cancels the event store subscription for author profiles
+        this.timelineReady = false;
+        this.pager = null; // fetches older timeline pages from relays
+        this.stopLiveTimeline = null; // unsubscribes the live timeline subscriptions
+        this.renderedPostIds = []; // ids of the rendered posts, in order
+        this.loadGeneration = 0; // bumped on every load to stop stale "load all" loops
+        this.newPosts = new Map(); // live posts waiting behind the "new posts" banner
+        this.liveEoseRelays = new Set(); // relays that have sent EOSE for the live subscription
+        this.liveClosedReasons = new Map(); // relayUrl -> why it closed the live subscription
+        this.isAutoInsertEnabled = false;
+
+        this.initializePagination();
+        this.relayManager.on('relayState', () => this.updateRelayStatus());
+        this.relayManager.on('relayAuth', () => this.updateRelayStatus());
+    }
+
+    /**
+     * Event store filter for the notes on the timeline
+     */
+    getTimelineFilter() {
+        throw new Error('getTimelineFilter() is implemented by each timeline page');
+    }
+
+    /**
+     * Whether a note matching the filter belongs on the timeline
+     */
+    acceptsPost(post) {
+        return true;
+    }
+
+    /**
+     * The timeline's notes held in the event store, newest first
+     */
+    queryTimelinePosts() {
+        return this.relayManager.eventStore.query(this.getTimelineFilter())
+            .filter(post => this.acceptsPost(post));
+    }
+
+    /**
+     * Initialize pagination controls and infinite scroll
+     */
+    initializePagination() {
+        // Handle posts per page change
+        this.elements.postsPerPage.addEventListener('change', (e) => {
+            this.postsPerPage = parseInt(e.target.value);
+            this.visiblePostsCount = 0;
+            this.updateTimeline();
+
+            // Fetch more if what we hold doesn't fill a page
+            if (this.visiblePostsCount < this.postsPerPage) {
+                this.loadMorePosts();
+            }
+        });
+
+        // Handle infinite scroll toggle
+        this.elements.infiniteScroll.addEventListener('change', (e) => {
+            this.isInfiniteScrollEnabled = e.target.checked;
+            if (this.isInfiniteScrollEnabled) {
+                this.setupInfiniteScroll();
+            } else {
+                this.removeInfiniteScroll();
+            }
+            this.updatePaginationControls();
+        });
+
+        // Handle auto-insert toggle for live posts
+        this.elements.autoInsert.addEventListener('change', (e) => {
+            this.isAutoInsertEnabled = e.target.checked;
+            this.maybeAutoInsert();
+        });
+
+        // Pick up buffered posts when scrolling back to the top in auto-insert mode
+        window.addEventListener('scroll', () => this.maybeAutoInsert());
+
+        // Setup initial infinite scroll
+        this.setupInfiniteScroll();
+    }
+
+    /**
+     * Setup infinite scroll functionality
+     */
+    setupInfiniteScroll() {
+        if (this.scrollHandler) {
+            window.removeEventListener('scroll', this.scrollHandler);
+        }
+
+        this.scrollHandler = () => {
+            if (this.isLoading || !this.isInfiniteScrollEnabled) return;
+
+            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+            const windowHeight = window.innerHeight;
+            const documentHeight = document.documentElement.scrollHeight;
+
+            // Load more when 200px from bottom
+            if (scrollTop + windowHeight >= documentHeight - 200) {
+                this.loadMorePosts();
+            }
+        };
+
+        window.addEventListener('scroll', this.scrollHandler);
+    }
+
+    /**
+     * Remove infinite scroll
+     */
+    removeInfiniteScroll() {
+        if (this.scrollHandler) {
+            window.removeEventListener('scroll', this.scrollHandler);
+            this.scrollHandler = null;
+        }
+    }
+
+    /**
+     * Initialize DOM elements
+     */
+    initializeElements() {
+        return {
+            loading: document.getElementById('loading'),
+            error: document.getElementById('error'),
+            stats: document.getElementById('stats'),
+            postsCount: document.getElementById('postsCount'),
+            relaysCount: document.getElementById('relaysCount'),
+            relayStatus: document.getElementById('relayStatus'),
+            timeline: document.getElementById('timeline'),
+            timelinePosts: document.getElementById('timelinePosts'),
+            noPosts: document.getElementById('noPosts'),
+            timelineEnd: document.getElementById('timelineEnd'),
+            paginationSettings: document.getElementById('paginationSettings'),
+            paginationControls: document.getElementById('paginationControls'),
+            postsPerPage: document.getElementById('postsPerPage'),
+            infiniteScroll: document.getElementById('infiniteScroll'),
+            autoInsert: document.getElementById('autoInsert'),
+            newPostsBanner: document.getElementById('newPostsBanner'),
+            loadMoreBtn: document.getElementById('loadMoreBtn'),
+            loadAllBtn: document.getElementById('loadAllBtn'),
+            visiblePosts: document.getElementById('visiblePosts'),
+            totalPosts: document.getElementById('totalPosts')
+        };
+    }
+
+    /**
+     * Forget the previous load: subscriptions, posts, profiles and reactions
+     */
+    resetTimeline() {
+        this.stopLiveQueries();
+        this.timelineReady = false;
+        this.pager = null;
+        this.renderedPostIds = [];
+        this.loadGeneration++;
+        if (this.stopLiveTimeline) {
+            this.stopLiveTimeline();
+            this.stopLiveTimeline = null;
+        }
+        this.newPosts.clear();
+        this.liveEoseRelays.clear();
+        this.liveClosedReasons.clear();
+        this.updateNewPostsBanner();
+        this.authorProfiles.clear();
+        this.timelinePosts = [];
+        this.visiblePostsCount = 0;
+        this.reactions.clear();
+        this.stopReactionWatchers();
+    }
+
+    /**
+     * Live subscription listener: posts arriving after a relay's EOSE wait
+     * behind the banner instead of shifting the timeline under the reader
+     */
+    handleLivePost(postEvent, relayUrl) {
+        console.log(`Found post from ${relayUrl}:`, postEvent.id.slice(0, 8));
+        if (this.liveEoseRelays.has(relayUrl) && !this.renderedPostIds.includes(postEvent.id) && this.acceptsPost(postEvent)) {
+            this.bufferNewPost(postEvent);
+        }
+    }
+
+    /**
+     * `onEOSE`/`onClosed` options for the live subscription
+     */
+    getLiveListeners() {
+        return {
+            onEOSE: (relayUrl) => {
+                this.liveEoseRelays.add(relayUrl);
+                this.liveClosedReasons.delete(relayUrl);
+            },
+            onClosed: (relayUrl, reason) => {
+                // Rate-limited subscriptions are retried; show why meanwhile
+                this.liveClosedReasons.set(relayUrl, reason || 'closed by relay');
+                this.updateRelayStatus();
+            }
+        };
+    }
+
+    /**
+     * Hide the loading state and render the first page of the timeline
+     */
+    revealTimeline() {
+        // The debounced live query may not have delivered the last answers yet
+        this.timelinePosts = this.queryTimelinePosts();
+        this.timelineReady = true;
+        this.hideLoading();
+        this.showTimeline();
+        this.elements.paginationSettings.style.display = 'block';
+        if (this.timelinePosts.length === 0) {
+            this.elements.noPosts.style.display = 'block';
+        } else {
+            // Start with initial page load
+            this.visiblePostsCount = 0;
+            this.updateTimeline();
+        }
+    }
+
+    /**
+     * Keep the timeline's posts in sync with the event store
+     */
+    watchEventStore() {
+        this.stopLiveQueries();
+        this.liveQueries = [
+            this.relayManager.eventStore.subscribe(this.getTimelineFilter(), (posts) => {
+                this.timelinePosts = posts.filter(post => this.acceptsPost(post));
+                this.updateStats();
+                if (this.timelineReady) {
+                    this.refreshTimeline();
+                }
+            })
+        ];
+    }
+
+    /**
+     * Keep `authorProfiles` in sync with the stored profiles of `authors`
+     */
+    watchProfiles(authors) {
+        if (this.stopProfileQuery) {
+            this.stopProfileQuery();
+        }
+        this.stopProfileQuery = this.relayManager.eventStore.subscribe({ kinds: [0], authors }, (profileEvents) => {
+            profileEvents.forEach(profileEvent => {
+                try {
+                    const profile = JSON.parse(profileEvent.content);
+                    this.authorProfiles.set(profileEvent.pubkey, {
+                        ...profile,
+                        emojis: ContentParser.getEmojis(profileEvent.tags),
+                        pubkey: profileEvent.pubkey
+                    });
+                } catch (e) {
+                    console.error('Error parsing profile:', e);
+                }
+            });
+        });
+    }
+
+    /**
+     * Cancel the current event store subscriptions
+     */
+    stopLiveQueries() {
+        this.liveQueries.forEach(stop => stop());
+        this.liveQueries = [];
+        if (this.stopProfileQuery) {
+            this.stopProfileQuery();
+            this.stopProfileQuery = null;
+        }
+    }
+
+    /**
+     * Get display info for a user
+     */
+    getUserDisplayInfo(pubkey) {
+        const profile = this.authorProfiles.get(pubkey);
+        return {
+            name: profile?.name || profile?.display_name || `${pubkey.slice(0, 8)}...`,
+            avatar: profile?.picture || null,
+            nip05: profile?.nip05 || null,
+            emojis: profile?.emojis || new Map(),
+            pubkey: pubkey
+        };
+    }
+
+    /**
+     * Update the timeline display with pagination
+     */
+    updateTimeline() {
+        if (this.timelinePosts.length === 0) return;
+
+        // Sort posts by timestamp (newest first)
+        const sortedPosts = this.getDisplayPosts();
+
+        // If this is the first load, reset visible count
+        if (this.visiblePostsCount === 0) {
+            this.elements.timelinePosts.innerHTML = '';
+            this.elements.noPosts.style.display = 'none';
+            this.renderedPostIds = [];
+        }
+
+        // Calculate posts to show
+        const startIndex = this.visiblePostsCount;
+        const endIndex = Math.min(startIndex + this.postsPerPage, sortedPosts.length);
+        const postsToShow = sortedPosts.slice(startIndex, endIndex);
+
+        // Render new posts
+        postsToShow.forEach(post => this.renderTimelinePost(post));
+
+        // Update visible count
+        this.visiblePostsCount = endIndex;
+
+        // Update pagination info and controls
+        this.updatePaginationInfo();
+        this.updatePaginationControls();
+    }
+
+    /**
+     * Re-render the visible posts if the event store changed them
+     *
+     * Keeps the same number of posts on screen; older posts that arrive
+     * from a page fetch are appended by updateTimeline instead.
+     */
+    refreshTimeline() {
+        const visiblePosts = this.getDisplayPosts().slice(0, this.visiblePostsCount);
+
+        if (visiblePosts.map(post => post.id).join() !== this.renderedPostIds.join()) {
+            this.elements.timelinePosts.innerHTML = '';
+            this.renderedPostIds = [];
+            visiblePosts.forEach(post => this.renderTimelinePost(post));
+        }
+
+        this.updatePaginationInfo();
+        this.updatePaginationControls();
+    }
+
+    /**
+     * Timeline posts (newest first), minus live posts still behind the banner
+     */
+    getDisplayPosts() {
+        return this.timelinePosts
+            .filter(post => !this.newPosts.has(post.id))
+            .sort((a, b) => b.created_at - a.created_at);
+    }
+
+    /**
+     * Hold a live post back until the reader asks for it
+     */
+    bufferNewPost(post) {
+        if (this.newPosts.has(post.id)) return;
+
+        this.newPosts.set(post.id, post);
+        this.updateNewPostsBanner();
+        this.maybeAutoInsert();
+    }
+
+    /**
+     * Show or hide the "N new posts" banner
+     */
+    updateNewPostsBanner() {
+        const count = this.newPosts.size;
+        this.elements.newPostsBanner.style.display = count > 0 ? 'block' : 'none';
+        this.elements.newPostsBanner.textContent = `${count} new post${count === 1 ? '' : 's'} — show`;
+    }
+
+    /**
+     * Whether the top of the timeline is on screen
+     */
+    isAtTimelineTop() {
+        return this.elements.timelinePosts.getBoundingClientRect().top >= 0;
+    }
+
+    /**
+     * In auto-insert mode, show buffered posts while the reader is at the top
+     */
+    maybeAutoInsert() {
+        if (this.isAutoInsertEnabled && this.newPosts.size > 0 && this.timelineReady && this.isAtTimelineTop()) {
+            this.insertNewPosts();
+        }
+    }
+
+    /**
+     * Move buffered posts into the timeline without moving what the reader is looking at
+     */
+    insertNewPosts() {
+        if (this.newPosts.size === 0) return;
+
+        // Remember the first post on screen and where it is
+        const anchor = [...this.elements.timelinePosts.children]
+            .find(element => element.getBoundingClientRect().bottom > 0);
+        const anchorId = anchor ? anchor.dataset.eventId : null;
+        const anchorTop = anchor ? anchor.getBoundingClientRect().top : 0;
+
+        this.visiblePostsCount += this.newPosts.size;
+        this.newPosts.clear();
+        this.updateNewPostsBanner();
+        this.refreshTimeline();
+
+        // Scroll by however far the anchor moved
+        if (anchorId && !this.isAtTimelineTop()) {
+            const moved = this.elements.timelinePosts.querySelector(`[data-event-id="${anchorId}"]`);
+            if (moved) {
+                window.scrollBy(0, moved.getBoundingClientRect().top - anchorTop);
+            }
+        }
+    }
+
+    /**
+     * Banner click: insert the new posts and scroll up to them
+     */
+    showNewPosts() {
+        this.insertNewPosts();
+        this.elements.timeline.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Append one post to the timeline and start loading its reactions
+     */
+    renderTimelinePost(post) {
+        const postElement = this.createTimelinePost(post);
+        this.elements.timelinePosts.appendChild(postElement);
+        this.renderedPostIds.push(post.id);
+
+        // Reactions are batched with the other posts rendered now
+        this.loadPostReactions(post.id);
+    }
+
+    /**
+     * Whether there are more posts to show, locally or from relays
+     */
+    hasMorePosts() {
+        return this.visiblePostsCount < this.getDisplayPosts().length || (this.pager !== null && this.pager.hasMore());
+    }
+
+    /**
+     * Fetch older posts from relays until we hold at least `count` unshown posts
+     * (or the relays run out, or a page brings nothing because they didn't answer)
+     */
+    async fetchOlderPosts(count, pageSize, generation) {
+        while (this.getDisplayPosts().length - this.visiblePostsCount < count && this.pager.hasMore()) {
+            const received = await this.pager.loadPage(pageSize);
+            if (generation !== this.loadGeneration) return;
+
+            // Don't wait for the debounced live query before paging on
+            this.timelinePosts = this.queryTimelinePosts();
+
+            // Relays that timed out are asked again next time
+            if (received === 0) break;
+        }
+    }
+
+    /**
+     * Show the next page, fetching older posts from relays when needed
+     */
+    async loadMorePosts() {
+        if (this.isLoading || !this.pager || !this.hasMorePosts()) {
+            return;
+        }
+
+        const generation = this.loadGeneration;
+        this.isLoading = true;
+        this.elements.loadMoreBtn.textContent = 'Loading...';
+        this.elements.loadMoreBtn.disabled = true;
+
+        try {
+            await this.fetchOlderPosts(this.postsPerPage, this.postsPerPage, generation);
+            if (generation !== this.loadGeneration) return;
+            this.updateTimeline();
+        } catch (error) {
+            console.error('Error loading more posts:', error);
+        } finally {
+            this.isLoading = false;
+            this.elements.loadMoreBtn.textContent = 'Load More Posts';
+            this.elements.loadMoreBtn.disabled = false;
+            this.updatePaginationControls();
+        }
+    }
+
+    /**
+     * Fetch pages until every relay is exhausted, then show everything
+     */
+    async loadAllPosts() {
+        if (this.isLoading || !this.pager) return;
+
+        const generation = this.loadGeneration;
+        this.isLoading = true;
+        this.elements.loadAllBtn.textContent = 'Loading...';
+        this.elements.loadAllBtn.disabled = true;
+
+        try {
+            await this.fetchOlderPosts(Infinity, TimelineFeed.LOAD_ALL_PAGE_SIZE, generation);
+            if (generation !== this.loadGeneration) return;
+
+            // Render all posts we now hold
+            this.visiblePostsCount = 0;
+            this.postsPerPage = this.timelinePosts.length;
+            this.updateTimeline();
+        } catch (error) {
+            console.error('Error loading all posts:', error);
+        } finally {
+            this.isLoading = false;
+            this.elements.loadAllBtn.textContent = 'Load All Posts';
+            this.elements.loadAllBtn.disabled = false;
+            this.postsPerPage = parseInt(this.elements.postsPerPage.value); // Reset to original
+            this.updatePaginationControls();
+        }
+    }
+
+    /**
+     * Update pagination info display
+     */
+    updatePaginationInfo() {
+        this.elements.visiblePosts.textContent = this.visiblePostsCount;
+        this.elements.totalPosts.textContent = this.timelinePosts.length;
+    }
+
+    /**
+     * Update pagination controls visibility and state
+     */
+    updatePaginationControls() {
+        const hasMorePosts = this.hasMorePosts();
+
+        // Every relay has run out of older posts
+        this.elements.timelineEnd.style.display =
+            this.timelineReady && this.timelinePosts.length > 0 && !hasMorePosts ? 'block' : 'none';
+
+        if (this.timelinePosts.length > 0) {
+            this.elements.paginationControls.style.display = 'block';
+
+            // Show/hide buttons based on infinite scroll setting and remaining posts
+            if (this.isInfiniteScrollEnabled) {
+                this.elements.loadMoreBtn.style.display = 'none';
+                this.elements.loadAllBtn.style.display = hasMorePosts ? 'inline-block' : 'none';
+            } else {
+                this.elements.loadMoreBtn.style.display = hasMorePosts ? 'inline-block' : 'none';
+                this.elements.loadAllBtn.style.display = hasMorePosts ? 'inline-block' : 'none';
+            }
+        } else {
+            this.elements.paginationControls.style.display = 'none';
+        }
+    }
+
+    /**
+     * Create a timeline post element with author info
+     */
+    createTimelinePost(post) {
+        const userInfo = this.getUserDisplayInfo(post.pubkey);
+
+        // Create the basic post element
+        const postElement = ContentRenderer.createPostElement(post, this.eventLoader);
+
+        // Add author information at the top
+        const authorInfo = document.createElement('div');
+        authorInfo.className = 'post-author-info';
+
+        const avatar = document.createElement('div');
+        avatar.className = 'post-author-avatar';
+        if (userInfo.avatar) {
+            const img = document.createElement('img');
+            img.src = userInfo.avatar;
+            img.style.width = '100%';
+            img.style.height = '100%';
+            img.style.borderRadius = '50%';
+            img.onerror = () => {
+                // Fallback to initials
+                avatar.textContent = userInfo.name.slice(0, 2).toUpperCase();
+            };
+            avatar.appendChild(img);
+        } else {
+            avatar.textContent = userInfo.name.slice(0, 2).toUpperCase();
+        }
+
+        const authorDetails = document.createElement('div');
+        authorDetails.className = 'post-author-details';
+
+        const authorName = document.createElement('div');
+        authorName.className = 'post-author-name clickable-profile';
+        ContentRenderer.renderEmojiText(authorName, userInfo.name, userInfo.emojis);
+        authorName.onclick = () => {
+            window.open(`profile.html?pubkey=${userInfo.pubkey}`, '_blank');
+        };
+
+        ContentRenderer.addNip05Badge(authorName, userInfo, userInfo.pubkey);
+
+        const authorPubkey = document.createElement('div');
+        authorPubkey.className = 'post-author-pubkey';
+        authorPubkey.textContent = userInfo.pubkey.slice(0, 16) + '...';
+
+        authorDetails.appendChild(authorName);
+        authorDetails.appendChild(authorPubkey);
+        authorInfo.appendChild(avatar);
+        authorInfo.appendChild(authorDetails);
+
+        // Insert author info at the beginning of the post
+        postElement.insertBefore(authorInfo, postElement.firstChild);
+
+        return postElement;
+    }
+
+    /**
+     * Watch reactions for a specific post through the shared reactions service
+     */
+    loadPostReactions(eventId) {
+        // Already watching (e.g. the post was re-rendered), just redraw
+        if (this.reactionWatchers.has(eventId)) {
+            if (this.reactions.has(eventId)) {
+                this.updatePostReactions(eventId);
+            }
+            return;
+        }
+
+        console.log(`Watching reactions for post: ${eventId.slice(0, 8)}`);
+        this.reactionWatchers.set(eventId, this.reactionsService.watch(eventId, (reactions, loaded) => {
+            // Keep "Loading reactions..." until relays have answered
+            if (reactions.length === 0 && !loaded) return;
+            this.reactions.set(eventId, reactions);
+            this.updatePostReactions(eventId);
+        }));
+    }
+
+    /**
+     * Stop watching reactions for the posts of the previous load
+     */
+    stopReactionWatchers() {
+        this.reactionWatchers.forEach(stop => stop());
+        this.reactionWatchers.clear();
+    }
+
+    /**
+     * Update reactions display for a specific post
+     */
+    updatePostReactions(eventId) {
+        const reactionsContainer = document.getElementById(`reactions-${eventId}`);
+        if (!reactionsContainer) {
+            console.log(`No reactions container found for post: ${eventId.slice(0, 8)}`);
+            return;
+        }
+
+        ContentRenderer.renderReactions(reactionsContainer, this.reactions.get(eventId) || []);
+    }
+
+    /**
+     * Update stats display
+     */
+    updateStats() {
+        this.elements.postsCount.textContent = this.timelinePosts.length;
+        this.updateRelayStatus();
+        this.showStats();
+    }
+
+    /**
+     * Show live connection state for each relay in the pool
+     */
+    updateRelayStatus() {
+        const states = this.relayManager.getRelayStates();
+        this.elements.relaysCount.textContent = this.relayManager.getConnectedCount();
+        this.elements.relayStatus.innerHTML = '';
+
+        states.forEach(({ url, state, attempts, temporary, authenticatedAs }) => {
+            const chip = document.createElement('span');
+            chip.className = `relay-chip ${state}${temporary ? ' temporary' : ''}`;
+            chip.textContent = (authenticatedAs ? '🔐 ' : '') + url.replace(/^wss?:\/\//, '');
+            chip.title = attempts > 0 ? `${state} (attempt ${attempts})` : state;
+            if (temporary) {
+                chip.title += ', outbox relay';
+            }
+            if (authenticatedAs) {
+                chip.title += `, authenticated as ${RelayAuthPrompt.formatPubkey(authenticatedAs)}`;
+            }
+            if (this.liveClosedReasons.has(url)) {
+                chip.classList.add('refused');
+                chip.title += ` (live updates: ${this.liveClosedReasons.get(url)})`;
+            }
+            this.elements.relayStatus.appendChild(chip);
+        });
+
+        this.elements.relayStatus.style.display = states.length > 0 ? 'flex' : 'none';
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading() {
+        this.elements.loading.style.display = 'block';
+        this.elements.error.style.display = 'none';
+    }
+
+    /**
+     * Hide loading state
+     */
+    hideLoading() {
+        this.elements.loading.style.display = 'none';
+    }
+
+    /**
+     * Show error message
+     */
+    showError(message) {
+        this.elements.error.textContent = message;
+        this.elements.error.style.display = 'block';
+        this.hideLoading();
+    }
+
+    /**
+     * Show/hide UI sections
+     */
+    showStats() {
+        this.elements.stats.style.display = 'flex';
+    }
+
+    hideStats() {
+        this.elements.stats.style.display = 'none';
+    }
+
+    showTimeline() {
+        this.elements.timeline.style.display = 'block';
+    }
+
+    hideTimeline() {
+        this.elements.timeline.style.display = 'none';
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.stopLiveQueries();
+        this.relayManager.closeAllConnections();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Cursor pagination for a timeline filter using `until`
+ *
+ * Every relay gets its own cursor (the oldest timestamp it has returned), so
+ * a slow or sparse relay does not hold the others back. A relay is exhausted
+ * once a page it finished (with EOSE) brings nothing older than its cursor;
+ * a relay that times out keeps its cursor and is asked again next page.
+ *
+ * With an outbox plan (relayUrl -> authors) each planned relay is paged for
+ * its own authors only; otherwise every permanent relay gets the full filter.
+ */
+
+export class TimelinePager {
+    constructor(relayManager, filter, options = {}) {
+        this.relayManager = relayManager;
+        this.filter = filter; // base filter, without limit/until
+        this.plan = options.plan || null; // relayUrl -> authors to ask it for
+        this.cursors = new Map(); // relayUrl -> { until, exhausted }
+        this.loading = null; // promise for the page being fetched
+    }
+
+    /**
+     * Oldest timestamp we already hold for the filter, where every relay starts
+     */
+    getOldestHeld() {
+        const held = this.relayManager.eventStore.query(this.filter);
+        return held.length > 0
+            ? held[held.length - 1].created_at
+            : Math.floor(Date.now() / 1000);
+    }
+
+    /**
+     * Get (or start) the cursor for a relay
+     */
+    getCursor(relayUrl) {
+        if (!this.cursors.has(relayUrl)) {
+            this.cursors.set(relayUrl, { until: this.getOldestHeld(), exhausted: false });
+        }
+        return this.cursors.get(relayUrl);
+    }
+
+    /**
+     * Open relays that may still have older events
+     */
+    getActiveRelays() {
+        return this.relayManager.getRelayStates()
+            .filter(relay => relay.state === 'open' && (this.plan ? this.plan.has(relay.url) : !relay.temporary))
+            .map(relay => relay.url)
+            .filter(url => !this.getCursor(url).exhausted);
+    }
+
+    /**
+     * Whether any open relay may still have older events
+     */
+    hasMore() {
+        return this.getActiveRelays().length > 0;
+    }
+
+    /**
+     * Fetch the next page (up to `limit` events per relay) into the event store
+     *
+     * Resolves with the number of events received. Concurrent calls share
+     * the page already being fetched.
+     */
+    loadPage(limit) {
+        if (!this.loading) {
+            this.loading = (async () => {
+                const relays = this.getActiveRelays();
+                console.log(`Loading page of ${limit} from ${relays.length} relay(s)`);
+                const counts = await Promise.all(relays.map(url => this.loadRelayPage(url, limit)));
+                return counts.reduce((total, count) => total + count, 0);
+            })().finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Fetch one page from one relay and move its cursor
+     */
+    async loadRelayPage(relayUrl, limit) {
+        const cursor = this.getCursor(relayUrl);
+        const authors = this.plan ? { authors: this.plan.get(relayUrl) } : {};
+        let answered = false;
+        const events = await this.relayManager.query(
+            { ...this.filter, ...authors, until: cursor.until, limit },
+            { relays: [relayUrl], onEOSE: () => { answered = true; } }
+        );
+
+        // A relay that timed out or dropped mid-page has not told us anything
+        if (!answered) {
+            return events.length;
+        }
+
+        const oldest = events.length > 0 ? events[events.length - 1].created_at : null;
+        if (oldest === null) {
+            cursor.exhausted = true;
+        } else if (oldest < cursor.until) {
+            cursor.until = oldest; // inclusive; duplicates are dropped by the event store
+        } else if (events.length < limit) {
+            cursor.exhausted = true; // only events from the cursor's own second were left
+        } else {
+            cursor.until--; // a full page within one second, step past it
+        }
+
+        if (cursor.exhausted) {
+            console.log(`No older events on ${relayUrl}`);
+        }
+        return events.length;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Blurhash: decoding placeholders and their average colour
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import * as Blurhash from '../js/blurhash.js';
+
+test('a one-component hash decodes to its solid colour', () => {
+    const pixels = Blurhash.decode('00TI:j', 2, 2);
+    assert.strictEqual(pixels.length, 2 * 2 * 4);
+    for (let offset = 0; offset < pixels.length; offset += 4) {
+        assert.deepStrictEqual([...pixels.slice(offset, offset + 4)], [255, 0, 0, 255]);
+    }
+    assert.strictEqual(Blurhash.averageColor('00TI:j'), '#ff0000');
+});
+
+test('hashes are checked against their component count', () => {
+    const hash = 'LEHV6nWB2yk8pyo0adR*.7kCMdnj';
+    assert.deepStrictEqual(Blurhash.getComponents(hash), { x: 4, y: 3 });
+    assert.ok(Blurhash.isValid(hash));
+    assert.strictEqual(Blurhash.decode(hash, 4, 3).length, 4 * 3 * 4);
+
+    assert.ok(!Blurhash.isValid(hash.slice(0, -2)), 'too short for 4x3 components');
+    assert.ok(!Blurhash.isValid('00TI:"'), 'not a base-83 character');
+    assert.strictEqual(Blurhash.averageColor('nope'), null);
+    assert.throws(() => Blurhash.decode('nope', 1, 1), /Invalid blurhash/);
+});
\ No newline at end of file
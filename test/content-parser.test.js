@@ -0,0 +1,156 @@
+/**
+ * ContentParser.parseContent: text, media (with imeta metadata and
+ * galleries), links, nostr references, hashtags and custom emoji
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import * as CryptoUtils from '../js/crypto-utils.js';
+import * as ContentParser from '../js/content-parser.js';
+
+const NPUB = 'npub10elfcs4fr0l0r8af98jlmgdh9c8tcxjvz9qkw038js35mp4dma8qzvjptg';
+const NPUB_HEX = '7e7e9c42a91bfef19fa929e5fda1b72e0ebc1a4c1141673e2794234d86addf4e';
+
+const parse = content => ContentParser.parseContent(content).children;
+
+test('plain text stays one text token under the root', () => {
+    assert.deepStrictEqual(ContentParser.parseContent('Just words'), {
+        type: 'root',
+        children: [{ type: 'text', content: 'Just words' }]
+    });
+});
+
+test('URLs become image, video, YouTube or link tokens', () => {
+    const tokens = parse('a https://x.test/p.png b https://x.test/v.mp4?t=1 https://youtu.be/abc_123 https://x.test/page');
+    assert.deepStrictEqual(tokens.map(token => token.type), ['text', 'image', 'text', 'video', 'text', 'youtube', 'text', 'link']);
+    assert.strictEqual(tokens[1].url, 'https://x.test/p.png');
+    assert.strictEqual(tokens[5].videoId, 'abc_123');
+    assert.strictEqual(tokens[7].text, 'https://x.test/page');
+});
+
+test('nostr: references are split out by entity type', () => {
+    const note = CryptoUtils.hexToNote('c'.repeat(64));
+    const nevent = CryptoUtils.encodeNevent({ id: 'c'.repeat(64) });
+    const nprofile = CryptoUtils.encodeNprofile({ pubkey: 'd'.repeat(64) });
+    const naddr = CryptoUtils.encodeNaddr({ identifier: 'post', pubkey: 'd'.repeat(64), kind: 30023 });
+
+    const tokens = parse(`see nostr:${note} by nostr:${NPUB}, nostr:${nevent} nostr:${nprofile} nostr:${naddr}`);
+    assert.deepStrictEqual(tokens.filter(token => token.type !== 'text').map(token => [token.type, token.identifier]), [
+        ['note_reference', note],
+        ['profile_reference', NPUB],
+        ['event_reference', nevent],
+        ['profile_reference', nprofile],
+        ['address_reference', naddr]
+    ]);
+    assert.strictEqual(tokens[1].fullRef, `nostr:${note}`);
+});
+
+test('references carry their decoded pointer', () => {
+    const nevent = CryptoUtils.encodeNevent({ id: 'c'.repeat(64), relays: ['wss://relay.one.test'], author: NPUB_HEX });
+    const [profile, , event] = parse(`nostr:${NPUB} nostr:${nevent}`);
+    assert.strictEqual(profile.pointer.type, 'pubkey');
+    assert.strictEqual(profile.pointer.hex, NPUB_HEX);
+    assert.strictEqual(event.pointer.type, 'eventid');
+    assert.strictEqual(event.pointer.hex, 'c'.repeat(64));
+    assert.strictEqual(event.pointer.author, NPUB_HEX);
+    assert.deepStrictEqual(event.pointer.relays, ['wss://relay.one.test']);
+
+    const [broken] = parse('nostr:note1qqqq');
+    assert.strictEqual(broken.type, 'note_reference');
+    assert.strictEqual(broken.pointer, null);
+});
+
+test('text around references keeps its URLs', () => {
+    const note = CryptoUtils.hexToNote('e'.repeat(64));
+    const tokens = parse(`https://x.test/a.gif nostr:${note} tail`);
+    assert.deepStrictEqual(tokens.map(token => token.type), ['image', 'text', 'note_reference', 'text']);
+    assert.strictEqual(tokens[3].content, ' tail');
+});
+
+test('hashtags become tokens named as their t tags would be', () => {
+    const tokens = parse('#Nostr, #1 and x#y (#café) https://x.test/#top');
+    assert.deepStrictEqual(tokens.map(token => token.type), ['hashtag', 'text', 'hashtag', 'text', 'link']);
+    assert.deepStrictEqual(tokens[0], { type: 'hashtag', tag: 'nostr', text: '#Nostr' });
+    assert.strictEqual(tokens[1].content, ', #1 and x#y (');
+    assert.strictEqual(tokens[2].tag, 'café');
+    assert.strictEqual(tokens[4].url, 'https://x.test/#top', 'a URL fragment is not a hashtag');
+
+    assert.strictEqual(ContentParser.normalizeHashtag('#Bitcoin'), 'bitcoin');
+    assert.strictEqual(ContentParser.normalizeHashtag('no spaces'), null);
+    assert.deepStrictEqual(
+        ContentParser.getTagHashtags({ tags: [['t', 'Nostr'], ['t', 'nostr'], ['t', 'zaps'], ['p', 'x']] }),
+        ['nostr', 'zaps']
+    );
+});
+
+test('custom emoji need an emoji tag with an image URL', () => {
+    const tags = [
+        ['emoji', 'soapbox', 'https://x.test/soapbox.png'],
+        ['emoji', 'no-dashes', 'https://x.test/dash.png'],
+        ['emoji', 'script', 'javascript:alert(1)']
+    ];
+    assert.deepStrictEqual([...ContentParser.getEmojis(tags).keys()], ['soapbox']);
+
+    const tokens = ContentParser.parseContent('Hi :soapbox::soapbox: :script: at 10:30:00', tags).children;
+    assert.deepStrictEqual(tokens.map(token => token.type), ['text', 'emoji', 'emoji', 'text']);
+    assert.deepStrictEqual(tokens[1], { type: 'emoji', shortcode: 'soapbox', url: 'https://x.test/soapbox.png' });
+    assert.strictEqual(tokens[3].content, ' :script: at 10:30:00');
+    assert.strictEqual(parse('Hi :soapbox:')[0].content, 'Hi :soapbox:', 'no tags, no emoji');
+});
+
+test('reactions group custom emoji by shortcode and image', () => {
+    const reaction = (content, tags = []) => ({ kind: 7, content, tags });
+    const custom = ContentParser.getReactionEmoji(reaction(':blob:', [['emoji', 'blob', 'https://x.test/blob.png']]));
+    assert.deepStrictEqual(custom, { key: ':blob: https://x.test/blob.png', shortcode: 'blob', url: 'https://x.test/blob.png' });
+    assert.notStrictEqual(
+        ContentParser.getReactionEmoji(reaction(':blob:', [['emoji', 'blob', 'https://y.test/blob.png']])).key,
+        custom.key
+    );
+    assert.deepStrictEqual(ContentParser.getReactionEmoji(reaction(':blob:')), { key: ':blob:', text: ':blob:' });
+    assert.deepStrictEqual(ContentParser.getReactionEmoji(reaction('')), { key: '👍', text: '👍' });
+});
+
+test('imeta tags type extensionless media and carry its metadata', () => {
+    const hash = 'F'.repeat(64);
+    const tags = [
+        ['imeta', 'url https://blossom.test/' + 'f'.repeat(64), 'm image/webp', 'dim 640x480', 'alt A red square',
+            'blurhash 00TI:j', `x ${hash}`, 'fallback https://mirror.test/sq.webp', 'fallback ftp://old.test/sq'],
+        ['imeta', 'url https://nb.test/clip', 'm video/mp4', 'dim 0x0', 'image https://nb.test/clip.jpg'],
+        ['imeta', 'url https://x.test/doc.png', 'm application/pdf']
+    ];
+    const tokens = ContentParser.parseContent(
+        `https://blossom.test/${'f'.repeat(64)} and https://nb.test/clip https://x.test/doc.png https://x.test/plain`, tags
+    ).children;
+    assert.deepStrictEqual(tokens.map(token => token.type), ['image', 'text', 'video', 'text', 'link', 'text', 'link']);
+
+    assert.deepStrictEqual(tokens[0].media, {
+        url: `https://blossom.test/${'f'.repeat(64)}`, mime: 'image/webp', width: 640, height: 480,
+        alt: 'A red square', blurhash: '00TI:j', sha256: hash.toLowerCase(), size: null, thumb: null,
+        summary: null, fallbacks: ['https://mirror.test/sq.webp']
+    });
+    assert.strictEqual(tokens[2].media.width, null, 'a zero dim is ignored');
+    assert.strictEqual(tokens[2].media.thumb, 'https://nb.test/clip.jpg');
+    assert.strictEqual(tokens[4].url, 'https://x.test/doc.png', 'the MIME type wins over the extension');
+    assert.strictEqual(parse('https://x.test/p.png')[0].media, null);
+});
+
+test('images posted together become a gallery', () => {
+    const tokens = parse('Trip: https://x.test/1.jpg\nhttps://x.test/2.png https://x.test/3.gif\nmore https://x.test/4.jpg');
+    assert.deepStrictEqual(tokens.map(token => token.type), ['text', 'gallery', 'text', 'image']);
+    assert.deepStrictEqual(tokens[1].children.map(token => token.url), ['https://x.test/1.jpg', 'https://x.test/2.png', 'https://x.test/3.gif']);
+    assert.strictEqual(tokens[2].content, '\nmore ');
+    assert.deepStrictEqual(parse('https://x.test/1.jpg or https://x.test/2.jpg').map(token => token.type), ['image', 'text', 'image']);
+});
+
+test('file events (Kind 1063) give their metadata from top-level tags', () => {
+    const media = ContentParser.getFileMetadata({
+        kind: 1063,
+        content: 'Holiday video',
+        tags: [['url', 'https://x.test/v'], ['m', 'Video/MP4'], ['size', '1048576'], ['x', 'a'.repeat(64)], ['thumb', 'https://x.test/t.jpg']]
+    });
+    assert.strictEqual(media.url, 'https://x.test/v');
+    assert.strictEqual(media.mime, 'video/mp4');
+    assert.strictEqual(media.size, 1048576);
+    assert.strictEqual(media.summary, 'Holiday video');
+    assert.strictEqual(media.thumb, 'https://x.test/t.jpg');
+});
\ No newline at end of file
@@ -0,0 +1,219 @@
+/**
+ * ContentRenderer embeds: quoted notes rendered like posts, nested up to
+ * MAX_EMBED_DEPTH without repeating a note, and summaries for other kinds;
+ * hashtag links and custom emoji in notes, names and reactions; image
+ * galleries, the lightbox and file cards
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import * as CryptoUtils from '../js/crypto-utils.js';
+import { ContentRenderer } from '../js/content-renderer.js';
+import { Lightbox } from '../js/lightbox.js';
+import { createBrowserEnv, waitFor } from './helpers/browser-env.js';
+import { createFixtures, BASE_TIME } from './helpers/fixtures.js';
+
+let fixtures;
+let env;
+
+test.before(async () => {
+    fixtures = await createFixtures();
+});
+
+test.beforeEach(() => {
+    env = createBrowserEnv();
+});
+
+test.afterEach(() => {
+    env.destroy();
+    env = null;
+});
+
+/**
+ * Stand-in for EventLoader answering from the given events
+ */
+function createFetcher(events) {
+    const byId = new Map(events.map(event => [event.id, event]));
+    const profiles = new Map(events.filter(event => event.kind === 0).map(event => [event.pubkey, event]));
+    return {
+        loadPointer: async pointer => (pointer.type === 'eventid' ? byId.get(pointer.hex) : profiles.get(pointer.hex)) || null
+    };
+}
+
+const quote = event => `nostr:${CryptoUtils.hexToNote(event.id)}`;
+
+test('a quoted note is rendered like a post, with its author, media and thread link', async () => {
+    const { aliceQuote, bobNote } = fixtures.notes;
+    const opened = [];
+    window.open = url => opened.push(url);
+
+    const post = ContentRenderer.createPostElement(aliceQuote, createFetcher(fixtures.all));
+    const embed = post.querySelector('.embedded-post');
+    await waitFor(() => embed.dataset.eventId === bobNote.id);
+
+    const content = embed.querySelector('.embedded-post-content');
+    assert.ok(content.textContent.startsWith('Hello from Bob'));
+    assert.strictEqual(content.querySelector('img').src, 'https://example.com/pic.jpg', "the quoted note's image is shown");
+    await waitFor(() => embed.querySelector('.embedded-post-author').textContent === 'bob');
+
+    embed.click();
+    assert.deepStrictEqual(opened, [`thread.html?id=${bobNote.id}`]);
+});
+
+test(`quotes nest ${ContentRenderer.MAX_EMBED_DEPTH} deep, then become links`, async () => {
+    const sign = (content, offset) => fixtures.signers.carol.signEvent({
+        kind: 1, created_at: BASE_TIME + offset, tags: [], content
+    });
+    const innermost = await sign('The bottom of the pile', 100);
+    const third = await sign(`Third ${quote(innermost)}`, 101);
+    const second = await sign(`Second ${quote(third)}`, 102);
+    const first = await sign(`First ${quote(second)}`, 103);
+
+    const post = ContentRenderer.createPostElement(first, createFetcher([innermost, third, second]));
+    await waitFor(() => post.querySelectorAll('.embedded-post-loaded').length === ContentRenderer.MAX_EMBED_DEPTH);
+
+    const embedded = [...post.querySelectorAll('.embedded-post-loaded')].map(embed => embed.dataset.eventId);
+    assert.deepStrictEqual(embedded, [second.id, third.id]);
+    const links = post.querySelectorAll('.quote-link');
+    assert.strictEqual(links.length, 1);
+    assert.strictEqual(links[0].title, quote(innermost));
+});
+
+test('a quote of a note it is already inside becomes a link', async () => {
+    const { bobNote } = fixtures.notes;
+    // Ids are hashes, so only a lying source could serve this loop
+    const looping = { ...bobNote, id: 'a'.repeat(64), content: `Back to ${quote(bobNote)}` };
+    const outer = { ...bobNote, content: `Quoting ${quote(looping)}` };
+
+    const post = ContentRenderer.createPostElement(outer, createFetcher([looping, bobNote]));
+    await waitFor(() => post.querySelector('.embedded-post-loaded'));
+
+    assert.strictEqual(post.querySelectorAll('.embedded-post-loaded').length, 1);
+    assert.strictEqual(post.querySelector('.embedded-post-loaded').querySelector('.quote-link').title, quote(bobNote));
+});
+
+test('other kinds are summarized', () => {
+    const event = (kind, content, tags = []) => ({ kind, content, tags });
+
+    assert.strictEqual(ContentRenderer.describeEvent(fixtures.reaction), 'Reaction: +');
+    assert.strictEqual(ContentRenderer.describeEvent(event(30023, '# Long read', [['title', 'On relays']])), 'Article: On relays');
+    assert.strictEqual(ContentRenderer.describeEvent(event(31337, '{"x":1}', [['alt', 'A music track']])), 'Kind 31337 event: A music track');
+    assert.strictEqual(ContentRenderer.describeEvent(event(0, '{"name":"bob"}')), 'Profile');
+
+    const container = document.createElement('div');
+    ContentRenderer.renderEmbeddedPost(container, { ...fixtures.reaction, content: 'x'.repeat(500) });
+    const summary = container.querySelector('.embedded-post-content').textContent;
+    assert.strictEqual(summary, `Reaction: ${'x'.repeat(ContentRenderer.SUMMARY_LENGTH)}…`);
+});
+
+test('hashtags link to their feed, and t tags missing from the text are listed', () => {
+    const post = ContentRenderer.createPostElement({
+        ...fixtures.notes.carolNote,
+        tags: [['t', 'nostr'], ['t', 'Greetings']]
+    });
+
+    const inline = post.querySelector('.post-content').querySelector('.hashtag-link');
+    assert.strictEqual(inline.textContent, '#nostr');
+    assert.strictEqual(inline.href, 'hashtag.html?t=nostr');
+
+    const listed = [...post.querySelector('.post-hashtags').querySelectorAll('.hashtag-link')];
+    assert.deepStrictEqual(listed.map(link => link.textContent), ['#greetings']);
+    assert.strictEqual(ContentRenderer.createPostElement(fixtures.notes.carolNote).querySelector('.post-hashtags'), null);
+});
+
+test('custom emoji show as images in notes, author names and reactions', async () => {
+    const blob = ['emoji', 'blob', 'https://x.test/blob.png'];
+    const profile = await fixtures.signers.carol.signEvent({
+        kind: 0, created_at: BASE_TIME + 100, tags: [blob], content: JSON.stringify({ name: 'carol :blob:' })
+    });
+    const note = await fixtures.signers.carol.signEvent({
+        kind: 1, created_at: BASE_TIME + 101, tags: [blob], content: 'Feeling :blob: today'
+    });
+    const quote = await fixtures.signers.bob.signEvent({
+        kind: 1, created_at: BASE_TIME + 102, tags: [], content: `nostr:${CryptoUtils.hexToNote(note.id)}`
+    });
+
+    const post = ContentRenderer.createPostElement(quote, createFetcher([note, profile]));
+    const embed = post.querySelector('.embedded-post');
+    await waitFor(() => embed.querySelector('.embedded-post-author')?.textContent === 'carol ');
+    assert.strictEqual(embed.querySelector('.embedded-post-author').querySelector('.custom-emoji').src, blob[2]);
+    const emoji = embed.querySelector('.embedded-post-content').querySelector('.custom-emoji');
+    assert.strictEqual(emoji.src, blob[2]);
+    assert.strictEqual(emoji.alt, ':blob:');
+
+    const reaction = (content, tags = []) => ({ kind: 7, content, tags });
+    const container = document.createElement('div');
+    ContentRenderer.renderReactions(container, [
+        reaction(':blob:', [blob]),
+        reaction(':blob:', [blob]),
+        reaction(':blob:', [['emoji', 'blob', 'https://y.test/other-blob.png']]),
+        reaction('+')
+    ]);
+    const chips = [...container.querySelectorAll('.reaction')];
+    assert.deepStrictEqual(chips.map(chip => chip.querySelector('.reaction-count').textContent), ['2', '1', '1']);
+    assert.strictEqual(chips[0].querySelector('.custom-emoji').src, blob[2]);
+    assert.strictEqual(chips[1].querySelector('.custom-emoji').src, 'https://y.test/other-blob.png');
+    assert.strictEqual(chips[0].title, '2 :blob: reactions');
+});
+
+test('images posted together form a gallery that opens in the lightbox', () => {
+    const post = ContentRenderer.createPostElement({
+        ...fixtures.notes.carolNote,
+        content: 'Trip https://blossom.test/one https://x.test/two.jpg https://x.test/three.png',
+        tags: [['imeta', 'url https://blossom.test/one', 'm image/jpeg', 'dim 800x600', 'alt The beach',
+            'blurhash 00TI:j', `x ${'b'.repeat(64)}`]]
+    });
+    const gallery = post.querySelector('.media-gallery');
+    assert.strictEqual(gallery.dataset.count, '3');
+    const images = [...gallery.querySelectorAll('.post-image')];
+    assert.strictEqual(images[0].alt, 'The beach');
+    assert.strictEqual(images[0].style.aspectRatio, '800 / 600');
+    assert.strictEqual(images[0].style.backgroundColor, '#ff0000', 'the blurhash colour shows while it loads');
+
+    const key = name => document.dispatchEvent({ type: 'keydown', key: name, preventDefault: () => {} });
+    const shown = () => document.querySelector('.lightbox-image');
+
+    images[1].click();
+    assert.ok(Lightbox.isOpen());
+    assert.strictEqual(shown().src, 'https://x.test/two.jpg');
+    assert.strictEqual(document.querySelector('.lightbox-counter').textContent, '2 / 3');
+
+    key('ArrowRight');
+    key('ArrowRight');
+    assert.strictEqual(shown().src, 'https://blossom.test/one', 'wraps around');
+    assert.strictEqual(document.querySelector('.lightbox-caption').textContent, 'The beach');
+    assert.notStrictEqual(document.querySelector('.lightbox-verify').style.display, 'none');
+
+    key('+');
+    key('+');
+    assert.strictEqual(shown().style.transform, 'scale(2)');
+    assert.ok(shown().classList.contains('zoomed'));
+    key('0');
+    assert.strictEqual(shown().style.transform, '');
+
+    key('ArrowLeft');
+    assert.strictEqual(shown().src, 'https://x.test/three.png');
+    assert.strictEqual(document.querySelector('.lightbox-verify').style.display, 'none', 'no hash to check');
+
+    key('Escape');
+    assert.ok(!Lightbox.isOpen());
+});
+
+test('file events (Kind 1063) render as media cards', async () => {
+    const file = await fixtures.signers.bob.signEvent({
+        kind: 1063, created_at: BASE_TIME + 100, content: 'Conference slides',
+        tags: [['url', 'https://x.test/files/slides%20v2.pdf'], ['m', 'application/pdf'], ['size', '2621440'],
+            ['x', 'c'.repeat(64)], ['thumb', 'https://x.test/files/slides.jpg']]
+    });
+
+    const container = document.createElement('div');
+    ContentRenderer.renderEmbeddedPost(container, file);
+    const card = container.querySelector('.file-card');
+    assert.strictEqual(card.querySelector('.file-card-title').textContent, 'Conference slides');
+    assert.strictEqual(card.querySelector('.file-card-meta').textContent, 'slides v2.pdf • application/pdf • 2.5 MB');
+    assert.strictEqual(card.querySelector('.file-card-hash').title, 'c'.repeat(64));
+    assert.strictEqual(card.querySelector('.post-image').src, 'https://x.test/files/slides.jpg');
+    const download = card.querySelector('.file-card-download');
+    assert.strictEqual(download.href, 'https://x.test/files/slides%20v2.pdf');
+    assert.strictEqual(download.getAttribute('download'), 'slides v2.pdf');
+});
\ No newline at end of file
@@ -0,0 +1,60 @@
+/**
+ * CryptoUtils: NIP-19 encoding, input parsing and event verification
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import * as CryptoUtils from '../js/crypto-utils.js';
+import { createFixtures } from './helpers/fixtures.js';
+
+const NPUB = 'npub10elfcs4fr0l0r8af98jlmgdh9c8tcxjvz9qkw038js35mp4dma8qzvjptg';
+const NPUB_HEX = '7e7e9c42a91bfef19fa929e5fda1b72e0ebc1a4c1141673e2794234d86addf4e';
+const NPROFILE = 'nprofile1qqsrhuxx8l9ex335q7he0f09aej04zpazpl0ne2cgukyawd24mayt8gpp4mhxue69uhhytnc9e3k7mgpz4mhxue69uhkg6nzv9ejuumpv34kytnrdaksjlyr9p';
+const NPROFILE_HEX = '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d';
+
+test('npub encodes and decodes the NIP-19 test vector', () => {
+    assert.strictEqual(CryptoUtils.hexToNpub(NPUB_HEX), NPUB);
+    assert.strictEqual(CryptoUtils.npubToHex(NPUB), NPUB_HEX);
+});
+
+test('nprofile decodes with its relay hints', () => {
+    const decoded = CryptoUtils.decodeNostrReference(`nostr:${NPROFILE}`);
+    assert.strictEqual(decoded.type, 'pubkey');
+    assert.strictEqual(decoded.hex, NPROFILE_HEX);
+    assert.deepStrictEqual(decoded.relays, ['wss://r.x.com', 'wss://djbas.sadkb.com']);
+});
+
+test('nevent round-trips id, relays, author and kind', () => {
+    const id = 'a'.repeat(64);
+    const nevent = CryptoUtils.encodeNevent({ id, relays: ['wss://relay.one.test'], author: NPUB_HEX, kind: 1 });
+    const decoded = CryptoUtils.decodeNostrReference(nevent);
+    assert.strictEqual(decoded.type, 'eventid');
+    assert.strictEqual(decoded.hex, id);
+    assert.strictEqual(decoded.author, NPUB_HEX);
+    assert.strictEqual(decoded.kind, 1);
+    assert.deepStrictEqual(decoded.relays, ['wss://relay.one.test']);
+});
+
+test('parseInput reads bare hex as the requested type', () => {
+    assert.strictEqual(CryptoUtils.parseInput(NPUB_HEX.toUpperCase()).hex, NPUB_HEX);
+    assert.strictEqual(CryptoUtils.parseInput(NPUB_HEX, 'eventid').type, 'eventid');
+    assert.strictEqual(CryptoUtils.normalizeKey(` nostr:${NPUB} `), NPUB_HEX);
+});
+
+test('parseInput rejects the wrong kind of entity and malformed input', () => {
+    const note = CryptoUtils.hexToNote('b'.repeat(64));
+    assert.throws(() => CryptoUtils.normalizeKey(note), /Expected a public key/);
+    assert.throws(() => CryptoUtils.normalizeEventId(NPUB), /Expected an event id/);
+    assert.throws(() => CryptoUtils.parseInput('npub1notbech32'), /Invalid reference/);
+});
+
+test('verifyEvent accepts signed events and rejects tampered ones', async () => {
+    const { notes } = await createFixtures();
+    const event = notes.bobNote;
+    assert.strictEqual(CryptoUtils.verifyEvent(event), true);
+
+    assert.strictEqual(CryptoUtils.verifyEvent({ ...event, content: 'Edited' }), false);
+    assert.strictEqual(CryptoUtils.verifyEvent({ ...event, sig: event.sig.replace(/^./, c => c === '0' ? '1' : '0') }), false);
+    assert.strictEqual(CryptoUtils.verifyEvent({ ...event, pubkey: NPUB_HEX }), false);
+    assert.strictEqual(CryptoUtils.isWellFormedEvent({ ...event, id: 'xyz' }), false);
+});
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * Stand in for the browser around the app's modules
+ *
+ * `createBrowserEnv()` installs browser globals on globalThis: a fake DOM,
+ * `window` and `location`, tracked timers, a quiet console, and the mock
+ * relay's WebSocket and NIP-11 fetch (no IndexedDB or localStorage). The
+ * modules themselves are imported as usual; page controllers, which wire
+ * themselves to `document` when they load, go through `env.importPage()`.
+ * `destroy()` puts globalThis back the way it was.
+ */
+
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { FakeDocument } from './fake-dom.js';
+import { MockRelay } from '../mock-relay.js';
+import { RelayInfo } from '../../js/relay-info.js';
+import { Nip05 } from '../../js/nip05.js';
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// The real timers, for the tests themselves while the tracked ones are installed
+const realSetTimeout = setTimeout;
+const realClearTimeout = clearTimeout;
+const realSetInterval = setInterval;
+const realClearInterval = clearInterval;
+
+const quietConsole = {
+    log() {},
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+};
+
+let pageImports = 0;
+
+/**
+ * Install the browser globals
+ *
+ * `options.search` sets `location.search`; `options.verbose` (or the
+ * TEST_VERBOSE environment variable) lets the modules log to the console.
+ */
+export function createBrowserEnv(options = {}) {
+    const document = new FakeDocument();
+    const verbose = options.verbose || !!process.env.TEST_VERBOSE;
+    const timers = new Set();
+    const replaced = new Map(); // global name -> property descriptor it had before
+
+    const globals = {
+        console: verbose ? console : quietConsole,
+        window: globalThis,
+        document,
+        location: { search: options.search || '', href: 'http://localhost/', reload() {} },
+        navigator: { userAgent: 'node' },
+        setTimeout: (callback, delay, ...args) => {
+            const timer = realSetTimeout(() => {
+                timers.delete(timer);
+                callback(...args);
+            }, delay);
+            timers.add(timer);
+            return timer;
+        },
+        clearTimeout: (timer) => {
+            timers.delete(timer);
+            realClearTimeout(timer);
+        },
+        setInterval: (callback, delay, ...args) => {
+            const timer = realSetInterval(callback, delay, ...args);
+            timers.add(timer);
+            return timer;
+        },
+        clearInterval: (timer) => {
+            timers.delete(timer);
+            realClearInterval(timer);
+        },
+        confirm: () => false,
+        alert: () => {},
+        open: () => null,
+        scrollBy: () => {},
+        pageYOffset: 0,
+        innerHeight: 800,
+        addEventListener: (type, listener) => document.body.addEventListener(`window:${type}`, listener),
+        removeEventListener: (type, listener) => document.body.removeEventListener(`window:${type}`, listener)
+    };
+
+    const before = new Set(Object.getOwnPropertyNames(globalThis));
+    Object.entries(globals).forEach(([name, value]) => {
+        replaced.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+        // Some (navigator in newer Node) are getters, so define rather than assign
+        Object.defineProperty(globalThis, name, { value, writable: true, configurable: true, enumerable: true });
+    });
+
+    // The pages' sockets (and NIP-11 requests) go to mock relays
+    MockRelay.install(globalThis);
+
+    return {
+        document,
+
+        /**
+         * Import a page controller so it binds to this env's document
+         *
+         * Each call evaluates the page module afresh; the modules it imports
+         * are shared, as they are between pages in the browser.
+         */
+        importPage(script) {
+            const url = pathToFileURL(path.join(ROOT, script));
+            url.search = `?env=${++pageImports}`;
+            return import(url.href);
+        },
+
+        /**
+         * Fire DOMContentLoaded, as the browser does once the scripts have run
+         */
+        ready() {
+            document.dispatchEvent({ type: 'DOMContentLoaded' });
+        },
+
+        /**
+         * Stop every timer the modules started, drop the mock relays and
+         * restore globalThis (globals the pages set go too)
+         */
+        destroy() {
+            MockRelay.uninstall();
+            RelayInfo.cache.clear();
+            Nip05.cache.clear();
+            timers.forEach(timer => {
+                realClearTimeout(timer);
+                realClearInterval(timer);
+            });
+            timers.clear();
+
+            Object.getOwnPropertyNames(globalThis)
+                .filter(name => !before.has(name) && !replaced.has(name))
+                .forEach(name => delete globalThis[name]);
+            replaced.forEach((descriptor, name) => {
+                if (descriptor) {
+                    Object.defineProperty(globalThis, name, descriptor);
+                } else {
+                    delete globalThis[name];
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Resolve after `ms` of real time, letting sockets and timers run
+ */
+export function sleep(ms) {
+    return new Promise(resolve => realSetTimeout(resolve, ms));
+}
+
+/**
+ * Poll until `check()` is truthy, failing after `timeout` ms
+ */
+export async function waitFor(check, timeout = 2000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await sleep(5);
+    }
+}
\ No newline at end of file
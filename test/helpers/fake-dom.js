@@ -0,0 +1,318 @@
+/**
+ * Just enough DOM to run the page controllers headlessly
+ *
+ * Elements keep a child tree, text, attributes, classes and listeners.
+ * `innerHTML` is stored as text (it is not parsed), which is all the pages
+ * need: they only assign markup that tests don't look inside. Selectors
+ * support tag, #id, .class and [attr="value"] parts, without combinators.
+ * `querySelectorAll` returns a NodeList lookalike without the array methods
+ * a browser's NodeList lacks, so code that needs them has to spread it.
+ * `getElementById` creates elements it doesn't know yet, so a test doesn't
+ * have to rebuild each page's markup.
+ */
+
+export class FakeElement {
+    constructor(ownerDocument, tagName) {
+        this.ownerDocument = ownerDocument;
+        this.tagName = tagName.toUpperCase();
+        this.nodeType = 1;
+        this.children = [];
+        this.parentNode = null;
+        this.attributes = new Map();
+        this.dataset = {};
+        this.style = {};
+        this.listeners = new Map(); // event type -> Set of listeners
+        this.text = '';
+        this.html = '';
+        this.value = '';
+        this.checked = false;
+        this.disabled = false;
+        this.open = false;
+        this.classList = {
+            add: (...names) => names.forEach(name => this.setClasses([...this.getClasses(), name])),
+            remove: (...names) => this.setClasses(this.getClasses().filter(name => !names.includes(name))),
+            contains: name => this.getClasses().includes(name),
+            toggle: (name, force) => {
+                const on = force === undefined ? !this.classList.contains(name) : force;
+                if (on) this.classList.add(name); else this.classList.remove(name);
+                return on;
+            }
+        };
+    }
+
+    getClasses() {
+        return (this.className || '').split(/\s+/).filter(Boolean);
+    }
+
+    setClasses(names) {
+        this.className = [...new Set(names)].join(' ');
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    set id(value) {
+        this.setAttribute('id', value);
+    }
+
+    get parentElement() {
+        return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+    }
+
+    get firstChild() {
+        return this.children[0] || null;
+    }
+
+    get isConnected() {
+        let node = this;
+        while (node.parentNode) node = node.parentNode;
+        return node === this.ownerDocument.documentElement;
+    }
+
+    get textContent() {
+        return this.text + this.children.map(child => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.detachChildren();
+        this.text = String(value);
+        this.html = '';
+    }
+
+    get innerHTML() {
+        return this.html;
+    }
+
+    set innerHTML(value) {
+        this.detachChildren();
+        this.text = '';
+        this.html = String(value);
+    }
+
+    detachChildren() {
+        this.children.forEach(child => { child.parentNode = null; });
+        this.children = [];
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+        if (name.startsWith('data-')) {
+            const key = name.slice(5).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            this.dataset[key] = String(value);
+        }
+        if (name === 'class') {
+            this.className = String(value);
+        }
+    }
+
+    getAttribute(name) {
+        if (name.startsWith('data-')) {
+            const key = name.slice(5).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            if (this.dataset[key] !== undefined) return this.dataset[key];
+        }
+        if (name === 'class') return this.className || null;
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(typeof node === 'string' ? this.ownerDocument.createTextNode(node) : node));
+    }
+
+    prepend(...nodes) {
+        nodes.reverse().forEach(node => this.insertBefore(
+            typeof node === 'string' ? this.ownerDocument.createTextNode(node) : node,
+            this.firstChild
+        ));
+    }
+
+    insertBefore(child, reference) {
+        if (child.parentNode) child.remove();
+        const index = reference ? this.children.indexOf(reference) : -1;
+        if (index === -1) {
+            this.children.push(child);
+        } else {
+            this.children.splice(index, 0, child);
+        }
+        child.parentNode = this;
+        return child;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(node => node !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        if (this.listeners.has(type)) this.listeners.get(type).delete(listener);
+    }
+
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        event.preventDefault = event.preventDefault || (() => {});
+        event.stopPropagation = event.stopPropagation || (() => {});
+        (this.listeners.get(event.type) || []).forEach(listener => listener.call(this, event));
+        if (typeof this[`on${event.type}`] === 'function') this[`on${event.type}`](event);
+        return true;
+    }
+
+    click() {
+        this.dispatchEvent({ type: 'click' });
+    }
+
+    focus() {}
+
+    scrollIntoView() {}
+
+    getBoundingClientRect() {
+        return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+    }
+
+    /**
+     * Every descendant element, depth first
+     */
+    descendants() {
+        return this.children.flatMap(child => child.nodeType === 1 ? [child, ...child.descendants()] : []);
+    }
+
+    matches(selector) {
+        const pattern = /^([a-zA-Z0-9-]*)((?:[#.][\w-]+|\[[\w-]+(?:="[^"]*")?\])*)$/;
+        const match = pattern.exec(selector.trim());
+        if (!match) throw new Error(`Unsupported selector: ${selector}`);
+        if (match[1] && match[1].toUpperCase() !== this.tagName) return false;
+
+        const parts = match[2].match(/[#.][\w-]+|\[[\w-]+(?:="[^"]*")?\]/g) || [];
+        return parts.every(part => {
+            if (part[0] === '#') return this.id === part.slice(1);
+            if (part[0] === '.') return this.classList.contains(part.slice(1));
+            const [, name, value] = /^\[([\w-]+)(?:="([^"]*)")?\]$/.exec(part);
+            const actual = this.getAttribute(name);
+            return value === undefined ? actual !== null : actual === value;
+        });
+    }
+
+    querySelectorAll(selector) {
+        const selectors = selector.split(',');
+        return new FakeNodeList(this.descendants().filter(element => selectors.some(part => element.matches(part))));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+/**
+ * Static NodeList: indexing, `length`, `item`, `forEach` and iteration only
+ */
+export class FakeNodeList {
+    constructor(nodes) {
+        nodes.forEach((node, index) => {
+            this[index] = node;
+        });
+        this.length = nodes.length;
+    }
+
+    item(index) {
+        return this[index] || null;
+    }
+
+    forEach(callback, thisArg) {
+        for (let index = 0; index < this.length; index++) {
+            callback.call(thisArg, this[index], index, this);
+        }
+    }
+
+    *[Symbol.iterator]() {
+        for (let index = 0; index < this.length; index++) {
+            yield this[index];
+        }
+    }
+}
+
+export class FakeTextNode {
+    constructor(text) {
+        this.nodeType = 3;
+        this.parentNode = null;
+        this.textContent = text;
+        this.children = [];
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+}
+
+export class FakeDocument {
+    constructor() {
+        this.documentElement = new FakeElement(this, 'html');
+        this.head = this.documentElement.appendChild(new FakeElement(this, 'head'));
+        this.body = this.documentElement.appendChild(new FakeElement(this, 'body'));
+        this.documentElement.scrollTop = 0;
+        this.documentElement.scrollHeight = 0;
+        this.listeners = new Map();
+        this.title = '';
+    }
+
+    createElement(tagName) {
+        return new FakeElement(this, tagName);
+    }
+
+    createTextNode(text) {
+        return new FakeTextNode(String(text));
+    }
+
+    /**
+     * Known element by id, or a new one appended to the body
+     */
+    getElementById(id) {
+        let element = this.documentElement.querySelector(`#${id}`);
+        if (!element) {
+            element = this.createElement('div');
+            element.id = id;
+            this.body.appendChild(element);
+        }
+        return element;
+    }
+
+    querySelectorAll(selector) {
+        return this.documentElement.querySelectorAll(selector);
+    }
+
+    querySelector(selector) {
+        return this.documentElement.querySelector(selector);
+    }
+
+    addEventListener(type, listener) {
+        FakeElement.prototype.addEventListener.call(this, type, listener);
+    }
+
+    removeEventListener(type, listener) {
+        FakeElement.prototype.removeEventListener.call(this, type, listener);
+    }
+
+    dispatchEvent(event) {
+        (this.listeners.get(event.type) || []).forEach(listener => listener.call(this, event));
+        return true;
+    }
+}
\ No newline at end of file
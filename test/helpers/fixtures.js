@@ -0,0 +1,76 @@
+/**
+ * Signed fixture events for the test suite
+ *
+ * Alice follows Bob and Carol. Bob and Carol have profiles and a few notes;
+ * Carol replies to Bob, Alice replies to Carol, and one of Alice's notes
+ * quotes Bob's. Everything is signed with throwaway keys by TestSigner, so
+ * the events pass the same verification as real ones.
+ */
+
+import * as CryptoUtils from '../../js/crypto-utils.js';
+import { TestSigner } from '../test-signer.js';
+
+export const BASE_TIME = 1700000000;
+
+const KEYS = {
+    alice: '0000000000000000000000000000000000000000000000000000000000000011',
+    bob: '0000000000000000000000000000000000000000000000000000000000000022',
+    carol: '0000000000000000000000000000000000000000000000000000000000000033'
+};
+
+/**
+ * Sign the fixture events
+ */
+export async function createFixtures() {
+    const signers = {};
+    const pubkeys = {};
+    for (const [name, key] of Object.entries(KEYS)) {
+        signers[name] = new TestSigner(key);
+        pubkeys[name] = await signers[name].getPublicKey();
+    }
+
+    const sign = (name, kind, content, tags = [], offset = 0) => signers[name].signEvent({
+        kind,
+        created_at: BASE_TIME + offset,
+        tags,
+        content
+    });
+
+    const profiles = {
+        bob: await sign('bob', 0, JSON.stringify({ name: 'bob', about: 'Relay operator' })),
+        carol: await sign('carol', 0, JSON.stringify({ name: 'carol', picture: 'https://example.com/carol.png' }))
+    };
+
+    const contacts = await sign('alice', 3, '', [['p', pubkeys.bob], ['p', pubkeys.carol]]);
+
+    const bobNote = await sign('bob', 1, 'Hello from Bob https://example.com/pic.jpg', [], 10);
+    const bobOlder = await sign('bob', 1, 'An older note from Bob', [], 5);
+    const carolNote = await sign('carol', 1, 'Carol says hi #nostr', [['t', 'nostr']], 20);
+    const carolReply = await sign('carol', 1, 'Nice picture!', [
+        ['e', bobNote.id, '', 'root'],
+        ['p', pubkeys.bob]
+    ], 30);
+    const aliceReply = await sign('alice', 1, 'Agreed', [
+        ['e', bobNote.id, '', 'root'],
+        ['e', carolReply.id, '', 'reply'],
+        ['p', pubkeys.bob],
+        ['p', pubkeys.carol]
+    ], 40);
+    const aliceQuote = await sign('alice', 1, `Look at this nostr:${CryptoUtils.hexToNote(bobNote.id)}`, [
+        ['q', bobNote.id]
+    ], 50);
+    const reaction = await sign('carol', 7, '+', [['e', bobNote.id], ['p', pubkeys.bob]], 60);
+
+    return {
+        signers,
+        pubkeys,
+        profiles,
+        contacts,
+        notes: { bobNote, bobOlder, carolNote, carolReply, aliceReply, aliceQuote },
+        reaction,
+        all: [
+            profiles.bob, profiles.carol, contacts,
+            bobNote, bobOlder, carolNote, carolReply, aliceReply, aliceQuote, reaction
+        ]
+    };
+}
\ No newline at end of file
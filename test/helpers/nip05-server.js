@@ -0,0 +1,51 @@
+/**
+ * Local stand-in for a domain serving `/.well-known/nostr.json`
+ *
+ * Listens on 127.0.0.1 (which Nip05 fetches over plain HTTP), so the
+ * identifiers under test look like `bob@127.0.0.1:<port>`. The document is
+ * answered whole, whatever `?name=` asks for; `respond` can be swapped to
+ * script errors, redirects or malformed documents.
+ */
+
+import http from 'node:http';
+
+/**
+ * Start serving `document`; resolves once listening
+ */
+export function startNip05Server(document) {
+    const server = {
+        domain: null,
+        requests: [], // request paths, with their query string
+        respond: (request, response) => {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(document));
+        },
+
+        /**
+         * Stop listening (and drop idle keep-alive connections)
+         */
+        close() {
+            return new Promise(resolve => {
+                listener.close(resolve);
+                listener.closeAllConnections();
+            });
+        }
+    };
+
+    const listener = http.createServer((request, response) => {
+        server.requests.push(request.url);
+        if (!request.url.startsWith('/.well-known/nostr.json')) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        server.respond(request, response);
+    });
+
+    return new Promise(resolve => {
+        listener.listen(0, '127.0.0.1', () => {
+            server.domain = `127.0.0.1:${listener.address().port}`;
+            resolve(server);
+        });
+    });
+}
\ No newline at end of file
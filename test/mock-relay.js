@@ -0,0 +1,282 @@
+/**
+ * In-process mock relays for tests
+ *
+ * A MockRelay speaks enough NIP-01 to stand in for a real relay: REQ
+ * (stored events, EOSE, then live events from `publish`), CLOSE, COUNT and
+ * NIP-42 AUTH. Its behaviour can be scripted per test: response delays,
+ * refusals (CLOSED with a reason), missing EOSE, NOTICEs, dropped
+ * connections and malformed messages.
+ *
+ * Clients reach mock relays through MockWebSocket, which can be handed to
+ * `new RelayManager({ WebSocket: MockWebSocket })` or installed as the
+ * global WebSocket (with NIP-11 served through fetch) by `MockRelay.install()`.
+ */
+
+import * as CryptoUtils from '../js/crypto-utils.js';
+import { EventStore } from '../js/event-store.js';
+import { RelayInfo } from '../js/relay-info.js';
+
+export class MockRelay {
+    static relays = new Map(); // url -> MockRelay
+    static originals = null; // { target, WebSocket, fetch } while installed
+
+    constructor(url, options = {}) {
+        this.url = url;
+        this.events = [...(options.events || [])];
+        this.info = options.info || null;
+        this.requireAuth = options.requireAuth || false;
+        this.delay = options.delay || 0; // ms before each relay message is delivered
+        this.closedReason = options.closedReason || null; // answer every REQ with CLOSED and this reason
+        this.sendEose = options.sendEose !== false; // false: never finish stored events
+        this.refuseConnections = options.refuseConnections || false;
+        this.sockets = new Set();
+        this.received = []; // every client message, in order
+        MockRelay.relays.set(url, this);
+    }
+
+    /**
+     * Route WebSocket connections and NIP-11 requests to mock relays
+     */
+    static install(target = globalThis) {
+        if (this.originals) return;
+        this.originals = { target, WebSocket: target.WebSocket, fetch: target.fetch };
+
+        target.WebSocket = MockWebSocket;
+        target.fetch = async (url, options) => {
+            const relay = [...this.relays.values()].find(r => RelayInfo.getInfoUrl(r.url) === url);
+            if (!relay) {
+                return this.originals.fetch.call(target, url, options);
+            }
+            return relay.info
+                ? { ok: true, status: 200, json: async () => relay.info }
+                : { ok: false, status: 404, json: async () => null };
+        };
+    }
+
+    /**
+     * Restore the real WebSocket and fetch and forget every mock relay
+     */
+    static uninstall() {
+        if (this.originals) {
+            const { target, WebSocket, fetch } = this.originals;
+            target.WebSocket = WebSocket;
+            target.fetch = fetch;
+            this.originals = null;
+        }
+        this.reset();
+    }
+
+    /**
+     * Drop every client connection and forget every mock relay
+     */
+    static reset() {
+        this.relays.forEach(relay => relay.disconnect());
+        this.relays.clear();
+    }
+
+    /**
+     * A client connected: challenge it straight away if we want AUTH
+     */
+    accept(socket) {
+        this.sockets.add(socket);
+        socket.subscriptions = new Map(); // subscription id -> filters, for live events
+        socket.challenge = Math.random().toString(36).slice(2);
+        socket.authedAs = null;
+        if (this.requireAuth) {
+            this.send(socket, ['AUTH', socket.challenge]);
+        }
+    }
+
+    /**
+     * Send a relay message to one client after the configured delay
+     */
+    send(socket, message) {
+        this.sendRaw(socket, JSON.stringify(message));
+    }
+
+    /**
+     * Send raw text to one client (or every client), e.g. a malformed message
+     */
+    sendRaw(socket, data) {
+        const sockets = socket ? [socket] : [...this.sockets];
+        sockets.forEach(target => target.deliver(data, this.delay));
+    }
+
+    /**
+     * Send a NOTICE to every client
+     */
+    notice(message) {
+        this.sockets.forEach(socket => this.send(socket, ['NOTICE', message]));
+    }
+
+    /**
+     * Close a subscription from the relay side (CLOSED) on every client that has it
+     */
+    closeSubscription(subscriptionId, reason = '') {
+        this.sockets.forEach(socket => {
+            if (socket.subscriptions.delete(subscriptionId)) {
+                this.send(socket, ['CLOSED', subscriptionId, reason]);
+            }
+        });
+    }
+
+    /**
+     * Drop every client connection, as if the relay went away
+     */
+    disconnect() {
+        [...this.sockets].forEach(socket => socket.drop());
+    }
+
+    /**
+     * Store an event and send it to every live subscription it matches
+     */
+    publish(event) {
+        this.events.push(event);
+        this.sockets.forEach(socket => {
+            socket.subscriptions.forEach((filters, subscriptionId) => {
+                if (EventStore.matchFilters(filters, event)) {
+                    this.send(socket, ['EVENT', subscriptionId, event]);
+                }
+            });
+        });
+    }
+
+    /**
+     * Ids of the subscriptions currently open on any client
+     */
+    getOpenSubscriptions() {
+        return [...this.sockets].flatMap(socket => [...socket.subscriptions.keys()]);
+    }
+
+    /**
+     * Handle one client message
+     */
+    receive(socket, message) {
+        this.received.push(message);
+        const [type, id, ...rest] = message;
+
+        if (type === 'AUTH') {
+            this.handleAuth(socket, id);
+        } else if (type === 'CLOSE') {
+            socket.subscriptions.delete(id);
+        } else if (type === 'REQ' || type === 'COUNT') {
+            if (this.requireAuth && !socket.authedAs) {
+                this.send(socket, ['CLOSED', id, 'auth-required: sign in to read from this relay']);
+                return;
+            }
+            if (this.closedReason) {
+                this.send(socket, ['CLOSED', id, this.closedReason]);
+                return;
+            }
+            const matching = this.events.filter(event => EventStore.matchFilters(rest, event));
+            if (type === 'COUNT') {
+                this.send(socket, ['COUNT', id, { count: matching.length }]);
+                return;
+            }
+
+            socket.subscriptions.set(id, rest);
+            MockRelay.applyLimits(matching, rest).forEach(event => this.send(socket, ['EVENT', id, event]));
+            if (this.sendEose) {
+                this.send(socket, ['EOSE', id]);
+            }
+        }
+    }
+
+    /**
+     * Newest first, and no more than the largest `limit` asked for
+     */
+    static applyLimits(events, filters) {
+        const sorted = [...events].sort(EventStore.compareEvents);
+        const limits = filters.map(filter => filter.limit);
+        return limits.every(limit => limit !== undefined) ? sorted.slice(0, Math.max(...limits)) : sorted;
+    }
+
+    /**
+     * Check a kind 22242 event against this connection's challenge
+     */
+    handleAuth(socket, event) {
+        const tagValue = name => (event.tags.find(tag => tag[0] === name) || [])[1];
+        let reason = '';
+        if (!CryptoUtils.verifyEvent(event) || event.kind !== 22242) {
+            reason = 'invalid: bad auth event';
+        } else if (tagValue('challenge') !== socket.challenge) {
+            reason = 'invalid: challenge does not match';
+        } else if (tagValue('relay') !== this.url) {
+            reason = 'invalid: wrong relay';
+        } else if (Math.abs(event.created_at - Date.now() / 1000) > 600) {
+            reason = 'invalid: auth event is too old';
+        }
+
+        if (!reason) {
+            socket.authedAs = event.pubkey;
+        }
+        this.send(socket, ['OK', event.id, !reason, reason]);
+    }
+}
+
+/**
+ * The fake WebSocket used to reach mock relays; unknown URLs fail to connect
+ */
+export class MockWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = MockWebSocket.CONNECTING;
+        this.relay = MockRelay.relays.get(url) || null;
+
+        setTimeout(() => {
+            if (this.readyState !== MockWebSocket.CONNECTING) return;
+            if (!this.relay || this.relay.refuseConnections) {
+                this.readyState = MockWebSocket.CLOSED;
+                if (this.onerror) this.onerror(new Error(`No mock relay at ${url}`));
+                if (this.onclose) this.onclose({ code: 1006 });
+                return;
+            }
+            this.readyState = MockWebSocket.OPEN;
+            this.relay.accept(this);
+            if (this.onopen) this.onopen();
+        }, this.relay ? this.relay.delay : 0);
+    }
+
+    send(data) {
+        if (this.readyState !== MockWebSocket.OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        const relay = this.relay;
+        setTimeout(() => {
+            if (this.readyState === MockWebSocket.OPEN) relay.receive(this, JSON.parse(data));
+        }, 0);
+    }
+
+    /**
+     * Relay to client, asynchronously like a real socket
+     */
+    deliver(data, delay = 0) {
+        setTimeout(() => {
+            if (this.readyState === MockWebSocket.OPEN && this.onmessage) {
+                this.onmessage({ data });
+            }
+        }, delay);
+    }
+
+    /**
+     * Client-side close
+     */
+    close() {
+        this.drop(1000);
+    }
+
+    /**
+     * Connection gone, from either side
+     */
+    drop(code = 1006) {
+        if (this.readyState === MockWebSocket.CLOSED) return;
+        this.readyState = MockWebSocket.CLOSED;
+        if (this.relay) this.relay.sockets.delete(this);
+        setTimeout(() => this.onclose && this.onclose({ code }), 0);
+    }
+}
\ No newline at end of file
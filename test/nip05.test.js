@@ -0,0 +1,182 @@
+/**
+ * Nip05: identifier parsing, nostr.json lookups and their cache, resolving
+ * typed identifiers, and the checkmarks the pages show for verified names
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import * as CryptoUtils from '../js/crypto-utils.js';
+import { Nip05 } from '../js/nip05.js';
+import { MockRelay } from './mock-relay.js';
+import { createBrowserEnv, waitFor } from './helpers/browser-env.js';
+import { createFixtures, BASE_TIME } from './helpers/fixtures.js';
+import { startNip05Server } from './helpers/nip05-server.js';
+
+const RELAY = 'wss://relay.one.test';
+
+let fixtures;
+let server;
+let env;
+
+test.before(async () => {
+    fixtures = await createFixtures();
+    server = await startNip05Server({
+        names: {
+            bob: fixtures.pubkeys.bob,
+            carol: fixtures.pubkeys.carol,
+            broken: 'not-a-key',
+            bech32: CryptoUtils.hexToNpub(fixtures.pubkeys.carol)
+        },
+        relays: {
+            [fixtures.pubkeys.bob]: ['wss://bob.relay.test', 'https://not.a.relay.test']
+        }
+    });
+});
+
+test.after(() => server.close());
+
+// Quiet console, and a fresh lookup cache for every test
+test.beforeEach(() => {
+    env = createBrowserEnv();
+    server.requests = [];
+});
+
+test.afterEach(() => {
+    env.destroy();
+    env = null;
+});
+
+test('identifiers parse case-insensitively, a bare domain meaning _@domain', () => {
+    assert.deepStrictEqual(Nip05.parse(' Bob@Example.COM '), { name: 'bob', domain: 'example.com' });
+    assert.deepStrictEqual(Nip05.parse('example.com'), { name: '_', domain: 'example.com' });
+    assert.deepStrictEqual(Nip05.parse('bob@localhost:8080'), { name: 'bob', domain: 'localhost:8080' });
+    assert.strictEqual(Nip05.format('_@example.com'), 'example.com');
+    assert.strictEqual(Nip05.format('Bob@Example.com'), 'bob@example.com');
+
+    assert.strictEqual(Nip05.isIdentifier(CryptoUtils.hexToNpub(fixtures.pubkeys.bob)), false);
+    assert.strictEqual(Nip05.isIdentifier(fixtures.pubkeys.bob), false);
+    assert.strictEqual(Nip05.isIdentifier('bob@'), false);
+    assert.strictEqual(Nip05.isIdentifier(undefined), false);
+});
+
+test('lookup reads the pubkey and its relays from nostr.json', async () => {
+    const result = await Nip05.lookup(`Bob@${server.domain}`);
+    assert.deepStrictEqual(result, { pubkey: fixtures.pubkeys.bob, relays: ['wss://bob.relay.test'] });
+    assert.deepStrictEqual(server.requests, ['/.well-known/nostr.json?name=bob']);
+
+    assert.strictEqual(await Nip05.verify(`bob@${server.domain}`, fixtures.pubkeys.bob), true);
+    assert.strictEqual(await Nip05.verify(`bob@${server.domain}`, fixtures.pubkeys.carol), false);
+    assert.deepStrictEqual(await Nip05.lookup(`carol@${server.domain}`), { pubkey: fixtures.pubkeys.carol, relays: [] });
+});
+
+test('lookups are cached until their TTL runs out', async () => {
+    const identifier = `bob@${server.domain}`;
+    await Promise.all([Nip05.lookup(identifier), Nip05.lookup(identifier)]);
+    await Nip05.verify(identifier, fixtures.pubkeys.bob);
+    assert.strictEqual(server.requests.length, 1);
+
+    Nip05.cache.get(identifier).fetchedAt -= Nip05.CACHE_TTL;
+    await Nip05.lookup(identifier);
+    assert.strictEqual(server.requests.length, 2);
+});
+
+test('unknown names and malformed or non-hex keys resolve to null', async () => {
+    assert.strictEqual(await Nip05.lookup(`nobody@${server.domain}`), null);
+    assert.strictEqual(await Nip05.lookup(`broken@${server.domain}`), null);
+    assert.strictEqual(await Nip05.lookup(`bech32@${server.domain}`), null, 'an npub is not a hex key');
+    assert.strictEqual(Nip05.cache.get(`nobody@${server.domain}`).ttl, Nip05.CACHE_TTL);
+});
+
+test('errors and redirects fail the lookup, which is retried sooner', async (t) => {
+    const respond = server.respond;
+    t.after(() => {
+        server.respond = respond;
+    });
+
+    server.respond = (request, response) => {
+        response.writeHead(302, { Location: '/.well-known/elsewhere.json' });
+        response.end();
+    };
+    assert.strictEqual(await Nip05.lookup(`bob@${server.domain}`), null);
+    assert.deepStrictEqual(server.requests, ['/.well-known/nostr.json?name=bob'], 'the redirect is not followed');
+
+    server.respond = (request, response) => {
+        response.writeHead(500);
+        response.end();
+    };
+    assert.strictEqual(await Nip05.lookup(`carol@${server.domain}`), null);
+    assert.strictEqual(Nip05.cache.get(`carol@${server.domain}`).ttl, Nip05.FAILURE_TTL);
+
+    server.respond = (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end('{"names": ');
+    };
+    assert.strictEqual(await Nip05.lookup(`_@${server.domain}`), null);
+});
+
+test('parseInput resolves identifiers and passes keys through', async () => {
+    const reference = await Nip05.parseInput(`bob@${server.domain}`);
+    assert.deepStrictEqual(reference, { type: 'pubkey', hex: fixtures.pubkeys.bob, relays: ['wss://bob.relay.test'] });
+
+    const npub = CryptoUtils.hexToNpub(fixtures.pubkeys.carol);
+    assert.deepStrictEqual(await Nip05.parseInput(npub), CryptoUtils.parseInput(npub));
+    assert.strictEqual(server.requests.length, 1);
+
+    await assert.rejects(Nip05.parseInput(`nobody@${server.domain}`), /Could not find nobody@127\.0\.0\.1/);
+});
+
+/**
+ * Load a page reading from one mock relay, with Bob's and Carol's profiles
+ * now carrying a nip05 (Carol's claims Bob's name, so it doesn't verify)
+ */
+async function openPage(script, params = {}) {
+    const profiles = await Promise.all([
+        ['bob', { name: 'bob', nip05: `bob@${server.domain}` }],
+        ['carol', { name: 'carol', nip05: `bob@${server.domain}` }]
+    ].map(([name, profile]) => fixtures.signers[name].signEvent({
+        kind: 0,
+        created_at: BASE_TIME + 100,
+        tags: [],
+        content: JSON.stringify(profile)
+    })));
+
+    env.destroy();
+    const search = new URLSearchParams({ ...params, relays: RELAY }).toString();
+    env = createBrowserEnv({ search: `?${search}` });
+    new MockRelay(RELAY, { events: [...fixtures.all, ...profiles] });
+    await env.importPage(script);
+    env.ready();
+}
+
+test('ProfileViewer opens a typed identifier and checks the name', async () => {
+    await openPage('js/profile-viewer.js', { pubkey: `bob@${server.domain}` });
+
+    await waitFor(() => window.profileViewer && window.profileViewer.isLoaded, 5000);
+    const viewer = window.profileViewer;
+    assert.strictEqual(viewer.userPubkey, fixtures.pubkeys.bob);
+
+    await waitFor(() => viewer.profileData.nip05 && viewer.elements.profileName.querySelector('.nip05-badge'));
+    const badge = viewer.elements.profileName.querySelector('.nip05-badge');
+    assert.strictEqual(badge.title, `Verified as bob@${server.domain}`);
+    viewer.destroy();
+});
+
+test('WallFeed marks only the authors whose nip05 verifies', async () => {
+    await openPage('js/wall-feed.js');
+    env.document.getElementById('userPubkey').value = CryptoUtils.hexToNpub(fixtures.pubkeys.alice);
+    window.loadWall();
+    await waitFor(() => window.wallFeed && window.wallFeed.timelineReady, 5000);
+    const wall = window.wallFeed;
+
+    // Render the timeline again now the nip05 profiles are in (as on a first load)
+    await waitFor(() => wall.authorProfiles.get(fixtures.pubkeys.carol)?.nip05);
+    wall.visiblePostsCount = 0;
+    wall.updateTimeline();
+
+    const badgeCount = () => wall.elements.timelinePosts.querySelectorAll('.nip05-badge').length;
+    // Bob's two notes get a checkmark; Carol's note and reply don't
+    await waitFor(() => badgeCount() === 2);
+    await Nip05.lookup(`bob@${server.domain}`);
+    assert.strictEqual(badgeCount(), 2);
+    wall.destroy();
+});
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * Page controllers end to end: each page module loads against a fresh fake
+ * DOM, reads from a mock relay holding the fixtures and renders into it
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import * as CryptoUtils from '../js/crypto-utils.js';
+import { MockRelay } from './mock-relay.js';
+import { createBrowserEnv, waitFor } from './helpers/browser-env.js';
+import { createFixtures, BASE_TIME } from './helpers/fixtures.js';
+
+const RELAY = 'wss://relay.one.test';
+const HINTED_RELAY = 'wss://relay.two.test';
+
+let fixtures;
+let env;
+
+test.before(async () => {
+    fixtures = await createFixtures();
+});
+
+test.afterEach(() => {
+    if (env) env.destroy();
+    env = null;
+});
+
+/**
+ * Load a page reading only from one mock relay (via the ?relays= override)
+ * holding `events` (all the fixtures by default)
+ */
+async function openPage(script, params = {}, events = fixtures.all) {
+    const search = new URLSearchParams({ ...params, relays: RELAY }).toString();
+    env = createBrowserEnv({ search: `?${search}` });
+    const relay = new MockRelay(RELAY, { events });
+    await env.importPage(script);
+    return { relay, window: globalThis };
+}
+
+// Text set either way: text nodes or (unparsed) innerHTML markup
+const renderedText = element => [element.textContent, ...[element, ...element.descendants()].map(node => node.innerHTML)].join(' ');
+
+test('WallFeed shows the posts and names of the people a user follows', async () => {
+    const { window } = await openPage('js/wall-feed.js');
+    env.ready();
+
+    env.document.getElementById('userPubkey').value = CryptoUtils.hexToNpub(fixtures.pubkeys.alice);
+    window.loadWall();
+    await waitFor(() => window.wallFeed && window.wallFeed.timelineReady, 5000);
+
+    const wall = window.wallFeed;
+    assert.deepStrictEqual([...wall.following].sort(), [fixtures.pubkeys.bob, fixtures.pubkeys.carol].sort());
+
+    const { bobNote, bobOlder, carolNote, carolReply, aliceReply } = fixtures.notes;
+    const postIds = wall.timelinePosts.map(post => post.id);
+    [bobNote, bobOlder, carolNote, carolReply].forEach(note => assert.ok(postIds.includes(note.id)));
+    assert.ok(!postIds.includes(aliceReply.id), "the user's own notes aren't on their wall");
+
+    await waitFor(() => wall.authorProfiles.size === 2);
+    assert.strictEqual(wall.authorProfiles.get(fixtures.pubkeys.bob).name, 'bob');
+
+    const timeline = renderedText(wall.elements.timelinePosts);
+    assert.ok(timeline.includes('Carol says hi'));
+    assert.ok(timeline.includes('Hello from Bob'));
+    wall.destroy();
+});
+
+test('HashtagFeed combines hashtags with OR or AND', async () => {
+    const { carolNote } = fixtures.notes;
+    const sign = (name, content, tags, offset) => fixtures.signers[name].signEvent({
+        kind: 1, created_at: BASE_TIME + offset, tags, content
+    });
+    const bobBoth = await sign('bob', 'Zapped for #nostr', [['t', 'nostr'], ['t', 'zaps']], 70);
+    const carolZaps = await sign('carol', 'All about #zaps', [['t', 'zaps']], 65);
+    const events = [...fixtures.all, bobBoth, carolZaps];
+
+    const loadFeed = async (params) => {
+        const { window } = await openPage('js/hashtag-feed.js', params, events);
+        env.ready();
+        await waitFor(() => window.hashtagFeed && window.hashtagFeed.timelineReady, 5000);
+        return window.hashtagFeed;
+    };
+
+    let feed = await loadFeed({ t: 'nostr,zaps' });
+    assert.deepStrictEqual(feed.tags, ['nostr', 'zaps']);
+    assert.deepStrictEqual(
+        feed.timelinePosts.map(post => post.id).sort(),
+        [carolNote.id, bobBoth.id, carolZaps.id].sort()
+    );
+    assert.strictEqual(feed.elements.timelineTitle.textContent, '📰 #nostr OR #zaps');
+
+    // Author headers with the names from their profiles, and reactions
+    await waitFor(() => feed.authorProfiles.size === 2);
+    feed.visiblePostsCount = 0;
+    feed.updateTimeline();
+    const names = [...feed.elements.timelinePosts.querySelectorAll('.post-author-name')].map(name => name.textContent);
+    assert.deepStrictEqual(names, ['bob', 'carol', 'carol']);
+    await waitFor(() => feed.reactions.has(bobBoth.id));
+    feed.destroy();
+    env.destroy();
+
+    feed = await loadFeed({ t: '#nostr', mode: 'and' });
+    assert.deepStrictEqual(feed.timelinePosts.map(post => post.id).sort(), [carolNote.id, bobBoth.id].sort());
+    feed.elements.hashtagInput.value = 'nostr ZAPS';
+    await feed.loadHashtags();
+    await waitFor(() => feed.timelineReady, 5000);
+    assert.strictEqual(feed.mode, 'and');
+    assert.deepStrictEqual(feed.timelinePosts.map(post => post.id), [bobBoth.id]);
+    assert.strictEqual(renderedText(feed.elements.timelinePosts).includes('Carol says hi'), false);
+
+    feed.elements.hashtagInput.value = 'nostr no-dashes';
+    await feed.loadHashtags();
+    assert.strictEqual(feed.elements.error.textContent, 'Not a hashtag: no-dashes');
+    feed.destroy();
+});
+
+test('ThreadViewer walks up to the root and collects the replies', async () => {
+    const { aliceReply, bobNote, carolReply } = fixtures.notes;
+    const { window } = await openPage('js/thread-viewer.js', { id: aliceReply.id });
+    env.ready();
+
+    await waitFor(() => window.threadViewer && window.threadViewer.isLoaded, 5000);
+    const viewer = window.threadViewer;
+
+    assert.strictEqual(viewer.originalPost.id, bobNote.id);
+    assert.deepStrictEqual(viewer.ancestors.map(event => event.id), [bobNote.id, carolReply.id]);
+    await waitFor(() => viewer.replies.length === 2);
+    const replyIds = viewer.replies.map(event => event.id);
+    assert.ok(replyIds.includes(carolReply.id) && replyIds.includes(aliceReply.id));
+
+    assert.ok(renderedText(viewer.elements.originalContent).includes('Hello from Bob'));
+    viewer.destroy();
+});
+
+test('ThreadViewer fetches a parent from its relay hint without adding the relay to the pool', async () => {
+    const parent = await fixtures.signers.bob.signEvent({
+        kind: 1, created_at: BASE_TIME + 70, tags: [], content: 'Only on the hinted relay'
+    });
+    const reply = await fixtures.signers.alice.signEvent({
+        kind: 1, created_at: BASE_TIME + 71, tags: [['e', parent.id, HINTED_RELAY, 'root']], content: 'Found it'
+    });
+
+    await openPage('js/thread-viewer.js', { id: reply.id }, [...fixtures.all, reply]);
+    new MockRelay(HINTED_RELAY, { events: [parent] });
+    env.ready();
+
+    await waitFor(() => window.threadViewer && window.threadViewer.isLoaded, 5000);
+    const viewer = window.threadViewer;
+    assert.strictEqual(viewer.originalPost.id, parent.id);
+    const hinted = viewer.relayManager.getRelayStates().find(relay => relay.url === HINTED_RELAY);
+    assert.ok(hinted.temporary, 'the hinted relay is only borrowed for the lookup');
+    viewer.destroy();
+});
+
+test('ThreadViewer reports a note the relays do not have', async () => {
+    const { window } = await openPage('js/thread-viewer.js', { id: 'f'.repeat(64) });
+    env.ready();
+
+    await waitFor(() => window.threadViewer && window.threadViewer.elements.error.textContent, 10000);
+    assert.match(window.threadViewer.elements.error.textContent, /not found/);
+    window.threadViewer.destroy();
+});
+
+test('ThreadViewer embeds an nevent from its relay hint and turns an nprofile into a chip', async () => {
+    const { carolNote } = fixtures.notes;
+    const nevent = CryptoUtils.encodeNevent({ id: carolNote.id, relays: [HINTED_RELAY], author: carolNote.pubkey });
+    const nprofile = CryptoUtils.encodeNprofile({ pubkey: fixtures.pubkeys.bob, relays: [RELAY] });
+    const note = await fixtures.signers.alice.signEvent({
+        kind: 1,
+        created_at: BASE_TIME + 70,
+        tags: [['q', carolNote.id], ['p', fixtures.pubkeys.bob]],
+        content: `Quoting nostr:${nevent} for nostr:${nprofile}`
+    });
+
+    // Carol's note is only on the hinted relay, which the page isn't configured with
+    const events = [...fixtures.all.filter(event => event !== carolNote), note];
+    await openPage('js/thread-viewer.js', { id: note.id }, events);
+    new MockRelay(HINTED_RELAY, { events: [carolNote] });
+    env.ready();
+
+    await waitFor(() => window.threadViewer && window.threadViewer.isLoaded, 5000);
+    const content = window.threadViewer.elements.originalContent;
+
+    const embed = content.querySelector('.embedded-post');
+    await waitFor(() => embed.querySelector('.embedded-post-content'), 5000);
+    assert.strictEqual(embed.querySelector('.embedded-post-content').textContent, carolNote.content);
+
+    const chip = content.querySelector('.mention-chip');
+    assert.strictEqual(chip.href, `profile.html?pubkey=${nprofile}`);
+    await waitFor(() => chip.textContent === '@bob');
+
+    chip.dispatchEvent({ type: 'mouseenter' });
+    const card = env.document.querySelector('.mention-card');
+    assert.strictEqual(card.style.display, 'block');
+    assert.strictEqual(card.querySelector('.mention-card-name').textContent, 'bob');
+    assert.strictEqual(card.querySelector('.mention-card-about').textContent, 'Relay operator');
+    window.threadViewer.destroy();
+});
+
+test('ProfileViewer shows the profile and its notes', async () => {
+    const { window } = await openPage('js/profile-viewer.js', { pubkey: fixtures.pubkeys.bob });
+    env.ready();
+
+    await waitFor(() => window.profileViewer && window.profileViewer.isLoaded, 5000);
+    const viewer = window.profileViewer;
+
+    assert.strictEqual(viewer.profileData.name, 'bob');
+    assert.strictEqual(viewer.elements.error.textContent, '', 'no "not found" next to a profile that loaded');
+    await waitFor(() => viewer.userPosts.length === 2);
+    assert.deepStrictEqual(
+        viewer.userPosts.map(post => post.id),
+        [fixtures.notes.bobNote.id, fixtures.notes.bobOlder.id]
+    );
+    viewer.destroy();
+});
\ No newline at end of file
@@ -0,0 +1,292 @@
+/**
+ * RelayManager against mock relays: queries, verification, relay messages,
+ * reconnects, subscription handles, NIP-11 limits, COUNT and AUTH, and
+ * TimelinePager's cursors and EventLoader's lookups
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { RelayManager } from '../js/relay-manager.js';
+import { TimelinePager } from '../js/timeline-pager.js';
+import { EventLoader } from '../js/event-loader.js';
+import { MockRelay, MockWebSocket } from './mock-relay.js';
+import { TestSigner } from './test-signer.js';
+import { createBrowserEnv, sleep, waitFor } from './helpers/browser-env.js';
+import { createFixtures } from './helpers/fixtures.js';
+
+const ONE = 'wss://relay.one.test';
+const TWO = 'wss://relay.two.test';
+
+let fixtures;
+let env;
+
+test.before(async () => {
+    fixtures = await createFixtures();
+});
+
+test.afterEach(() => {
+    if (env) env.destroy();
+    env = null;
+});
+
+/**
+ * The given mock relays and a RelayManager connected to them
+ *
+ * The manager gets MockWebSocket injected rather than relying on the
+ * installed global, as code embedding RelayManager elsewhere would.
+ */
+async function setup(relays) {
+    env = createBrowserEnv();
+    const mocks = {};
+    Object.entries(relays).forEach(([url, options]) => {
+        mocks[url] = new MockRelay(url, options);
+    });
+    const manager = new RelayManager({ WebSocket: MockWebSocket });
+    await manager.connectToRelays(Object.keys(relays));
+    return { manager, mocks };
+}
+
+const sentRequests = (mock, type = 'REQ') => mock.received.filter(message => message[0] === type);
+
+test('query merges relays, drops duplicates and sorts newest first', async () => {
+    const { bobNote, bobOlder, carolNote } = fixtures.notes;
+    const { manager } = await setup({
+        [ONE]: { events: [bobNote, carolNote] },
+        [TWO]: { events: [bobNote, bobOlder] }
+    });
+
+    const events = await manager.query({ kinds: [1] });
+    assert.deepStrictEqual(events.map(event => event.id), [carolNote.id, bobNote.id, bobOlder.id]);
+    assert.ok(manager.eventStore.get(bobOlder.id), 'verified events land in the event store');
+});
+
+test('events with a bad signature are dropped and counted', async () => {
+    const { bobNote, carolNote } = fixtures.notes;
+    const { manager } = await setup({
+        [ONE]: { events: [{ ...bobNote, content: 'Tampered' }, carolNote] }
+    });
+
+    const events = await manager.query({ kinds: [1] });
+    assert.deepStrictEqual(events.map(event => event.id), [carolNote.id]);
+    assert.strictEqual(manager.getRelayStats(ONE).badEvents, 1);
+    assert.strictEqual(manager.getRelayStats(ONE).eventsReceived, 1);
+});
+
+test('malformed relay messages are ignored', async () => {
+    const { manager, mocks } = await setup({ [ONE]: { events: [fixtures.notes.bobNote] } });
+
+    mocks[ONE].sendRaw(null, 'not json');
+    mocks[ONE].sendRaw(null, '["EVENT"]');
+    mocks[ONE].sendRaw(null, JSON.stringify(['EOSE', 'unknown_1']));
+    mocks[ONE].sendRaw(null, JSON.stringify(['OK', 42]));
+    await sleep(10);
+
+    const events = await manager.query({ kinds: [1] });
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(manager.getRelayStates()[0].state, 'open');
+});
+
+test('NOTICE is logged and emitted', async () => {
+    const { manager, mocks } = await setup({ [ONE]: {} });
+    const notices = [];
+    manager.on('relayNotice', notice => notices.push(notice));
+
+    mocks[ONE].notice('slow down');
+    await waitFor(() => notices.length === 1);
+
+    assert.strictEqual(notices[0].url, ONE);
+    assert.strictEqual(notices[0].message, 'slow down');
+    assert.strictEqual(manager.getRelayStats(ONE).notices[0].message, 'slow down');
+});
+
+test('CLOSED settles a query and reports the machine-readable prefix', async () => {
+    const { manager } = await setup({
+        [ONE]: { closedReason: 'restricted: members only' },
+        [TWO]: { events: [fixtures.notes.bobNote] }
+    });
+    const closed = [];
+
+    const started = Date.now();
+    const events = await manager.query({ kinds: [1] }, {
+        onClosed: (url, reason, parsed) => closed.push({ url, prefix: parsed.prefix, message: parsed.message })
+    });
+
+    assert.ok(Date.now() - started < 1000, 'did not wait for the query timeout');
+    assert.strictEqual(events.length, 1);
+    assert.deepStrictEqual(closed, [{ url: ONE, prefix: 'restricted', message: 'members only' }]);
+});
+
+test('a query without EOSE resolves at its timeout with what arrived', async () => {
+    const { manager } = await setup({
+        [ONE]: { events: [fixtures.notes.bobNote], sendEose: false }
+    });
+
+    const started = Date.now();
+    const events = await manager.query({ kinds: [1] }, { timeout: 100 });
+    assert.ok(Date.now() - started >= 100);
+    assert.strictEqual(events.length, 1);
+});
+
+test('a slow relay misses a short query but answers a longer one', async () => {
+    const { manager } = await setup({
+        [ONE]: { events: [fixtures.notes.bobNote], delay: 80 }
+    });
+
+    assert.deepStrictEqual(await manager.query({ kinds: [1] }, { timeout: 30 }), []);
+    const events = await manager.query({ kinds: [1] }, { timeout: 1000 });
+    assert.strictEqual(events.length, 1);
+});
+
+test('after a dropped connection the manager reconnects and resumes subscriptions', async (t) => {
+    const { manager, mocks } = await setup({ [ONE]: { events: [fixtures.notes.bobNote] } });
+    const baseDelay = RelayManager.RECONNECT_BASE_DELAY;
+    RelayManager.RECONNECT_BASE_DELAY = 20;
+    t.after(() => {
+        RelayManager.RECONNECT_BASE_DELAY = baseDelay;
+    });
+
+    const seen = [];
+    let eoseCount = 0;
+    const handle = manager.subscribe({ kinds: [1] }, {
+        onEvent: event => seen.push(event.id),
+        onEOSE: () => eoseCount++
+    });
+    await waitFor(() => eoseCount === 1);
+
+    mocks[ONE].disconnect();
+    await waitFor(() => manager.getRelayStates()[0].state === 'backing-off');
+    await waitFor(() => eoseCount === 2);
+
+    // The resumed REQ only asks for what might have been missed
+    const [, id, filter] = sentRequests(mocks[ONE]).pop();
+    assert.strictEqual(id, handle.id);
+    assert.ok(filter.since > 0);
+
+    // And live events flow again on the new connection
+    const fresh = await fixtures.signers.carol.signEvent({
+        kind: 1,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [],
+        content: 'Back online'
+    });
+    mocks[ONE].publish(fresh);
+    await waitFor(() => seen.includes(fresh.id));
+    handle.close();
+});
+
+test('closing a handle sends CLOSE; closeOnEose closes by itself', async () => {
+    const { manager, mocks } = await setup({ [ONE]: { events: [fixtures.notes.bobNote] } });
+
+    let eose = false;
+    const live = manager.subscribe({ kinds: [1] }, { onEOSE: () => { eose = true; } });
+    await waitFor(() => eose);
+    assert.deepStrictEqual(mocks[ONE].getOpenSubscriptions(), [live.id]);
+    live.close();
+    await waitFor(() => mocks[ONE].getOpenSubscriptions().length === 0);
+    assert.deepStrictEqual(sentRequests(mocks[ONE], 'CLOSE').map(message => message[1]), [live.id]);
+
+    let done = false;
+    const once = manager.subscribe({ kinds: [1] }, { closeOnEose: true, onEOSE: () => { done = true; } });
+    await waitFor(() => done);
+    await waitFor(() => sentRequests(mocks[ONE], 'CLOSE').some(message => message[1] === once.id));
+    assert.strictEqual(manager.subscriptions.has(once.id), false);
+});
+
+test('subscriptions beyond max_subscriptions wait for a free slot', async () => {
+    const { manager, mocks } = await setup({
+        [ONE]: { info: { limitation: { max_subscriptions: 2 } }, sendEose: false }
+    });
+
+    const handles = [1, 2, 3].map(() => manager.subscribe({ kinds: [1] }));
+    await sleep(20);
+    assert.deepStrictEqual(mocks[ONE].getOpenSubscriptions(), [handles[0].id, handles[1].id]);
+
+    handles[0].close();
+    await waitFor(() => mocks[ONE].getOpenSubscriptions().includes(handles[2].id));
+    assert.strictEqual(mocks[ONE].getOpenSubscriptions().length, 2);
+    handles.forEach(handle => handle.close());
+});
+
+test('filters beyond max_filters are split into several REQs', async () => {
+    const { bobNote, carolNote } = fixtures.notes;
+    const { manager, mocks } = await setup({
+        [ONE]: { events: [bobNote, carolNote], info: { limitation: { max_filters: 1 } } }
+    });
+
+    const events = await manager.query([
+        { authors: [fixtures.pubkeys.bob], kinds: [1] },
+        { authors: [fixtures.pubkeys.carol], kinds: [1] }
+    ]);
+
+    const requests = sentRequests(mocks[ONE]);
+    assert.strictEqual(requests.length, 2);
+    assert.ok(requests.every(message => message.length === 3), 'one filter per REQ');
+    assert.match(requests[0][1], /:0$/);
+    assert.match(requests[1][1], /:1$/);
+    assert.strictEqual(events.length, 2);
+});
+
+test('count collects NIP-45 answers per relay', async () => {
+    const { bobNote, carolNote, bobOlder } = fixtures.notes;
+    const { manager } = await setup({
+        [ONE]: { events: [bobNote, carolNote, bobOlder] },
+        [TWO]: { closedReason: 'unsupported: no COUNT here' }
+    });
+
+    const counts = await manager.count({ kinds: [1], authors: [fixtures.pubkeys.bob] });
+    assert.strictEqual(counts.get(ONE), 2);
+    assert.strictEqual(counts.has(TWO), false);
+});
+
+test('NIP-42: an auth-required relay answers after authenticate()', async () => {
+    const { manager, mocks } = await setup({
+        [ONE]: { events: [fixtures.notes.bobNote], requireAuth: true }
+    });
+
+    const closed = [];
+    const events = await manager.query({ kinds: [1] }, {
+        onClosed: (url, reason, parsed) => closed.push(parsed.prefix)
+    });
+    assert.deepStrictEqual(events, []);
+    assert.deepStrictEqual(closed, ['auth-required']);
+
+    const signer = new TestSigner('0000000000000000000000000000000000000000000000000000000000000044');
+    await manager.authenticate(ONE, signer);
+
+    assert.strictEqual(manager.getRelayStates()[0].authenticatedAs, await signer.getPublicKey());
+    assert.strictEqual(sentRequests(mocks[ONE], 'AUTH').length, 1);
+    assert.strictEqual((await manager.query({ kinds: [1] })).length, 1);
+});
+
+test('a pager retries a relay that timed out and stops at one that sent EOSE', async (t) => {
+    const timeout = RelayManager.QUERY_TIMEOUT;
+    RelayManager.QUERY_TIMEOUT = 100;
+    t.after(() => { RelayManager.QUERY_TIMEOUT = timeout; });
+
+    const { manager, mocks } = await setup({ [ONE]: { sendEose: false } });
+    const pager = new TimelinePager(manager, { kinds: [1] });
+
+    assert.strictEqual(await pager.loadPage(10), 0);
+    assert.ok(pager.hasMore(), 'no answer is not the end of the timeline');
+
+    mocks[ONE].sendEose = true;
+    assert.strictEqual(await pager.loadPage(10), 0);
+    assert.ok(!pager.hasMore());
+});
+
+test('a lookup already in flight is followed by the relays a later caller adds', async () => {
+    const { bobNote } = fixtures.notes;
+    const { manager, mocks } = await setup({
+        [ONE]: { delay: 50 },
+        [TWO]: { events: [bobNote] }
+    });
+    const loader = new EventLoader(manager);
+
+    const first = loader.loadEvent(bobNote.id, { relays: [ONE] });
+    await sleep(EventLoader.BATCH_DELAY + 10);
+    const second = loader.loadEvent(bobNote.id, { relays: [ONE, TWO] });
+
+    assert.strictEqual(await first, null);
+    assert.strictEqual((await second).id, bobNote.id);
+    assert.strictEqual(sentRequests(mocks[ONE]).length, 1, 'the relay already asked is not asked again');
+});
\ No newline at end of file
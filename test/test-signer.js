@@ -0,0 +1,79 @@
+/**
+ * Stand-in for a NIP-07 browser signer (`window.nostr`), for tests only
+ *
+ * Signs with BIP-340 Schnorr using the curve arithmetic in CryptoUtils.
+ * Nonces are deterministic and the code is not constant-time, so never
+ * give it a real key.
+ */
+
+import * as CryptoUtils from '../js/crypto-utils.js';
+
+export class TestSigner {
+    constructor(secretKeyHex) {
+        const N = CryptoUtils.SECP256K1_N;
+        this.secretKey = CryptoUtils.bytesToBigInt(CryptoUtils.hexToBytes(secretKeyHex)) % N;
+        if (this.secretKey === 0n) {
+            throw new Error('Invalid secret key');
+        }
+        this.publicKeyPoint = TestSigner.multiplyG(this.secretKey);
+        this.signedEvents = []; // every event handed to signEvent, for assertions
+    }
+
+    /**
+     * k*G as an affine point
+     */
+    static multiplyG(k) {
+        const G = [CryptoUtils.SECP256K1_GX, CryptoUtils.SECP256K1_GY, 1n];
+        return CryptoUtils.pointToAffine(CryptoUtils.doubleScalarMultiply(k, G, 0n, G));
+    }
+
+    /**
+     * 32-byte big-endian encoding of a scalar or coordinate
+     */
+    static toBytes32(value) {
+        return CryptoUtils.hexToBytes(value.toString(16).padStart(64, '0'));
+    }
+
+    /**
+     * NIP-07: the signer's hex public key
+     */
+    async getPublicKey() {
+        return CryptoUtils.bytesToHex(TestSigner.toBytes32(this.publicKeyPoint[0]));
+    }
+
+    /**
+     * NIP-07: fill in pubkey, id and sig
+     */
+    async signEvent(event) {
+        this.signedEvents.push(event);
+        const signed = { ...event, pubkey: await this.getPublicKey() };
+        signed.id = CryptoUtils.getEventHash(signed);
+        signed.sig = this.sign(signed.id);
+        return signed;
+    }
+
+    /**
+     * BIP-340 signature of a 32-byte hex message, with zero auxiliary randomness
+     */
+    sign(messageHex) {
+        const N = CryptoUtils.SECP256K1_N;
+        const message = CryptoUtils.hexToBytes(messageHex);
+        const [px, py] = this.publicKeyPoint;
+        const d = py % 2n === 0n ? this.secretKey : N - this.secretKey;
+        const pubkey = TestSigner.toBytes32(px);
+
+        const auxHash = CryptoUtils.bytesToBigInt(CryptoUtils.taggedHash('BIP0340/aux', new Uint8Array(32)));
+        const t = TestSigner.toBytes32(d ^ auxHash);
+        const k0 = CryptoUtils.bytesToBigInt(CryptoUtils.taggedHash('BIP0340/nonce', t, pubkey, message)) % N;
+        if (k0 === 0n) {
+            throw new Error('Signing failed');
+        }
+
+        const [rx, ry] = TestSigner.multiplyG(k0);
+        const k = ry % 2n === 0n ? k0 : N - k0;
+        const r = TestSigner.toBytes32(rx);
+        const e = CryptoUtils.bytesToBigInt(CryptoUtils.taggedHash('BIP0340/challenge', r, pubkey, message)) % N;
+
+        return CryptoUtils.bytesToHex(r) + CryptoUtils.bytesToHex(TestSigner.toBytes32(CryptoUtils.mod(k + e * d, N)));
+    }
+}
\ No newline at end of file